@@ -0,0 +1,100 @@
+#!/usr/bin/env node
+/**
+ * ZIP Reader Benchmark
+ *
+ * Compares reading every class of a JAR with JSZip (whole file in memory,
+ * as parseJar used to) against the streaming reader in src/zip.js over a
+ * file handle. Each reader runs in its own process so peak memory (max RSS)
+ * is measured separately.
+ *
+ * Usage: npm run bench -- <file.jar> [runs]
+ */
+
+import { execFileSync } from 'child_process';
+import fs from 'fs/promises';
+import { fileURLToPath } from 'url';
+import JSZip from 'jszip';
+import { parseClassFile } from '../src/parser.js';
+import { openZip, readZipEntry } from '../src/zip.js';
+import { openFileSource } from '../src/file-source.js';
+
+const READERS = {
+    async jszip(file) {
+        const zip = await JSZip.loadAsync(await fs.readFile(file));
+        let classes = 0;
+        for (const entry of Object.values(zip.files)) {
+            if (entry.dir || !entry.name.endsWith('.class')) continue;
+            parseClassFile(await entry.async('arraybuffer'));
+            classes++;
+        }
+        return classes;
+    },
+
+    async streaming(file) {
+        const source = await openFileSource(file);
+        try {
+            const zip = await openZip(source);
+            let classes = 0;
+            for (const entry of zip.entries) {
+                if (entry.dir || !entry.name.endsWith('.class')) continue;
+                parseClassFile(await readZipEntry(zip, entry));
+                classes++;
+            }
+            return classes;
+        } finally {
+            await source.close();
+        }
+    },
+};
+
+/**
+ * Run one reader in this process and print its measurements as JSON.
+ *
+ * @param {string} reader - Key of READERS
+ * @param {string} file
+ */
+async function runReader(reader, file) {
+    const start = performance.now();
+    const classes = await READERS[reader](file);
+    const timeMs = performance.now() - start;
+    // maxRSS is in kilobytes
+    const maxRssMb = process.resourceUsage().maxRSS / 1024;
+    process.stdout.write(JSON.stringify({ classes, timeMs, maxRssMb }));
+}
+
+/**
+ * Run each reader in a child process and print a comparison table.
+ *
+ * @param {string} file
+ * @param {number} runs
+ */
+async function compareReaders(file, runs) {
+    const { size } = await fs.stat(file);
+    console.log(`${file}: ${(size / 1024 / 1024).toFixed(1)} MB, best of ${runs} runs\n`);
+    console.log('Reader       Classes    Time (ms)   Max RSS (MB)');
+
+    const script = fileURLToPath(import.meta.url);
+    for (const reader of Object.keys(READERS)) {
+        const best = { classes: 0, timeMs: Infinity, maxRssMb: Infinity };
+        for (let i = 0; i < runs; i++) {
+            const output = execFileSync(process.execPath, [script, '--reader', reader, file], { encoding: 'utf8' });
+            const run = JSON.parse(output);
+            best.classes = run.classes;
+            best.timeMs = Math.min(best.timeMs, run.timeMs);
+            best.maxRssMb = Math.min(best.maxRssMb, run.maxRssMb);
+        }
+        console.log(
+            `${reader.padEnd(12)} ${String(best.classes).padStart(7)} ${best.timeMs.toFixed(0).padStart(12)} ${best.maxRssMb.toFixed(1).padStart(14)}`
+        );
+    }
+}
+
+const args = process.argv.slice(2);
+if (args[0] === '--reader') {
+    await runReader(args[1], args[2]);
+} else if (args.length === 0) {
+    console.error('Usage: npm run bench -- <file.jar> [runs]');
+    process.exitCode = 2;
+} else {
+    await compareReaders(args[0], Number(args[1] ?? 3));
+}
@@ -0,0 +1,81 @@
+#!/usr/bin/env node
+/**
+ * Standalone Page Bundle
+ *
+ * index.html imports the parser modules from src/, so it has to be served
+ * over HTTP: browsers load neither module scripts nor module workers from
+ * file://. This script bundles the page script and the parse worker with
+ * esbuild into one self-contained HTML file that opens straight from disk.
+ * The worker runs from a Blob URL of its bundled source.
+ *
+ * Usage: npm run build [-- <output.html>]
+ */
+
+import { build } from 'esbuild';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const ROOT = path.dirname(path.dirname(fileURLToPath(import.meta.url)));
+const DEFAULT_OUTPUT = path.join(ROOT, 'dist', 'jar-bytecode-analyzer.html');
+
+const PAGE_SCRIPT = /<script type="module">([\s\S]*?)<\/script>/;
+const WORKER_URL = "new Worker(new URL('./src/parse-worker.js', import.meta.url), { type: 'module' })";
+
+/**
+ * Bundle one script with its imports from src/
+ * @param {object} entry - esbuild entryPoints or stdin option
+ * @param {string} format - 'iife' for the classic worker, 'esm' for the page
+ * @returns {Promise<string>} Bundled source
+ */
+async function bundle(entry, format) {
+    const result = await build({
+        ...entry,
+        bundle: true,
+        format,
+        platform: 'browser',
+        target: 'es2022',
+        minify: true,
+        write: false,
+        logLevel: 'warning',
+    });
+    return result.outputFiles[0].text;
+}
+
+/**
+ * Keep bundled code from closing the <script> element it is inlined in
+ * @param {string} source - Bundled source
+ * @returns {string} Source safe to put between <script> tags
+ */
+function escapeScript(source) {
+    return source.replace(/<\/script/gi, '<\\/script');
+}
+
+/**
+ * Bundle the standalone page
+ * @param {string} output - Path of the HTML file to write
+ */
+async function bundleStandalone(output) {
+    const html = await fs.readFile(path.join(ROOT, 'index.html'), 'utf8');
+    const page = html.match(PAGE_SCRIPT);
+    if (!page) {
+        throw new Error('index.html has no <script type="module"> to bundle');
+    }
+    if (!page[1].includes(WORKER_URL)) {
+        throw new Error('index.html no longer creates the parse worker as expected; update WORKER_URL');
+    }
+
+    const worker = await bundle({ entryPoints: [path.join(ROOT, 'src', 'parse-worker.js')] }, 'iife');
+    const pageSource = page[1].replace(
+        WORKER_URL,
+        `new Worker(URL.createObjectURL(new Blob([${JSON.stringify(worker)}], { type: 'text/javascript' })))`
+    );
+    const script = await bundle({ stdin: { contents: pageSource, resolveDir: ROOT, sourcefile: 'index.html' } }, 'esm');
+
+    const standalone = html.replace(PAGE_SCRIPT, () => `<script type="module">\n${escapeScript(script)}</script>`);
+    await fs.mkdir(path.dirname(output), { recursive: true });
+    await fs.writeFile(output, standalone);
+    console.log(`Wrote ${path.relative(process.cwd(), output)} (${(standalone.length / 1024).toFixed(0)} KB)`);
+}
+
+await bundleStandalone(path.resolve(process.argv[2] ?? DEFAULT_OUTPUT));
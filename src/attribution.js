@@ -0,0 +1,173 @@
+/**
+ * Lambda and Accessor Attribution
+ *
+ * javac compiles every lambda body into a private synthetic method such as
+ * lambda$process$3 and, before Java 11 nestmates, every private member used
+ * by a nested class into an access$000 accessor. Both show up as methods of
+ * their own, so the method that declared them looks smaller than it is.
+ * This links them back to that method and rolls their size into it.
+ */
+
+import { methodId } from './callgraph.js';
+
+const LAMBDA_METAFACTORY = 'java/lang/invoke/LambdaMetafactory';
+const CONSTANT_METHOD_HANDLE = 15;
+
+const ACC_STATIC = 0x0008;
+const ACC_BRIDGE = 0x0040;
+const ACC_SYNTHETIC = 0x1000;
+
+/**
+ * The method implementing a lambda or method reference created by an
+ * invokedynamic call site: the second static argument of a LambdaMetafactory
+ * bootstrap method (metafactory and altMetafactory alike).
+ *
+ * @param {Object} bootstrapMethod - { methodRef, arguments } from the BootstrapMethods attribute
+ * @param {Array} constantPool - Constant pool with resolved references
+ * @returns {{ className: string, name: string, descriptor: string }|null} null for other
+ *   bootstrap methods, e.g. string concatenation or record methods
+ */
+export function lambdaImplementation(bootstrapMethod, constantPool) {
+    const handle = constantPool[bootstrapMethod.methodRef];
+    const factory = handle && constantPool[handle.referenceIndex];
+    if (!factory || factory.className !== LAMBDA_METAFACTORY) {
+        return null;
+    }
+
+    const implementation = constantPool[bootstrapMethod.arguments[1]];
+    if (!implementation || implementation.tag !== CONSTANT_METHOD_HANDLE) {
+        return null;
+    }
+    const target = constantPool[implementation.referenceIndex];
+    if (!target || target.name === undefined) {
+        return null;
+    }
+    return { className: target.className, name: target.name, descriptor: target.descriptor };
+}
+
+/**
+ * Link the lambda bodies of a class to the methods whose invokedynamic call
+ * sites create them, by setting declaringMethod { name, descriptor } on each
+ * body. Only synthetic methods of the class itself are linked, so a method
+ * reference such as String::length is left alone. A lambda declared inside
+ * another lambda is linked to the outer lambda's body.
+ *
+ * @param {string} className - Internal name of the class
+ * @param {Array} methods - Methods from parseMethods, with declaringMethod null
+ * @param {Array} bootstrapMethods - Entries of the BootstrapMethods attribute
+ * @param {Array} constantPool - Constant pool with resolved references
+ */
+export function linkLambdaBodies(className, methods, bootstrapMethods, constantPool) {
+    if (bootstrapMethods.length === 0) {
+        return;
+    }
+
+    const byKey = new Map(methods.map((m) => [m.name + m.descriptor, m]));
+    for (const method of methods) {
+        for (const { kind, bootstrapMethod } of method.invocations) {
+            if (kind !== 'dynamic' || !bootstrapMethods[bootstrapMethod]) continue;
+
+            const target = lambdaImplementation(bootstrapMethods[bootstrapMethod], constantPool);
+            if (!target || target.className !== className) continue;
+
+            const body = byKey.get(target.name + target.descriptor);
+            if (body && body !== method && body.declaringMethod === null && (body.accessFlags & ACC_SYNTHETIC)) {
+                body.declaringMethod = { name: method.name, descriptor: method.descriptor };
+            }
+        }
+    }
+}
+
+/**
+ * Whether a method is a synthetic accessor such as access$000.
+ *
+ * @param {Object} method - Method record from parseJar
+ * @returns {boolean}
+ */
+function isAccessor(method) {
+    return (method.accessFlags & (ACC_SYNTHETIC | ACC_STATIC)) === (ACC_SYNTHETIC | ACC_STATIC) &&
+        (method.accessFlags & ACC_BRIDGE) === 0 &&
+        method.methodName.startsWith('access$');
+}
+
+/**
+ * Attribute lambda bodies and synthetic accessors to the methods that use
+ * them, and compute the effective size of every method.
+ *
+ * Lambda bodies arrive with attributionKind 'lambda' and attributedTo set
+ * from declaringMethod; the link is dropped if that method is missing. An accessor is attributed
+ * to its caller when it has exactly one in the same archive; accessors
+ * shared by several callers stay on their own. Updates on every record:
+ *
+ * - attributedTo:      id (see methodId) of the method it is rolled into, or null
+ * - attributionKind:   'lambda', 'accessor' or null
+ * - attributedMethods: ids of the methods rolled directly into it
+ * - effectiveSize:     bytecodeSize plus the effective size of the attributed methods
+ *
+ * @param {Array} methods - Method records from parseJar
+ */
+export function attributeSyntheticMethods(methods) {
+    const records = new Map();
+    for (const method of methods) {
+        records.set(methodId(method), method);
+    }
+
+    const accessorCallers = new Map();
+    for (const method of methods) {
+        for (const call of method.calls) {
+            if (!call.methodName.startsWith('access$')) continue;
+            const callee = methodId({ ...call, archive: method.archive });
+            if (!accessorCallers.has(callee)) accessorCallers.set(callee, new Set());
+            accessorCallers.get(callee).add(method);
+        }
+    }
+
+    const owners = new Map();
+    const attribute = (method, owner, kind) => {
+        // Never close a cycle, which would leave both methods out of the effective view
+        for (let o = owner; o; o = owners.get(o)) {
+            if (o === method) return;
+        }
+        owners.set(method, owner);
+        method.attributedTo = methodId(owner);
+        method.attributionKind = kind;
+    };
+
+    for (const method of methods) {
+        const lambdaOwner = method.attributionKind === 'lambda' ? method.attributedTo : null;
+        method.attributedTo = null;
+        method.attributionKind = null;
+        method.attributedMethods = [];
+
+        if (lambdaOwner) {
+            const owner = records.get(lambdaOwner);
+            if (owner && owner !== method) attribute(method, owner, 'lambda');
+        } else if (isAccessor(method)) {
+            const callers = accessorCallers.get(methodId(method));
+            if (callers?.size === 1) attribute(method, [...callers][0], 'accessor');
+        }
+    }
+
+    const children = new Map();
+    for (const [method, owner] of owners) {
+        owner.attributedMethods.push(methodId(method));
+        if (!children.has(owner)) children.set(owner, []);
+        children.get(owner).push(method);
+    }
+
+    const sizes = new Map();
+    const effectiveSize = (method) => {
+        let size = sizes.get(method);
+        if (size === undefined) {
+            size = method.bytecodeSize;
+            for (const child of children.get(method) ?? []) {
+                size += effectiveSize(child);
+            }
+            sizes.set(method, size);
+        }
+        return size;
+    };
+    for (const method of methods) {
+        method.effectiveSize = effectiveSize(method);
+    }
+}
@@ -0,0 +1,432 @@
+/**
+ * Bloat Detectors
+ *
+ * Looks for code patterns that are known to make methods large and
+ * estimates the bytes each one costs, so a large method comes with a
+ * reason and a place to start shrinking it:
+ *
+ * - large-switch:       tableswitch/lookupswitch jump tables, counting the
+ *                       gaps of a tableswitch that lead to the default
+ * - array-initializer:  arrays filled element by element (dup, index,
+ *                       value, store), as javac compiles array literals
+ * - string-concat:      StringBuilder append chains, which javac emits for
+ *                       string concatenation below release 9
+ * - duplicated-finally: finally blocks copied to every exit of their try
+ * - switch-map:         the $SwitchMap$ arrays of a synthetic class built
+ *                       for switches over an enum
+ * - enum-initializer:   the static initializer of an enum constructing
+ *                       each constant and its values() array
+ *
+ * Reference: https://docs.oracle.com/javase/specs/jvms/se21/html/jvms-3.html
+ */
+
+/**
+ * Smallest occurrence reported by each detector.
+ */
+export const BLOAT_THRESHOLDS = Object.freeze({
+    switchBytes: 256, // bytes of one switch instruction
+    arrayElements: 16, // elements stored one by one into an array literal, nested ones included
+    concatAppends: 8, // append calls of one StringBuilder chain
+    finallyBytes: 8, // bytes of a finally block that is copied
+    switchMapConstants: 16, // enum constants mapped by a switch map
+    enumConstants: 32, // constants built by an enum's static initializer
+});
+
+/**
+ * Kinds of findings, in the order the detectors run.
+ */
+export const BLOAT_KINDS = Object.freeze([
+    'large-switch',
+    'array-initializer',
+    'string-concat',
+    'duplicated-finally',
+    'switch-map',
+    'enum-initializer',
+]);
+
+const ACC_ENUM = 0x4000;
+
+const DUP = 0x59;
+const ATHROW = 0xBF;
+const NEW = 0xBB;
+const NEWARRAY = 0xBC;
+const ANEWARRAY = 0xBD;
+const PUTSTATIC = 0xB3;
+const INVOKEVIRTUAL = 0xB6;
+const TABLESWITCH = 0xAA;
+const LOOKUPSWITCH = 0xAB;
+
+const BUILDER_CLASSES = new Set(['java/lang/StringBuilder', 'java/lang/StringBuffer']);
+
+/**
+ * Instructions an array element's value may take, nested arrays aside,
+ * before the run is no longer taken for an array literal.
+ */
+const MAX_ELEMENT_INSTRUCTIONS = 32;
+
+/**
+ * Bytes of an invokedynamic string concatenation, which replaces the
+ * new, dup and invokespecial of the builder (7 bytes), each append (3)
+ * and the toString call (3).
+ */
+const INDY_CONCAT_BYTES = 5;
+const BUILDER_SETUP_BYTES = 7;
+const BUILDER_CALL_BYTES = 3;
+
+/**
+ * Whether an opcode stores an array element (iastore to sastore).
+ *
+ * @param {number} opcode
+ * @returns {boolean}
+ */
+function isArrayStore(opcode) {
+    return opcode >= 0x4F && opcode <= 0x56;
+}
+
+/**
+ * The int an instruction pushes as a constant, or null.
+ *
+ * @param {Object} insn
+ * @param {Array} constantPool
+ * @returns {number|null}
+ */
+function intConstant(insn, constantPool) {
+    if (insn.opcode >= 0x02 && insn.opcode <= 0x08) {
+        return insn.opcode - 0x03; // iconst_m1 to iconst_5
+    }
+    if (insn.opcode === 0x10 || insn.opcode === 0x11) {
+        return insn.value; // bipush, sipush
+    }
+    if (insn.opcode === 0x12 || insn.opcode === 0x13) {
+        const entry = constantPool[insn.cpIndex]; // ldc, ldc_w
+        return entry?.tag === 3 ? entry.value : null;
+    }
+    return null;
+}
+
+/**
+ * Internal name of the class a CONSTANT_Class entry names, or null.
+ *
+ * @param {Array} constantPool
+ * @param {number} index
+ * @returns {string|null}
+ */
+function classAt(constantPool, index) {
+    const entry = constantPool[index];
+    return entry?.tag === 7 ? constantPool[entry.nameIndex]?.value ?? null : null;
+}
+
+/**
+ * Fold an occurrence into the finding of its kind.
+ *
+ * @param {Map} findings - Findings by kind
+ * @param {string} kind
+ * @param {number} pc - Where the occurrence starts
+ * @param {number} bytes - What it costs
+ * @param {Object} [totals] - Counts to add up, e.g. { cases: 412 }
+ */
+function addOccurrence(findings, kind, pc, bytes, totals = {}) {
+    let finding = findings.get(kind);
+    if (!finding) {
+        finding = { kind, count: 0, bytes: 0, pc };
+        findings.set(kind, finding);
+    }
+    finding.count++;
+    finding.bytes += bytes;
+    for (const [key, value] of Object.entries(totals)) {
+        finding[key] = (finding[key] ?? 0) + value;
+    }
+}
+
+/**
+ * Flag switch instructions whose jump tables exceed the threshold.
+ *
+ * @param {Array} instructions
+ * @param {Map} findings
+ */
+function detectLargeSwitches(instructions, findings) {
+    for (const insn of instructions) {
+        if ((insn.opcode !== TABLESWITCH && insn.opcode !== LOOKUPSWITCH) || insn.length < BLOAT_THRESHOLDS.switchBytes) {
+            continue;
+        }
+        // A tableswitch has a slot for every value in its range, handled or not
+        const gaps = insn.opcode === TABLESWITCH ? insn.cases.filter((c) => c.target === insn.defaultTarget).length : 0;
+        addOccurrence(findings, 'large-switch', insn.pc, insn.length, { cases: insn.cases.length, gaps });
+    }
+}
+
+/**
+ * Follow the element stores of an array literal: dup, the element index,
+ * the value, and an array store, for index 0, 1, 2 and so on. Values that
+ * are array literals themselves are followed too.
+ *
+ * @param {Array} instructions
+ * @param {number} start - Index of the newarray or anewarray instruction
+ * @param {Array} constantPool
+ * @returns {{ end: number, elements: number }} Index after the last store, and the elements
+ *   stored, nested ones included
+ */
+function followArrayLiteral(instructions, start, constantPool) {
+    let next = start + 1;
+    let index = 0;
+    let elements = 0;
+
+    while (next + 1 < instructions.length && instructions[next].opcode === DUP &&
+        intConstant(instructions[next + 1], constantPool) === index) {
+        let i = next + 2;
+        let nested = 0;
+        let steps = 0;
+        while (i < instructions.length && !isArrayStore(instructions[i].opcode) && steps < MAX_ELEMENT_INSTRUCTIONS) {
+            const opcode = instructions[i].opcode;
+            if (opcode === NEWARRAY || opcode === ANEWARRAY) {
+                const inner = followArrayLiteral(instructions, i, constantPool);
+                nested += inner.elements;
+                i = Math.max(inner.end, i + 1);
+            } else {
+                i++;
+                steps++;
+            }
+        }
+        if (i >= instructions.length || !isArrayStore(instructions[i].opcode)) {
+            break;
+        }
+        elements += 1 + nested;
+        index++;
+        next = i + 1;
+    }
+
+    return { end: next, elements };
+}
+
+/**
+ * Flag array literals with many elements. Their cost is the code that
+ * stores the elements.
+ *
+ * @param {Array} instructions
+ * @param {Array} constantPool
+ * @param {number} codeLength
+ * @param {Map} findings
+ */
+function detectArrayInitializers(instructions, constantPool, codeLength, findings) {
+    let i = 0;
+    while (i < instructions.length) {
+        const opcode = instructions[i].opcode;
+        if (opcode !== NEWARRAY && opcode !== ANEWARRAY) {
+            i++;
+            continue;
+        }
+
+        const { end, elements } = followArrayLiteral(instructions, i, constantPool);
+        if (elements >= BLOAT_THRESHOLDS.arrayElements) {
+            const startPc = instructions[i + 1].pc;
+            const endPc = end < instructions.length ? instructions[end].pc : codeLength;
+            addOccurrence(findings, 'array-initializer', instructions[i].pc, endPc - startPc, { elements });
+        }
+        // Nested literals count towards the outer one
+        i = Math.max(end, i + 1);
+    }
+}
+
+/**
+ * Flag long StringBuilder chains: new StringBuilder, its appends and the
+ * toString call. Their cost is what invokedynamic concatenation would save.
+ *
+ * @param {Array} instructions
+ * @param {Array} constantPool
+ * @param {Map} findings
+ */
+function detectStringConcatenation(instructions, constantPool, findings) {
+    const chains = [];
+    for (const insn of instructions) {
+        if (insn.opcode === NEW && BUILDER_CLASSES.has(classAt(constantPool, insn.cpIndex))) {
+            chains.push({ pc: insn.pc, appends: 0 });
+            continue;
+        }
+        if (insn.opcode !== INVOKEVIRTUAL || chains.length === 0) continue;
+
+        const ref = constantPool[insn.cpIndex];
+        if (!ref || !BUILDER_CLASSES.has(ref.className)) continue;
+        if (ref.name === 'append') {
+            chains[chains.length - 1].appends++;
+        } else if (ref.name === 'toString') {
+            const chain = chains.pop();
+            if (chain.appends >= BLOAT_THRESHOLDS.concatAppends) {
+                const bytes = BUILDER_SETUP_BYTES + BUILDER_CALL_BYTES * (chain.appends + 1) - INDY_CONCAT_BYTES;
+                addOccurrence(findings, 'string-concat', chain.pc, bytes, { appends: chain.appends });
+            }
+        }
+    }
+}
+
+/**
+ * Local variable an instruction stores to (astore), or null.
+ *
+ * @param {Object} insn
+ * @returns {number|null}
+ */
+function storedReference(insn) {
+    if (insn.opcode === 0x3A) return insn.local;
+    return insn.opcode >= 0x4B && insn.opcode <= 0x4E ? insn.opcode - 0x4B : null;
+}
+
+/**
+ * Local variable an instruction loads (aload), or null.
+ *
+ * @param {Object} insn
+ * @returns {number|null}
+ */
+function loadedReference(insn) {
+    if (insn.opcode === 0x19) return insn.local;
+    return insn.opcode >= 0x2A && insn.opcode <= 0x2D ? insn.opcode - 0x2A : null;
+}
+
+/**
+ * Key of an instruction that is the same wherever a copy of it is placed:
+ * jump targets are taken relative to the instruction.
+ *
+ * @param {Object} insn
+ * @returns {string}
+ */
+function instructionKey(insn) {
+    const relative = (target) => (target === undefined ? '' : target - insn.pc);
+    const cases = insn.cases ? insn.cases.map((c) => `${c.match}:${relative(c.target)}`).join(' ') : '';
+    return [insn.opcode, insn.cpIndex, insn.local, insn.value, relative(insn.target), relative(insn.defaultTarget), cases].join(',');
+}
+
+/**
+ * Flag finally blocks that javac copied to the other exits of their try
+ * block. The catch-all handler holds one copy between storing the
+ * exception and rethrowing it; every other place the same instructions
+ * appear counts as a duplicate.
+ *
+ * @param {Array} instructions
+ * @param {Array} exceptionTable
+ * @param {Map} findings
+ */
+function detectDuplicatedFinally(instructions, exceptionTable, findings) {
+    const handlers = new Set(exceptionTable.filter((h) => h.catchType === null).map((h) => h.handlerPc));
+    if (handlers.size === 0) return;
+
+    const indexOfPc = new Map(instructions.map((insn, i) => [insn.pc, i]));
+    const keys = instructions.map(instructionKey);
+
+    for (const handlerPc of handlers) {
+        const start = indexOfPc.get(handlerPc);
+        const local = start === undefined ? null : storedReference(instructions[start]);
+        if (local === null) continue;
+
+        // The body runs up to reloading the exception and rethrowing it
+        let end = start + 1;
+        while (end + 1 < instructions.length &&
+            !(loadedReference(instructions[end]) === local && instructions[end + 1].opcode === ATHROW)) {
+            end++;
+        }
+        if (end + 1 >= instructions.length) continue;
+
+        const length = end - (start + 1);
+        const bodyBytes = instructions[end].pc - instructions[start + 1].pc;
+        if (length === 0 || bodyBytes < BLOAT_THRESHOLDS.finallyBytes) continue;
+
+        const body = keys.slice(start + 1, end);
+        let copies = 0;
+        for (let i = 0; i + length <= instructions.length; i++) {
+            if (i + length > start && i <= end) continue; // the handler's own copy
+            if (body.every((key, k) => keys[i + k] === key)) {
+                copies++;
+                i += length - 1;
+            }
+        }
+        if (copies > 0) {
+            addOccurrence(findings, 'duplicated-finally', handlerPc, copies * bodyBytes, { copies });
+        }
+    }
+}
+
+/**
+ * Flag the static initializers of switch-map classes and large enums,
+ * whose whole code is the cost.
+ *
+ * @param {Array} instructions
+ * @param {Object} context - As for detectBloat
+ * @param {Map} findings
+ */
+function detectEnumInitializers(instructions, context, findings) {
+    const { constantPool, exceptionTable, className, classAccessFlags, methodName, codeLength } = context;
+    if (methodName !== '<clinit>') return;
+
+    // Each mapped constant is set in its own try block, in case the enum has changed since
+    const mapped = exceptionTable.filter((h) => h.catchType === 'java/lang/NoSuchFieldError').length;
+    if (mapped >= BLOAT_THRESHOLDS.switchMapConstants) {
+        addOccurrence(findings, 'switch-map', 0, codeLength + mapped * 8, { constants: mapped });
+    }
+
+    if (classAccessFlags & ACC_ENUM) {
+        const constants = instructions.filter((insn) => {
+            if (insn.opcode !== PUTSTATIC) return false;
+            const ref = constantPool[insn.cpIndex];
+            return ref?.className === className && ref.descriptor === `L${className};`;
+        }).length;
+        if (constants >= BLOAT_THRESHOLDS.enumConstants) {
+            addOccurrence(findings, 'enum-initializer', 0, codeLength, { constants });
+        }
+    }
+}
+
+/**
+ * Find the known causes of bloat in a method's code.
+ *
+ * Each finding is { kind, count, bytes, pc } for one of BLOAT_KINDS:
+ * count is the number of occurrences in the method, bytes their estimated
+ * cost and pc where the first one starts. Findings also total what the
+ * kind measures: cases and gaps of large switches, elements of array
+ * literals, appends of string concatenation, copies of finally blocks and
+ * constants of switch maps and enums.
+ *
+ * @param {Array} instructions - Result of decodeInstructions
+ * @param {Object} context - { constantPool (with resolved references), exceptionTable, className
+ *   (internal form), classAccessFlags, methodName, codeLength }
+ * @returns {Array} Findings, largest first
+ */
+export function detectBloat(instructions, context) {
+    const findings = new Map();
+    if (instructions.length === 0) {
+        return [];
+    }
+
+    detectLargeSwitches(instructions, findings);
+    detectArrayInitializers(instructions, context.constantPool, context.codeLength, findings);
+    detectStringConcatenation(instructions, context.constantPool, findings);
+    detectDuplicatedFinally(instructions, context.exceptionTable, findings);
+    detectEnumInitializers(instructions, context, findings);
+
+    return [...findings.values()].sort((a, b) => b.bytes - a.bytes);
+}
+
+/**
+ * Describe a finding in a sentence, e.g. "2 switches with 640 cases, 120
+ * of them gaps that lead to the default".
+ *
+ * @param {Object} finding - Finding from detectBloat
+ * @returns {string}
+ */
+export function describeBloatFinding(finding) {
+    const plural = (n, one, many) => `${n.toLocaleString()} ${n === 1 ? one : many}`;
+    switch (finding.kind) {
+        case 'large-switch':
+            return `${plural(finding.count, 'switch', 'switches')} with ${plural(finding.cases, 'case', 'cases')}` +
+                (finding.gaps > 0 ? `, ${finding.gaps.toLocaleString()} of them gaps that lead to the default` : '');
+        case 'array-initializer':
+            return `${plural(finding.count, 'array literal', 'array literals')} storing ${plural(finding.elements, 'element', 'elements')} one by one`;
+        case 'string-concat':
+            return `${plural(finding.count, 'StringBuilder chain', 'StringBuilder chains')} with ${plural(finding.appends, 'append', 'appends')}, ` +
+                'which invokedynamic concatenation (release 9 on) would replace';
+        case 'duplicated-finally':
+            return `finally ${finding.count === 1 ? 'block' : 'blocks'} copied to ${plural(finding.copies, 'other exit', 'other exits')}`;
+        case 'switch-map':
+            return `switch map over ${plural(finding.constants, 'enum constant', 'enum constants')}`;
+        case 'enum-initializer':
+            return `static initializer building ${plural(finding.constants, 'enum constant', 'enum constants')} and their values() array`;
+        default:
+            return finding.kind;
+    }
+}
@@ -0,0 +1,405 @@
+/**
+ * JVM Bytecode Decoder
+ *
+ * Decodes the code[] array of a Code attribute into instructions and renders
+ * them as a javap-style listing.
+ * Reference: https://docs.oracle.com/javase/specs/jvms/se21/html/jvms-6.html
+ */
+
+/**
+ * Instruction mnemonics in opcode order (0x00 - 0xC9).
+ */
+const MNEMONICS = [
+    'nop', 'aconst_null', 'iconst_m1', 'iconst_0', 'iconst_1', 'iconst_2', 'iconst_3', 'iconst_4',
+    'iconst_5', 'lconst_0', 'lconst_1', 'fconst_0', 'fconst_1', 'fconst_2', 'dconst_0', 'dconst_1',
+    'bipush', 'sipush', 'ldc', 'ldc_w', 'ldc2_w', 'iload', 'lload', 'fload',
+    'dload', 'aload', 'iload_0', 'iload_1', 'iload_2', 'iload_3', 'lload_0', 'lload_1',
+    'lload_2', 'lload_3', 'fload_0', 'fload_1', 'fload_2', 'fload_3', 'dload_0', 'dload_1',
+    'dload_2', 'dload_3', 'aload_0', 'aload_1', 'aload_2', 'aload_3', 'iaload', 'laload',
+    'faload', 'daload', 'aaload', 'baload', 'caload', 'saload', 'istore', 'lstore',
+    'fstore', 'dstore', 'astore', 'istore_0', 'istore_1', 'istore_2', 'istore_3', 'lstore_0',
+    'lstore_1', 'lstore_2', 'lstore_3', 'fstore_0', 'fstore_1', 'fstore_2', 'fstore_3', 'dstore_0',
+    'dstore_1', 'dstore_2', 'dstore_3', 'astore_0', 'astore_1', 'astore_2', 'astore_3', 'iastore',
+    'lastore', 'fastore', 'dastore', 'aastore', 'bastore', 'castore', 'sastore', 'pop',
+    'pop2', 'dup', 'dup_x1', 'dup_x2', 'dup2', 'dup2_x1', 'dup2_x2', 'swap',
+    'iadd', 'ladd', 'fadd', 'dadd', 'isub', 'lsub', 'fsub', 'dsub',
+    'imul', 'lmul', 'fmul', 'dmul', 'idiv', 'ldiv', 'fdiv', 'ddiv',
+    'irem', 'lrem', 'frem', 'drem', 'ineg', 'lneg', 'fneg', 'dneg',
+    'ishl', 'lshl', 'ishr', 'lshr', 'iushr', 'lushr', 'iand', 'land',
+    'ior', 'lor', 'ixor', 'lxor', 'iinc', 'i2l', 'i2f', 'i2d',
+    'l2i', 'l2f', 'l2d', 'f2i', 'f2l', 'f2d', 'd2i', 'd2l',
+    'd2f', 'i2b', 'i2c', 'i2s', 'lcmp', 'fcmpl', 'fcmpg', 'dcmpl',
+    'dcmpg', 'ifeq', 'ifne', 'iflt', 'ifge', 'ifgt', 'ifle', 'if_icmpeq',
+    'if_icmpne', 'if_icmplt', 'if_icmpge', 'if_icmpgt', 'if_icmple', 'if_acmpeq', 'if_acmpne', 'goto',
+    'jsr', 'ret', 'tableswitch', 'lookupswitch', 'ireturn', 'lreturn', 'freturn', 'dreturn',
+    'areturn', 'return', 'getstatic', 'putstatic', 'getfield', 'putfield', 'invokevirtual', 'invokespecial',
+    'invokestatic', 'invokeinterface', 'invokedynamic', 'new', 'newarray', 'anewarray', 'arraylength', 'athrow',
+    'checkcast', 'instanceof', 'monitorenter', 'monitorexit', 'wide', 'multianewarray', 'ifnull', 'ifnonnull',
+    'goto_w', 'jsr_w',
+];
+
+/**
+ * Operand format of every opcode that takes operands. Opcodes not listed
+ * here are a single byte.
+ */
+const OPERAND_FORMATS = {
+    0x10: 'byte', // bipush
+    0x11: 'short', // sipush
+    0x12: 'cp1', // ldc
+    0x13: 'cp2', // ldc_w
+    0x14: 'cp2', // ldc2_w
+    0x84: 'iinc',
+    0xA9: 'local', // ret
+    0xAA: 'tableswitch',
+    0xAB: 'lookupswitch',
+    0xB9: 'invokeinterface',
+    0xBA: 'invokedynamic',
+    0xBC: 'newarray',
+    0xC4: 'wide',
+    0xC5: 'multianewarray',
+    0xC8: 'branch4', // goto_w
+    0xC9: 'branch4', // jsr_w
+};
+
+// xload / xstore with an explicit local variable index
+for (let op = 0x15; op <= 0x19; op++) OPERAND_FORMATS[op] = 'local';
+for (let op = 0x36; op <= 0x3A; op++) OPERAND_FORMATS[op] = 'local';
+// if<cond>, if_icmp<cond>, if_acmp<cond>, goto, jsr
+for (let op = 0x99; op <= 0xA8; op++) OPERAND_FORMATS[op] = 'branch2';
+OPERAND_FORMATS[0xC6] = 'branch2'; // ifnull
+OPERAND_FORMATS[0xC7] = 'branch2'; // ifnonnull
+// getstatic .. invokestatic
+for (let op = 0xB2; op <= 0xB8; op++) OPERAND_FORMATS[op] = 'cp2';
+// new, anewarray, checkcast, instanceof
+for (const op of [0xBB, 0xBD, 0xC0, 0xC1]) OPERAND_FORMATS[op] = 'cp2';
+
+/**
+ * Element type names for the newarray atype operand.
+ */
+const ARRAY_TYPES = {
+    4: 'boolean',
+    5: 'char',
+    6: 'float',
+    7: 'double',
+    8: 'byte',
+    9: 'short',
+    10: 'int',
+    11: 'long',
+};
+
+/**
+ * Method handle reference kinds, as printed by javap.
+ */
+const REFERENCE_KINDS = [
+    null,
+    'REF_getField',
+    'REF_getStatic',
+    'REF_putField',
+    'REF_putStatic',
+    'REF_invokeVirtual',
+    'REF_invokeStatic',
+    'REF_invokeSpecial',
+    'REF_newInvokeSpecial',
+    'REF_invokeInterface',
+];
+
+/**
+ * Get the mnemonic for an opcode.
+ *
+ * @param {number} opcode
+ * @returns {string|undefined}
+ */
+export function opcodeName(opcode) {
+    return MNEMONICS[opcode];
+}
+
+/**
+ * Decode a method's code[] array into a list of instructions.
+ *
+ * Every instruction carries its pc, opcode, mnemonic and encoded length.
+ * Depending on the operand format it also carries one or more of:
+ * cpIndex, local, value, target, count, dimensions, arrayType,
+ * defaultTarget, low, high, cases and wide.
+ *
+ * @param {Uint8Array} code - The bytecode of a single method
+ * @returns {Array} Array of instruction objects in pc order
+ */
+export function decodeInstructions(code) {
+    const view = new DataView(code.buffer, code.byteOffset, code.byteLength);
+    const instructions = [];
+    let pc = 0;
+
+    while (pc < code.length) {
+        const opcode = view.getUint8(pc);
+        const mnemonic = MNEMONICS[opcode];
+        if (mnemonic === undefined) {
+            throw new Error(`Unknown opcode 0x${opcode.toString(16).toUpperCase()} at pc ${pc}`);
+        }
+
+        const insn = { pc, opcode, mnemonic };
+        let offset = pc + 1;
+
+        switch (OPERAND_FORMATS[opcode]) {
+            case 'byte':
+                insn.value = view.getInt8(offset);
+                offset += 1;
+                break;
+
+            case 'short':
+                insn.value = view.getInt16(offset, false);
+                offset += 2;
+                break;
+
+            case 'cp1':
+                insn.cpIndex = view.getUint8(offset);
+                offset += 1;
+                break;
+
+            case 'cp2':
+                insn.cpIndex = view.getUint16(offset, false);
+                offset += 2;
+                break;
+
+            case 'local':
+                insn.local = view.getUint8(offset);
+                offset += 1;
+                break;
+
+            case 'iinc':
+                insn.local = view.getUint8(offset);
+                insn.value = view.getInt8(offset + 1);
+                offset += 2;
+                break;
+
+            case 'branch2':
+                insn.target = pc + view.getInt16(offset, false);
+                offset += 2;
+                break;
+
+            case 'branch4':
+                insn.target = pc + view.getInt32(offset, false);
+                offset += 4;
+                break;
+
+            case 'tableswitch':
+                {
+                    // 0-3 bytes of padding align the operands to a multiple of 4
+                    offset += (4 - (offset % 4)) % 4;
+                    insn.defaultTarget = pc + view.getInt32(offset, false);
+                    insn.low = view.getInt32(offset + 4, false);
+                    insn.high = view.getInt32(offset + 8, false);
+                    offset += 12;
+                    if (insn.high < insn.low) {
+                        throw new Error(`Invalid tableswitch range at pc ${pc}`);
+                    }
+                    insn.cases = [];
+                    for (let match = insn.low; match <= insn.high; match++) {
+                        insn.cases.push({ match, target: pc + view.getInt32(offset, false) });
+                        offset += 4;
+                    }
+                }
+                break;
+
+            case 'lookupswitch':
+                {
+                    offset += (4 - (offset % 4)) % 4;
+                    insn.defaultTarget = pc + view.getInt32(offset, false);
+                    const npairs = view.getInt32(offset + 4, false);
+                    offset += 8;
+                    if (npairs < 0) {
+                        throw new Error(`Invalid lookupswitch pair count at pc ${pc}`);
+                    }
+                    insn.cases = [];
+                    for (let i = 0; i < npairs; i++) {
+                        insn.cases.push({
+                            match: view.getInt32(offset, false),
+                            target: pc + view.getInt32(offset + 4, false),
+                        });
+                        offset += 8;
+                    }
+                }
+                break;
+
+            case 'invokeinterface':
+                // indexbyte1, indexbyte2, count, 0
+                insn.cpIndex = view.getUint16(offset, false);
+                insn.count = view.getUint8(offset + 2);
+                offset += 4;
+                break;
+
+            case 'invokedynamic':
+                // indexbyte1, indexbyte2, 0, 0
+                insn.cpIndex = view.getUint16(offset, false);
+                offset += 4;
+                break;
+
+            case 'newarray':
+                insn.arrayType = ARRAY_TYPES[view.getUint8(offset)];
+                offset += 1;
+                break;
+
+            case 'multianewarray':
+                insn.cpIndex = view.getUint16(offset, false);
+                insn.dimensions = view.getUint8(offset + 2);
+                offset += 3;
+                break;
+
+            case 'wide':
+                {
+                    // wide modifies the following instruction to take 16-bit operands
+                    const modified = view.getUint8(offset);
+                    insn.opcode = modified;
+                    insn.mnemonic = MNEMONICS[modified];
+                    insn.wide = true;
+                    insn.local = view.getUint16(offset + 1, false);
+                    offset += 3;
+                    if (modified === 0x84) {
+                        insn.value = view.getInt16(offset, false);
+                        offset += 2;
+                    } else if (OPERAND_FORMATS[modified] !== 'local') {
+                        throw new Error(`Invalid wide opcode 0x${modified.toString(16).toUpperCase()} at pc ${pc}`);
+                    }
+                }
+                break;
+        }
+
+        insn.length = offset - pc;
+        instructions.push(insn);
+        pc = offset;
+    }
+
+    if (pc !== code.length) {
+        throw new Error(`Instruction at pc ${instructions[instructions.length - 1].pc} overruns code array`);
+    }
+
+    return instructions;
+}
+
+/**
+ * Describe a constant pool entry the way javap prints it in comments,
+ * e.g. "Method java/io/PrintStream.println:(Ljava/lang/String;)V".
+ *
+ * @param {Array} constantPool
+ * @param {number} index
+ * @returns {string}
+ */
+export function describeConstant(constantPool, index) {
+    const entry = constantPool[index];
+    if (!entry) {
+        return `<invalid #${index}>`;
+    }
+
+    switch (entry.tag) {
+        case 1:
+            return `Utf8 ${entry.value}`;
+        case 3:
+            return `int ${entry.value}`;
+        case 4:
+            return `float ${entry.value}f`;
+        case 5:
+            return `long ${entry.value}l`;
+        case 6:
+            return `double ${entry.value}d`;
+        case 7:
+            return `class ${utf8(constantPool, entry.nameIndex)}`;
+        case 8:
+            return `String ${utf8(constantPool, entry.stringIndex)}`;
+        case 9:
+            return `Field ${memberRef(constantPool, entry)}`;
+        case 10:
+            return `Method ${memberRef(constantPool, entry)}`;
+        case 11:
+            return `InterfaceMethod ${memberRef(constantPool, entry)}`;
+        case 12:
+            return `NameAndType ${nameAndType(constantPool, index)}`;
+        case 15:
+            return `MethodHandle ${REFERENCE_KINDS[entry.referenceKind]} ${describeConstant(constantPool, entry.referenceIndex)}`;
+        case 16:
+            return `MethodType ${utf8(constantPool, entry.descriptorIndex)}`;
+        case 17:
+            return `Dynamic #${entry.bootstrapMethodAttrIndex}:${nameAndType(constantPool, entry.nameAndTypeIndex)}`;
+        case 18:
+            return `InvokeDynamic #${entry.bootstrapMethodAttrIndex}:${nameAndType(constantPool, entry.nameAndTypeIndex)}`;
+        case 19:
+            return `Module ${utf8(constantPool, entry.nameIndex)}`;
+        case 20:
+            return `Package ${utf8(constantPool, entry.nameIndex)}`;
+        default:
+            return `<tag ${entry.tag}>`;
+    }
+}
+
+function utf8(constantPool, index) {
+    const entry = constantPool[index];
+    return entry && entry.tag === 1 ? entry.value : `#${index}`;
+}
+
+function nameAndType(constantPool, index) {
+    const entry = constantPool[index];
+    if (!entry || entry.tag !== 12) {
+        return `#${index}`;
+    }
+    return `${utf8(constantPool, entry.nameIndex)}:${utf8(constantPool, entry.descriptorIndex)}`;
+}
+
+function memberRef(constantPool, entry) {
+    const classEntry = constantPool[entry.classIndex];
+    const owner = classEntry && classEntry.tag === 7 ? utf8(constantPool, classEntry.nameIndex) : `#${entry.classIndex}`;
+    return `${owner}.${nameAndType(constantPool, entry.nameAndTypeIndex)}`;
+}
+
+/**
+ * Render decoded instructions as a javap -c style listing.
+ *
+ * @param {Array} instructions - Output of decodeInstructions
+ * @param {Array} constantPool - Constant pool of the declaring class
+ * @returns {string} One line per instruction (switches span several lines)
+ */
+export function formatInstructions(instructions, constantPool) {
+    const lines = [];
+
+    for (const insn of instructions) {
+        const prefix = `${String(insn.pc).padStart(6)}: `;
+        const mnemonic = insn.mnemonic.padEnd(13);
+
+        if (insn.cases) {
+            const header = insn.opcode === 0xAA
+                ? `{ // ${insn.low} to ${insn.high}`
+                : `{ // ${insn.cases.length}`;
+            lines.push(`${prefix}${mnemonic} ${header}`);
+            for (const { match, target } of insn.cases) {
+                lines.push(`${String(match).padStart(22)}: ${target}`);
+            }
+            lines.push(`${'default'.padStart(22)}: ${insn.defaultTarget}`);
+            lines.push(`${' '.repeat(8)}}`);
+            continue;
+        }
+
+        let operands = '';
+        if (insn.cpIndex !== undefined) {
+            operands = `#${insn.cpIndex}`;
+            if (insn.count !== undefined) operands += `,  ${insn.count}`;
+            if (insn.dimensions !== undefined) operands += `,  ${insn.dimensions}`;
+            const comment = describeConstant(constantPool, insn.cpIndex);
+            lines.push(`${prefix}${mnemonic} ${operands.padEnd(18)} // ${comment}`);
+            continue;
+        }
+
+        if (insn.opcode === 0x84) {
+            operands = `${insn.local}, ${insn.value}`;
+        } else if (insn.local !== undefined) {
+            operands = String(insn.local);
+        } else if (insn.target !== undefined) {
+            operands = String(insn.target);
+        } else if (insn.value !== undefined) {
+            operands = String(insn.value);
+        } else if (insn.arrayType !== undefined) {
+            operands = insn.arrayType;
+        }
+
+        const text = insn.wide ? `wide ${insn.mnemonic}`.padEnd(13) : mnemonic;
+        lines.push(operands ? `${prefix}${text} ${operands}` : `${prefix}${insn.mnemonic}`);
+    }
+
+    return lines.join('\n');
+}
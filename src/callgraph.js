@@ -0,0 +1,251 @@
+/**
+ * Call Graph
+ *
+ * Collects the invoke instructions of each method and links callers to
+ * callees across the classes of a JAR, so a large method can be traced to
+ * who calls it and what it calls. Exports the graph as JSON or Graphviz DOT.
+ */
+
+import { classpathOrder } from './classpath.js';
+
+/**
+ * Invoke opcodes and the kind recorded for each.
+ */
+const INVOKE_KINDS = {
+    0xB6: 'virtual',
+    0xB7: 'special',
+    0xB8: 'static',
+    0xB9: 'interface',
+    0xBA: 'dynamic',
+};
+
+/**
+ * Class name recorded for invokedynamic call sites, which have no owner
+ * class until the bootstrap method links them.
+ */
+export const DYNAMIC_CALL_CLASS = '<dynamic>';
+
+/**
+ * Separator between an archive and the classes in it, as in parseJar paths.
+ */
+const ARCHIVE_SEPARATOR = '!/';
+
+/**
+ * List the call sites of a method, in pc order.
+ *
+ * @param {Array} instructions - Result of decodeInstructions
+ * @param {Array} constantPool - Constant pool with resolved references
+ * @returns {Array} { pc, kind, className, methodName, descriptor }; className is
+ *   in internal form (java/lang/String), or DYNAMIC_CALL_CLASS for invokedynamic,
+ *   whose entries also carry the bootstrapMethod index into the BootstrapMethods attribute
+ */
+export function collectInvocations(instructions, constantPool) {
+    const invocations = [];
+    for (const insn of instructions) {
+        const kind = INVOKE_KINDS[insn.opcode];
+        if (!kind) continue;
+
+        const ref = constantPool[insn.cpIndex];
+        if (!ref || ref.name === undefined) {
+            throw new Error(`Invalid method reference #${insn.cpIndex} at pc ${insn.pc}`);
+        }
+        if (kind === 'dynamic') {
+            invocations.push({
+                pc: insn.pc,
+                kind,
+                className: DYNAMIC_CALL_CLASS,
+                methodName: ref.name,
+                descriptor: ref.descriptor,
+                bootstrapMethod: ref.bootstrapMethodAttrIndex,
+            });
+        } else {
+            invocations.push({ pc: insn.pc, kind, className: ref.className, methodName: ref.name, descriptor: ref.descriptor });
+        }
+    }
+    return invocations;
+}
+
+/**
+ * Merge the call sites of a method by target, converting class names to
+ * dot notation to match parseJar method records. invokedynamic call sites
+ * are merged only when they share their bootstrap method as well.
+ *
+ * @param {Array} invocations - Result of collectInvocations
+ * @returns {Array} { kind, className, methodName, descriptor, count } in order of first call;
+ *   dynamic calls also carry their bootstrapMethod
+ */
+export function summarizeCalls(invocations) {
+    const calls = new Map();
+    for (const { kind, className, methodName, descriptor, bootstrapMethod } of invocations) {
+        const key = `${kind} ${className}.${methodName}${descriptor} ${bootstrapMethod ?? ''}`;
+        const call = calls.get(key);
+        if (call) {
+            call.count++;
+        } else if (kind === 'dynamic') {
+            calls.set(key, { kind, className, methodName, descriptor, bootstrapMethod, count: 1 });
+        } else {
+            calls.set(key, { kind, className: className.replace(/\//g, '.'), methodName, descriptor, count: 1 });
+        }
+    }
+    return [...calls.values()];
+}
+
+/**
+ * Identify a method in the call graph, e.g. "com.example.Foo.run(I)V", or
+ * "lib/a.jar!/com.example.Foo.run(I)V" for a method of a nested or other
+ * input archive, so that classes of the same name in several archives stay
+ * apart. Call targets have no archive.
+ *
+ * @param {Object} method - Method record or call target { className, methodName, descriptor, archive }
+ * @returns {string}
+ */
+export function methodId(method) {
+    const signature = `${method.className}.${method.methodName}${method.descriptor}`;
+    return method.archive ? `${method.archive}${ARCHIVE_SEPARATOR}${signature}` : signature;
+}
+
+/**
+ * Identify the target of a call in the call graph. The target of an
+ * invokedynamic call site is only known once its bootstrap method links it,
+ * so it is identified by the calling class and the bootstrap method, e.g.
+ * "com.example.Foo.<dynamic>#3:run()Ljava/lang/Runnable;": unrelated
+ * lambdas with the same name and type do not share a node.
+ *
+ * @param {Object} method - Method record making the call
+ * @param {Object} call - Entry of its calls
+ * @returns {string}
+ */
+function dynamicTargetId(method, call) {
+    return methodId({
+        archive: method.archive,
+        className: method.className,
+        methodName: `${DYNAMIC_CALL_CLASS}#${call.bootstrapMethod}:${call.methodName}`,
+        descriptor: call.descriptor,
+    });
+}
+
+/**
+ * Build the call graph of a set of methods.
+ *
+ * Every method becomes a node; callees that are not among the methods (the
+ * JDK, other libraries, or methods left out by a filter) are added as
+ * external nodes. Calls are matched by class, name and descriptor, so a
+ * virtual call is linked to the declared target, not to overrides. A class
+ * in several archives has a node per archive: a call goes to the one in the
+ * caller's archive, else to the first on the classpath, as a class loader
+ * would resolve it. Edges refer to nodes by index, which keeps large graphs
+ * compact.
+ *
+ * @param {Array} methods - Method records from parseJar
+ * @param {string[]} sources - Input names in classpath order
+ * @returns {Object} { nodes: [{ id, className, methodName, descriptor, bytecodeSize, external }],
+ *   edges: [{ from, to, kind, count }] } where from and to are indexes into nodes
+ */
+export function buildCallGraph(methods, sources = []) {
+    const nodes = [];
+    const indexes = new Map();
+    const addNode = (id, target, bytecodeSize, external) => {
+        let index = indexes.get(id);
+        if (index === undefined) {
+            index = nodes.length;
+            indexes.set(id, index);
+            nodes.push({
+                id,
+                className: target.className,
+                methodName: target.methodName,
+                descriptor: target.descriptor,
+                bytecodeSize,
+                external,
+            });
+        }
+        return index;
+    };
+
+    const definitions = new Map();
+    for (const method of methods) {
+        addNode(methodId(method), method, method.bytecodeSize, false);
+        const signature = methodId({ ...method, archive: '' });
+        if (definitions.has(signature)) {
+            definitions.get(signature).push(method);
+        } else {
+            definitions.set(signature, [method]);
+        }
+    }
+    const order = classpathOrder(sources);
+    for (const defined of definitions.values()) {
+        defined.sort(order);
+    }
+
+    const resolve = (method, call) => {
+        if (call.kind === 'dynamic') return dynamicTargetId(method, call);
+        const defined = definitions.get(methodId(call));
+        if (!defined) return methodId(call);
+        return methodId(defined.find((m) => m.archive === method.archive) ?? defined[0]);
+    };
+
+    const edges = [];
+    for (const method of methods) {
+        const from = indexes.get(methodId(method));
+        for (const call of method.calls) {
+            edges.push({ from, to: addNode(resolve(method, call), call, 0, true), kind: call.kind, count: call.count });
+        }
+    }
+
+    return { nodes, edges };
+}
+
+/**
+ * Index the edges of a call graph by method.
+ *
+ * @param {Object} graph - Result of buildCallGraph
+ * @returns {{ callers: Map<string, Array>, callees: Map<string, Array> }} For each node id,
+ *   { node, kind, count } entries for the methods calling it and the methods it calls
+ */
+export function indexCallGraph(graph) {
+    const callers = new Map();
+    const callees = new Map();
+    for (const { from, to, kind, count } of graph.edges) {
+        const caller = graph.nodes[from];
+        const callee = graph.nodes[to];
+        if (!callers.has(callee.id)) callers.set(callee.id, []);
+        callers.get(callee.id).push({ node: caller, kind, count });
+        if (!callees.has(caller.id)) callees.set(caller.id, []);
+        callees.get(caller.id).push({ node: callee, kind, count });
+    }
+    return { callers, callees };
+}
+
+/**
+ * Escape text for a quoted DOT string.
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeDot(text) {
+    return text.replace(/[\\"]/g, '\\$&');
+}
+
+/**
+ * Render a call graph in Graphviz DOT format. External nodes are dashed and
+ * edges with several call sites are labelled with the count.
+ *
+ * @param {Object} graph - Result of buildCallGraph
+ * @returns {string}
+ */
+export function formatCallGraphDot(graph) {
+    const lines = ['digraph calls {', '    node [shape=box, fontname="monospace"];'];
+    for (const node of graph.nodes) {
+        const id = escapeDot(node.id);
+        if (node.external) {
+            lines.push(`    "${id}" [style=dashed];`);
+        } else {
+            lines.push(`    "${id}" [label="${id}\\n${node.bytecodeSize} bytes"];`);
+        }
+    }
+    for (const edge of graph.edges) {
+        const label = edge.count > 1 ? ` [label="${edge.count}"]` : '';
+        lines.push(`    "${escapeDot(graph.nodes[edge.from].id)}" -> "${escapeDot(graph.nodes[edge.to].id)}"${label};`);
+    }
+    lines.push('}');
+    return `${lines.join('\n')}\n`;
+}
@@ -0,0 +1,273 @@
+/**
+ * Class File Reader
+ *
+ * Bounds-checked big-endian reads over a class file, and a decoder for the
+ * Modified UTF-8 encoding of CONSTANT_Utf8 entries. A reader is a plain
+ * object { view, pos, end, section, container }: section names the part of
+ * the class file being read and container what it must fit in, so a
+ * truncated or corrupt file fails with an error such as
+ * "method #12 attribute 'Code' overruns class file at 0x3F2A".
+ * Reference: https://docs.oracle.com/javase/specs/jvms/se21/html/jvms-4.html#jvms-4.4.7
+ */
+
+/**
+ * Longest run of characters passed to String.fromCharCode at once.
+ */
+const CHUNK_SIZE = 8192;
+
+const utf8Decoder = new TextDecoder();
+
+/**
+ * Format a byte offset for error messages.
+ *
+ * @param {number} offset
+ * @returns {string} e.g. "0x3F2A"
+ */
+export function formatOffset(offset) {
+    return `0x${offset.toString(16).toUpperCase()}`;
+}
+
+/**
+ * Create a reader over a whole class file.
+ *
+ * @param {ArrayBuffer|Uint8Array} buffer
+ * @returns {Object} Reader positioned at the start of the file
+ */
+export function createClassReader(buffer) {
+    const view = buffer instanceof Uint8Array
+        ? new DataView(buffer.buffer, buffer.byteOffset, buffer.byteLength)
+        : new DataView(buffer);
+    return { view, pos: 0, end: view.byteLength, section: 'class header', container: 'class file' };
+}
+
+/**
+ * Throw an error naming the current section and a byte offset in the class file.
+ *
+ * @param {Object} reader
+ * @param {string} message - Follows the section name, e.g. "has an invalid UTF8 reference #7"
+ * @param {number} [offset] - Offset to report, the reader position by default
+ */
+export function fail(reader, message, offset = reader.pos) {
+    throw new Error(`${reader.section} ${message} at ${formatOffset(offset)}`);
+}
+
+/**
+ * Check that length more bytes can be read.
+ *
+ * @param {Object} reader
+ * @param {number} length
+ */
+function ensure(reader, length) {
+    if (reader.pos + length > reader.end) {
+        fail(reader, `overruns ${reader.container}`);
+    }
+}
+
+/**
+ * Read an unsigned byte.
+ *
+ * @param {Object} reader
+ * @returns {number}
+ */
+export function readU1(reader) {
+    ensure(reader, 1);
+    return reader.view.getUint8(reader.pos++);
+}
+
+/**
+ * Read an unsigned 16-bit value.
+ *
+ * @param {Object} reader
+ * @returns {number}
+ */
+export function readU2(reader) {
+    ensure(reader, 2);
+    const value = reader.view.getUint16(reader.pos, false);
+    reader.pos += 2;
+    return value;
+}
+
+/**
+ * Read an unsigned 32-bit value.
+ *
+ * @param {Object} reader
+ * @returns {number}
+ */
+export function readU4(reader) {
+    ensure(reader, 4);
+    const value = reader.view.getUint32(reader.pos, false);
+    reader.pos += 4;
+    return value;
+}
+
+/**
+ * Read a signed 32-bit integer (CONSTANT_Integer).
+ *
+ * @param {Object} reader
+ * @returns {number}
+ */
+export function readI4(reader) {
+    ensure(reader, 4);
+    const value = reader.view.getInt32(reader.pos, false);
+    reader.pos += 4;
+    return value;
+}
+
+/**
+ * Read a 32-bit float (CONSTANT_Float).
+ *
+ * @param {Object} reader
+ * @returns {number}
+ */
+export function readF4(reader) {
+    ensure(reader, 4);
+    const value = reader.view.getFloat32(reader.pos, false);
+    reader.pos += 4;
+    return value;
+}
+
+/**
+ * Read a signed 64-bit integer (CONSTANT_Long).
+ *
+ * @param {Object} reader
+ * @returns {bigint}
+ */
+export function readI8(reader) {
+    ensure(reader, 8);
+    const value = reader.view.getBigInt64(reader.pos, false);
+    reader.pos += 8;
+    return value;
+}
+
+/**
+ * Read a 64-bit float (CONSTANT_Double).
+ *
+ * @param {Object} reader
+ * @returns {number}
+ */
+export function readF8(reader) {
+    ensure(reader, 8);
+    const value = reader.view.getFloat64(reader.pos, false);
+    reader.pos += 8;
+    return value;
+}
+
+/**
+ * Read length bytes as a view into the class file buffer, not a copy.
+ *
+ * @param {Object} reader
+ * @param {number} length
+ * @returns {Uint8Array}
+ */
+export function readBytes(reader, length) {
+    ensure(reader, length);
+    const bytes = new Uint8Array(reader.view.buffer, reader.view.byteOffset + reader.pos, length);
+    reader.pos += length;
+    return bytes;
+}
+
+/**
+ * Skip length bytes.
+ *
+ * @param {Object} reader
+ * @param {number} length
+ */
+export function skipBytes(reader, length) {
+    ensure(reader, length);
+    reader.pos += length;
+}
+
+/**
+ * Split off the next length bytes as a reader of their own, e.g. for the
+ * body of an attribute, and move past them. Reads beyond those bytes fail
+ * as overrunning the declared length; offsets stay relative to the class file.
+ *
+ * @param {Object} reader
+ * @param {number} length
+ * @param {string} section - Name of the structure, e.g. "class attribute 'SourceFile'"
+ * @returns {Object} Reader over the length bytes
+ */
+export function sliceReader(reader, length, section) {
+    reader.section = section;
+    ensure(reader, length);
+    const slice = {
+        view: reader.view,
+        pos: reader.pos,
+        end: reader.pos + length,
+        section,
+        container: `its declared length of ${length} bytes`,
+    };
+    reader.pos += length;
+    return slice;
+}
+
+/**
+ * Decode Modified UTF-8 (JVMS 4.4.7), the encoding of CONSTANT_Utf8
+ * entries. It differs from standard UTF-8 in that NUL is encoded as the two
+ * bytes C0 80 and characters outside the Basic Multilingual Plane as their
+ * UTF-16 surrogate pair, each surrogate encoded in three bytes. Four-byte
+ * forms and raw zero bytes are not allowed.
+ *
+ * @param {Uint8Array} bytes
+ * @param {string} [section] - Named in the error for malformed input
+ * @param {number} [offset] - Class file offset of the first byte, for errors
+ * @returns {string}
+ */
+export function decodeModifiedUtf8(bytes, section = 'string', offset = 0) {
+    const length = bytes.length;
+    let i = 0;
+    while (i < length && bytes[i] > 0 && bytes[i] < 0x80) i++;
+    if (i === length) {
+        // Plain ASCII reads the same in both encodings
+        return utf8Decoder.decode(bytes);
+    }
+
+    const malformed = (at) => {
+        throw new Error(`${section} has malformed Modified UTF-8 byte 0x${bytes[at].toString(16).toUpperCase().padStart(2, '0')} at ${formatOffset(offset + at)}`);
+    };
+    const continuation = (at) => {
+        if (at >= length) {
+            throw new Error(`${section} has a truncated Modified UTF-8 sequence at ${formatOffset(offset + at)}`);
+        }
+        if ((bytes[at] & 0xC0) !== 0x80) malformed(at);
+        return bytes[at] & 0x3F;
+    };
+
+    // Never more UTF-16 units than bytes
+    const units = new Uint16Array(length);
+    units.set(bytes.subarray(0, i));
+    let count = i;
+    while (i < length) {
+        const b = bytes[i];
+        if (b > 0 && b < 0x80) {
+            units[count++] = b;
+            i += 1;
+        } else if ((b & 0xE0) === 0xC0) {
+            units[count++] = ((b & 0x1F) << 6) | continuation(i + 1);
+            i += 2;
+        } else if ((b & 0xF0) === 0xE0) {
+            units[count++] = ((b & 0x0F) << 12) | (continuation(i + 1) << 6) | continuation(i + 2);
+            i += 3;
+        } else {
+            malformed(i);
+        }
+    }
+
+    let text = '';
+    for (let start = 0; start < count; start += CHUNK_SIZE) {
+        text += String.fromCharCode.apply(null, units.subarray(start, Math.min(start + CHUNK_SIZE, count)));
+    }
+    return text;
+}
+
+/**
+ * Read length bytes of Modified UTF-8 text.
+ *
+ * @param {Object} reader
+ * @param {number} length
+ * @returns {string}
+ */
+export function readModifiedUtf8(reader, length) {
+    const offset = reader.pos;
+    return decodeModifiedUtf8(readBytes(reader, length), reader.section, offset);
+}
@@ -0,0 +1,155 @@
+/**
+ * Classpath Conflicts
+ *
+ * Finds the classes defined in more than one archive of a classpath or fat
+ * JAR, telling copies with the same bytes from diverging ones, and the
+ * packages whose classes come from several archives. A class loader takes
+ * the first definition it finds, so diverging copies make behavior depend on
+ * the classpath order; split packages cannot be put into named modules.
+ * Reference: https://docs.oracle.com/en/java/javase/21/docs/api/java.base/java/lang/module/package-summary.html
+ */
+
+/**
+ * Classes that every modular JAR defines, which do not conflict.
+ */
+const IGNORED_CLASSES = new Set(['module-info']);
+
+/**
+ * Package of a class in dot notation, '' for the default package.
+ *
+ * @param {string} className - e.g. "com.example.Foo"
+ * @returns {string}
+ */
+export function packageName(className) {
+    const dot = className.lastIndexOf('.');
+    return dot === -1 ? '' : className.slice(0, dot);
+}
+
+/**
+ * Compare class or method records by their place on the classpath: the
+ * order of their inputs in sources, then archive and entry path.
+ *
+ * @param {string[]} sources - Input names in classpath order
+ * @returns {Function} Comparator
+ */
+export function classpathOrder(sources) {
+    const position = (source) => {
+        const index = sources.indexOf(source);
+        return index === -1 ? sources.length : index;
+    };
+    return (a, b) => position(a.source) - position(b.source) ||
+        a.archive.localeCompare(b.archive) ||
+        (a.classFile ?? '').localeCompare(b.classFile ?? '');
+}
+
+/**
+ * Classes defined more than once. A duplicate is identical when all its
+ * definitions have the same crc32, and null when that is unknown because a
+ * definition comes from a DEX file. Diverging duplicates come first.
+ *
+ * @param {Array} classes - Class records from parseJar
+ * @param {string[]} sources - Input names in classpath order
+ * @returns {Array} { className, packageName, identical, definitions } with definitions
+ *   { archive, source, classFile, format, releaseVersion, uncompressedSize, crc32 } in classpath order
+ */
+export function findDuplicateClasses(classes, sources = []) {
+    const byName = new Map();
+    for (const c of classes) {
+        if (IGNORED_CLASSES.has(c.className)) continue;
+        const definitions = byName.get(c.className);
+        if (definitions) {
+            definitions.push(c);
+        } else {
+            byName.set(c.className, [c]);
+        }
+    }
+
+    const order = classpathOrder(sources);
+    const rank = (identical) => (identical === false ? 0 : identical === null ? 1 : 2);
+    const duplicates = [];
+    for (const [className, definitions] of byName) {
+        if (definitions.length < 2) continue;
+        const identical = definitions.some((d) => d.crc32 === null)
+            ? null
+            : definitions.every((d) => d.crc32 === definitions[0].crc32);
+        duplicates.push({
+            className,
+            packageName: packageName(className),
+            identical,
+            definitions: [...definitions].sort(order).map((d) => ({
+                archive: d.archive,
+                source: d.source,
+                classFile: d.classFile,
+                format: d.format,
+                releaseVersion: d.releaseVersion,
+                uncompressedSize: d.uncompressedSize,
+                crc32: d.crc32,
+            })),
+        });
+    }
+
+    return duplicates.sort((a, b) => rank(a.identical) - rank(b.identical) ||
+        b.definitions.length - a.definitions.length ||
+        a.className.localeCompare(b.className));
+}
+
+/**
+ * Packages with classes from more than one archive, the most split first.
+ *
+ * @param {Array} classes - Class records from parseJar
+ * @param {string[]} sources - Input names in classpath order
+ * @returns {Array} { packageName, classCount, archives } with archives { archive, source, classCount }
+ *   in classpath order
+ */
+export function findSplitPackages(classes, sources = []) {
+    const byPackage = new Map();
+    for (const c of classes) {
+        if (IGNORED_CLASSES.has(c.className)) continue;
+        const name = packageName(c.className);
+        let archives = byPackage.get(name);
+        if (!archives) {
+            archives = new Map();
+            byPackage.set(name, archives);
+        }
+        const archive = archives.get(c.archive);
+        if (archive) {
+            archive.classCount++;
+        } else {
+            archives.set(c.archive, { archive: c.archive, source: c.source, classCount: 1 });
+        }
+    }
+
+    const order = classpathOrder(sources);
+    const split = [];
+    for (const [name, archives] of byPackage) {
+        if (archives.size < 2) continue;
+        const list = [...archives.values()].sort(order);
+        split.push({
+            packageName: name,
+            classCount: list.reduce((sum, a) => sum + a.classCount, 0),
+            archives: list,
+        });
+    }
+
+    return split.sort((a, b) => b.archives.length - a.archives.length || a.packageName.localeCompare(b.packageName));
+}
+
+/**
+ * Find the conflicts between the archives of a parseFiles result: the
+ * classes of several JARs on a classpath, or of a fat JAR and the libraries
+ * nested in it. Archives are told apart by the `archive` of their classes,
+ * so loose class files count as one archive.
+ *
+ * @param {Object} result - Result of parseJar or parseFiles
+ * @param {string[]} sources - Input names in classpath order, which orders the definitions
+ * @returns {Object} { duplicateClasses, splitPackages, differingClasses }, differingClasses
+ *   being the number of duplicates whose bytes differ
+ */
+export function analyzeClasspath(result, sources = []) {
+    const duplicateClasses = findDuplicateClasses(result.classes, sources);
+    return {
+        duplicateClasses,
+        splitPackages: findSplitPackages(result.classes, sources),
+        differingClasses: duplicateClasses.filter((d) => d.identical === false).length,
+    };
+}
@@ -0,0 +1,399 @@
+/**
+ * Command-line interface
+ *
+ * Analyzes one or more JARs, other archives, class files or directories of
+ * them, prints the largest methods and the classpath conflicts between
+ * archives, and enforces size budgets so a build can fail on oversized
+ * methods.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { parseArgs } from 'util';
+import { parseFiles, getTopMethods, computeSizeDistribution, DEFAULT_JIT_LIMITS, SIZE_UNITS } from './parser.js';
+import { openFileSource, listInputFiles } from './file-source.js';
+import { LATEST_VERSION, resolveTargetVersion } from './multi-release.js';
+import { analyzeClasspath } from './classpath.js';
+
+/**
+ * Exit codes.
+ */
+export const EXIT_OK = 0;
+export const EXIT_BUDGET_EXCEEDED = 1;
+export const EXIT_USAGE = 2;
+
+/**
+ * --sort values and the method record field each one orders by.
+ */
+const SORT_FIELDS = {
+    size: 'bytecodeSize',
+    complexity: 'cyclomaticComplexity',
+    blocks: 'basicBlocks',
+    branches: 'branches',
+    'switch-cases': 'switchCases',
+    handlers: 'exceptionHandlers',
+    bloat: 'bloatBytes',
+};
+
+const USAGE = `Usage: jar-bytecode-analyzer [options] <file|directory>...
+
+Each .jar, .war, .ear, .aar, .apk, .jmod, .class or .dex file is analyzed on
+its own, and each directory as all such files under it together. Classes
+defined in several archives and packages split across archives are reported
+as conflicts.
+
+Options:
+  -c, --classpath              Analyze all files together as one classpath, in
+                               the order given
+  -n, --top <n>                Number of methods to print per file (default 10)
+  -s, --sort <metric>          Order methods by ${Object.keys(SORT_FIELDS).join(', ')}
+                               (default size)
+  -f, --format <table|json>    Output format (default table)
+      --max-method-size <n>    Fail if any method is larger than n bytes
+                               (n code units for DEX methods)
+      --max-huge-methods <n>   Fail if more than n methods exceed HugeMethodLimit
+                               (class files only, not DEX)
+      --max-inline-size <n>    HotSpot MaxInlineSize (default ${DEFAULT_JIT_LIMITS.maxInlineSize})
+      --freq-inline-size <n>   HotSpot FreqInlineSize (default ${DEFAULT_JIT_LIMITS.freqInlineSize})
+      --huge-method-limit <n>  HotSpot HugeMethodLimit (default ${DEFAULT_JIT_LIMITS.hugeMethodLimit})
+      --nested-depth <n>       Levels of nested archives to open (default 2)
+      --target-version <n>     Java release to analyze multi-release JARs for
+                               (default ${LATEST_VERSION})
+  -h, --help                   Show this help
+
+Exit status is 0 on success, 1 when a budget is exceeded and 2 on usage or
+read errors.`;
+
+/**
+ * Parse a non-negative integer option value.
+ *
+ * @param {string|undefined} value
+ * @param {string} name - Option name for the error message
+ * @returns {number|undefined}
+ */
+function parseCount(value, name) {
+    if (value === undefined) return undefined;
+    if (!/^\d+$/.test(value)) {
+        throw new Error(`--${name} expects a non-negative integer, got '${value}'`);
+    }
+    return parseInt(value, 10);
+}
+
+/**
+ * Parse command-line arguments.
+ *
+ * @param {string[]} argv - Arguments without the node and script paths
+ * @returns {Object} { files, classpath, top, sort, format, budgets, jitLimits, nestedDepth, targetVersion,
+ *   help }
+ */
+export function parseCliArgs(argv) {
+    const { values, positionals } = parseArgs({
+        args: argv,
+        allowPositionals: true,
+        options: {
+            classpath: { type: 'boolean', short: 'c' },
+            top: { type: 'string', short: 'n' },
+            sort: { type: 'string', short: 's' },
+            format: { type: 'string', short: 'f' },
+            'max-method-size': { type: 'string' },
+            'max-huge-methods': { type: 'string' },
+            'max-inline-size': { type: 'string' },
+            'freq-inline-size': { type: 'string' },
+            'huge-method-limit': { type: 'string' },
+            'nested-depth': { type: 'string' },
+            'target-version': { type: 'string' },
+            help: { type: 'boolean', short: 'h' },
+        },
+    });
+
+    const format = values.format ?? 'table';
+    if (format !== 'table' && format !== 'json') {
+        throw new Error(`--format must be 'table' or 'json', got '${format}'`);
+    }
+
+    const sort = values.sort ?? 'size';
+    if (!Object.hasOwn(SORT_FIELDS, sort)) {
+        throw new Error(`--sort must be one of ${Object.keys(SORT_FIELDS).join(', ')}, got '${sort}'`);
+    }
+
+    const targetVersion = values['target-version'] ?? LATEST_VERSION;
+    try {
+        resolveTargetVersion(targetVersion);
+    } catch (e) {
+        throw new Error(`--target-version expects '${LATEST_VERSION}' or a Java release of at least 8, got '${targetVersion}'`);
+    }
+
+    const jitLimits = {};
+    const maxInlineSize = parseCount(values['max-inline-size'], 'max-inline-size');
+    const freqInlineSize = parseCount(values['freq-inline-size'], 'freq-inline-size');
+    const hugeMethodLimit = parseCount(values['huge-method-limit'], 'huge-method-limit');
+    if (maxInlineSize !== undefined) jitLimits.maxInlineSize = maxInlineSize;
+    if (freqInlineSize !== undefined) jitLimits.freqInlineSize = freqInlineSize;
+    if (hugeMethodLimit !== undefined) jitLimits.hugeMethodLimit = hugeMethodLimit;
+
+    return {
+        files: positionals,
+        classpath: values.classpath ?? false,
+        top: parseCount(values.top, 'top') ?? 10,
+        sort: SORT_FIELDS[sort],
+        format,
+        budgets: {
+            maxMethodSize: parseCount(values['max-method-size'], 'max-method-size'),
+            maxHugeMethods: parseCount(values['max-huge-methods'], 'max-huge-methods'),
+        },
+        jitLimits,
+        nestedDepth: parseCount(values['nested-depth'], 'nested-depth') ?? 2,
+        targetVersion: targetVersion === LATEST_VERSION ? targetVersion : parseInt(targetVersion, 10),
+        help: values.help ?? false,
+    };
+}
+
+/**
+ * Open a file, or every file under a directory that parseFiles reads, as
+ * parser inputs named by their path.
+ *
+ * @param {string} file - Path given on the command line
+ * @param {Array} inputs - Receives { name, data } for each file; the caller closes file sources
+ */
+async function openInputs(file, inputs) {
+    const paths = (await fs.stat(file)).isDirectory() ? await listInputFiles(file) : [file];
+    if (paths.length === 0) {
+        throw new Error('no .jar, .war, .ear, .aar, .apk, .jmod, .class or .dex files found');
+    }
+    for (const path of paths) {
+        // Class files are small, and a directory may hold more of them than can be kept open
+        const data = /\.class$/i.test(path) ? new Uint8Array(await fs.readFile(path)) : await openFileSource(path);
+        inputs.push({ name: path, data });
+    }
+}
+
+/**
+ * Check a parseJar result against size budgets.
+ *
+ * maxMethodSize is compared with each method's size in its own unit: bytes
+ * for class files, code units for DEX methods.
+ *
+ * @param {Object} result - Result of parseJar
+ * @param {Object} budgets - { maxMethodSize, maxHugeMethods }, undefined entries are not enforced
+ * @returns {string[]} One message per exceeded budget
+ */
+export function checkBudgets(result, budgets) {
+    const violations = [];
+
+    if (budgets.maxMethodSize !== undefined) {
+        for (const [format, unit] of Object.entries(SIZE_UNITS)) {
+            const oversized = result.methods.filter((m) => m.format === format && m.bytecodeSize > budgets.maxMethodSize);
+            if (oversized.length > 0) {
+                const largest = oversized[0];
+                violations.push(
+                    `${oversized.length} ${format === 'dex' ? 'DEX ' : ''}method(s) exceed the maximum method size of ` +
+                    `${budgets.maxMethodSize} ${unit} ` +
+                    `(largest: ${largest.className}.${largest.methodName}${largest.descriptor}, ${largest.bytecodeSize} ${unit})`
+                );
+            }
+        }
+    }
+
+    if (budgets.maxHugeMethods !== undefined) {
+        // DEX methods have no JIT category, so only class file methods count
+        const huge = result.methods.filter((m) => m.jitCategory === 'huge' || m.jitCategory === 'over-limit').length;
+        if (huge > budgets.maxHugeMethods) {
+            violations.push(`${huge} method(s) exceed HugeMethodLimit, budget is ${budgets.maxHugeMethods}`);
+        }
+    }
+
+    return violations;
+}
+
+/**
+ * Order methods by a metric, largest first. parseJar already orders by
+ * size, so ties keep the larger method first.
+ *
+ * @param {Array} methods - Methods from parseJar
+ * @param {string} field - Method record field, e.g. 'cyclomaticComplexity'
+ * @returns {Array}
+ */
+export function sortMethods(methods, field) {
+    if (field === 'bytecodeSize') {
+        return methods;
+    }
+    return [...methods].sort((a, b) => b[field] - a[field]);
+}
+
+/**
+ * Render methods as a plain-text table.
+ *
+ * @param {Array} methods - Methods from parseJar
+ * @returns {string}
+ */
+export function formatTable(methods) {
+    const header = ['#', 'Size', 'Unit', 'CC', 'JIT', 'Class', 'Method'];
+    const rows = methods.map((m, i) => [
+        String(i + 1),
+        String(m.bytecodeSize),
+        m.sizeUnit,
+        String(m.cyclomaticComplexity),
+        m.jitCategory ?? '-',
+        m.className,
+        `${m.methodName}${m.descriptor}`,
+    ]);
+
+    const widths = header.map((h, col) => Math.max(h.length, ...rows.map((r) => r[col].length)));
+    const rightAligned = new Set([0, 1, 3]);
+    const line = (cells) => cells
+        .map((cell, col) => (rightAligned.has(col) ? cell.padStart(widths[col]) : cell.padEnd(widths[col])))
+        .join('  ')
+        .trimEnd();
+
+    return [line(header), ...rows.map(line)].join('\n');
+}
+
+/**
+ * Render the size distribution as a one-line summary.
+ *
+ * @param {Object} distribution - Result of computeSizeDistribution
+ * @returns {string}
+ */
+export function formatDistribution(distribution) {
+    const { format, unit, percentiles, meanPerMethod, meanPerClass } = distribution;
+    return `${format === 'dex' ? 'DEX method' : 'Method'} sizes: p50 ${percentiles.p50}, p90 ${percentiles.p90}, ` +
+        `p99 ${percentiles.p99}, max ${percentiles.max} ${unit}; ` +
+        `mean ${Math.round(meanPerMethod)} per method, ${Math.round(meanPerClass)} per class`;
+}
+
+/**
+ * Render classpath conflicts as text: the duplicate classes, diverging ones
+ * first, and the split packages, each list cut to limit entries.
+ *
+ * @param {Object} conflicts - Result of analyzeClasspath
+ * @param {number} limit - Entries to print per list
+ * @returns {string} Empty when there are no conflicts
+ */
+export function formatConflicts(conflicts, limit) {
+    const { duplicateClasses, splitPackages, differingClasses } = conflicts;
+    const archiveName = (archive) => archive || '(top level)';
+    const lines = [];
+    const listed = (items, format) => {
+        lines.push(...items.slice(0, limit).map(format));
+        if (items.length > limit) {
+            lines.push(`  ... and ${items.length - limit} more`);
+        }
+    };
+
+    if (duplicateClasses.length > 0) {
+        lines.push(`Duplicate classes: ${duplicateClasses.length}, ${differingClasses} with different bytes`);
+        listed(duplicateClasses, (d) => {
+            const state = d.identical === null ? 'unknown' : d.identical ? 'same' : 'differs';
+            return `  ${state.padEnd(7)}  ${d.className}  ${d.definitions.map((def) => archiveName(def.archive)).join(', ')}`;
+        });
+    }
+    if (splitPackages.length > 0) {
+        lines.push(`Split packages: ${splitPackages.length}`);
+        listed(splitPackages, (p) => `  ${p.packageName || '(default package)'}  ` +
+            p.archives.map((a) => `${archiveName(a.archive)} (${a.classCount})`).join(', '));
+    }
+
+    return lines.join('\n');
+}
+
+/**
+ * Run the command-line tool.
+ *
+ * @param {string[]} argv - Arguments without the node and script paths
+ * @param {Object} io - { stdout, stderr } writers with a write(string) method
+ * @returns {Promise<number>} Exit code
+ */
+export async function runCli(argv, io = process) {
+    let args;
+    try {
+        args = parseCliArgs(argv);
+    } catch (e) {
+        io.stderr.write(`${e.message}\n\n${USAGE}\n`);
+        return EXIT_USAGE;
+    }
+
+    if (args.help) {
+        io.stdout.write(`${USAGE}\n`);
+        return EXIT_OK;
+    }
+
+    if (args.files.length === 0) {
+        io.stderr.write(`No files given\n\n${USAGE}\n`);
+        return EXIT_USAGE;
+    }
+
+    const reports = [];
+    let exitCode = EXIT_OK;
+
+    // With --classpath all files make one report, named like a classpath
+    const groups = args.classpath ? [args.files] : args.files.map((file) => [file]);
+    for (const files of groups) {
+        const file = files.join(path.delimiter);
+        let result;
+        let failing = file;
+        const inputs = [];
+        try {
+            for (const each of files) {
+                failing = each;
+                await openInputs(each, inputs);
+            }
+            failing = file;
+            result = await parseFiles(inputs, {
+                jitLimits: args.jitLimits,
+                nestedDepth: args.nestedDepth,
+                targetVersion: args.targetVersion,
+            });
+        } catch (e) {
+            io.stderr.write(`${failing}: ${e.message}\n`);
+            return EXIT_USAGE;
+        } finally {
+            await Promise.all(inputs.map(({ data }) => data.close?.()));
+        }
+
+        const violations = checkBudgets(result, args.budgets);
+        if (violations.length > 0) {
+            exitCode = EXIT_BUDGET_EXCEEDED;
+        }
+
+        reports.push({
+            file,
+            stats: result.stats,
+            sizeDistribution: computeSizeDistribution(result.methods),
+            dexSizeDistribution: result.methods.some((m) => m.format === 'dex')
+                ? computeSizeDistribution(result.methods, 'dex')
+                : null,
+            methods: getTopMethods(sortMethods(result.methods, args.sort), args.top),
+            conflicts: analyzeClasspath(result, inputs.map((input) => input.name)),
+            warnings: result.warnings,
+            violations,
+        });
+    }
+
+    if (args.format === 'json') {
+        io.stdout.write(`${JSON.stringify(reports, null, 2)}\n`);
+    } else {
+        for (const report of reports) {
+            const { classesScanned, methodsFound } = report.stats;
+            io.stdout.write(`${report.file}: ${classesScanned} classes, ${methodsFound} methods\n`);
+            const distributions = [report.sizeDistribution, report.dexSizeDistribution]
+                .filter((d) => d && d.methodCount + d.noCodeCount > 0);
+            io.stdout.write(`${distributions.map(formatDistribution).join('\n')}\n\n`);
+            io.stdout.write(`${formatTable(report.methods)}\n\n`);
+            const conflicts = formatConflicts(report.conflicts, args.top);
+            if (conflicts) {
+                io.stdout.write(`${conflicts}\n\n`);
+            }
+            for (const warning of report.warnings) {
+                io.stderr.write(`warning: ${report.file}: ${warning}\n`);
+            }
+        }
+    }
+
+    for (const report of reports) {
+        for (const violation of report.violations) {
+            io.stderr.write(`budget exceeded: ${report.file}: ${violation}\n`);
+        }
+    }
+
+    return exitCode;
+}
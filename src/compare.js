@@ -0,0 +1,172 @@
+/**
+ * JAR Comparison
+ *
+ * Matches methods of two JARs by class, name and descriptor and reports how
+ * their bytecode sizes changed.
+ */
+
+import { parseJar } from './parser.js';
+
+/**
+ * Change kinds reported for a method.
+ */
+export const CHANGE_KINDS = Object.freeze(['added', 'removed', 'grown', 'shrunk', 'unchanged']);
+
+/**
+ * Build the matching key of a method record.
+ *
+ * @param {Object} method - Method from parseJar
+ * @returns {string}
+ */
+function methodKey(method) {
+    return `${method.className}\u0000${method.methodName}\u0000${method.descriptor}`;
+}
+
+/**
+ * Index methods by key. When a method occurs more than once (e.g. in two
+ * nested libraries), the largest copy is kept.
+ *
+ * @param {Array} methods
+ * @returns {Map<string, Object>}
+ */
+function indexMethods(methods) {
+    const index = new Map();
+    for (const method of methods) {
+        const key = methodKey(method);
+        const existing = index.get(key);
+        if (!existing || method.bytecodeSize > existing.bytecodeSize) {
+            index.set(key, method);
+        }
+    }
+    return index;
+}
+
+/**
+ * Percentage change from oldSize to newSize, or null when there is no baseline.
+ *
+ * @param {number} oldSize
+ * @param {number} newSize
+ * @returns {number|null}
+ */
+function percentChange(oldSize, newSize) {
+    if (oldSize === 0) {
+        return newSize === 0 ? 0 : null;
+    }
+    return ((newSize - oldSize) / oldSize) * 100;
+}
+
+/**
+ * Compare two method lists.
+ *
+ * @param {Array} oldMethods - Methods of the baseline JAR
+ * @param {Array} newMethods - Methods of the new JAR
+ * @returns {Object} { methods, classes, totals }. methods and classes only
+ *   contain entries whose size changed, sorted by delta descending (largest
+ *   regression first).
+ */
+export function compareMethods(oldMethods, newMethods) {
+    const oldIndex = indexMethods(oldMethods);
+    const newIndex = indexMethods(newMethods);
+
+    const totals = {
+        oldSize: 0,
+        newSize: 0,
+        delta: 0,
+        deltaPercent: 0,
+        added: 0,
+        removed: 0,
+        grown: 0,
+        shrunk: 0,
+        unchanged: 0,
+    };
+    const methods = [];
+    const classes = new Map();
+
+    const record = (oldMethod, newMethod) => {
+        const { className, methodName, descriptor, signature, accessFlags } = newMethod || oldMethod;
+        const oldSize = oldMethod ? oldMethod.bytecodeSize : 0;
+        const newSize = newMethod ? newMethod.bytecodeSize : 0;
+        const delta = newSize - oldSize;
+
+        let change;
+        if (!oldMethod) change = 'added';
+        else if (!newMethod) change = 'removed';
+        else if (delta > 0) change = 'grown';
+        else if (delta < 0) change = 'shrunk';
+        else change = 'unchanged';
+
+        totals[change]++;
+        totals.oldSize += oldSize;
+        totals.newSize += newSize;
+
+        let classDelta = classes.get(className);
+        if (!classDelta) {
+            classDelta = { className, oldSize: 0, newSize: 0, delta: 0, deltaPercent: 0 };
+            classes.set(className, classDelta);
+        }
+        classDelta.oldSize += oldSize;
+        classDelta.newSize += newSize;
+
+        if (change !== 'unchanged') {
+            methods.push({
+                className,
+                methodName,
+                descriptor,
+                signature,
+                accessFlags,
+                change,
+                oldSize,
+                newSize,
+                delta,
+                deltaPercent: percentChange(oldSize, newSize),
+            });
+        }
+    };
+
+    for (const [key, oldMethod] of oldIndex) {
+        record(oldMethod, newIndex.get(key));
+    }
+    for (const [key, newMethod] of newIndex) {
+        if (!oldIndex.has(key)) {
+            record(undefined, newMethod);
+        }
+    }
+
+    totals.delta = totals.newSize - totals.oldSize;
+    totals.deltaPercent = percentChange(totals.oldSize, totals.newSize);
+
+    const changedClasses = [];
+    for (const classDelta of classes.values()) {
+        classDelta.delta = classDelta.newSize - classDelta.oldSize;
+        classDelta.deltaPercent = percentChange(classDelta.oldSize, classDelta.newSize);
+        if (classDelta.delta !== 0) {
+            changedClasses.push(classDelta);
+        }
+    }
+
+    methods.sort((a, b) => b.delta - a.delta);
+    changedClasses.sort((a, b) => b.delta - a.delta);
+
+    return { methods, classes: changedClasses, totals };
+}
+
+/**
+ * Parse two JARs and compare their methods.
+ *
+ * @param {ArrayBuffer|Blob|Object} oldJarBuffer - The baseline JAR, as accepted by parseJar
+ * @param {ArrayBuffer|Blob|Object} newJarBuffer - The new JAR, as accepted by parseJar
+ * @param {Object} options - Options passed to parseJar for both JARs
+ * @returns {Promise<Object>} compareMethods output plus the warnings of both parses
+ */
+export async function compareJars(oldJarBuffer, newJarBuffer, options = {}) {
+    const oldResult = await parseJar(oldJarBuffer, options);
+    const newResult = await parseJar(newJarBuffer, options);
+
+    return {
+        ...compareMethods(oldResult.methods, newResult.methods),
+        warnings: [
+            ...oldResult.warnings.map((w) => `Baseline: ${w}`),
+            ...newResult.warnings.map((w) => `New: ${w}`),
+        ],
+    };
+}
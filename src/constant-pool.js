@@ -0,0 +1,221 @@
+/**
+ * Constant Pool Analysis
+ *
+ * Splits the bytes of a class's constant pool into names, descriptors,
+ * literal data, linkage references and the rest, and finds the string
+ * literals and numeric constants that make a pool heavy: long strings,
+ * generated lookup tables, and literals repeated across many classes.
+ * Reference: https://docs.oracle.com/javase/specs/jvms/se21/html/jvms-4.html#jvms-4.4
+ */
+
+/**
+ * Longest literal text kept in reports; longer values are cut and end in '…'.
+ */
+export const LITERAL_PREVIEW_LENGTH = 120;
+
+/**
+ * Literal constant tags and the kind reported for each.
+ */
+const LITERAL_KINDS = {
+    3: 'Integer',
+    4: 'Float',
+    5: 'Long',
+    6: 'Double',
+    8: 'String',
+};
+
+/**
+ * Order in which a Utf8 entry used in several roles is counted.
+ */
+const ROLE_PRIORITY = { literals: 0, descriptors: 1, names: 2 };
+
+/**
+ * Size of a constant pool entry in the class file, including its tag byte.
+ * A String entry does not include the Utf8 entry holding its text.
+ *
+ * @param {Object} entry - Constant pool entry from parseClassFile
+ * @returns {number}
+ */
+export function constantPoolEntrySize(entry) {
+    switch (entry.tag) {
+        case 1: // Utf8: length (2) + bytes
+            return 3 + (entry.length ?? new TextEncoder().encode(entry.value).length);
+        case 5: // Long
+        case 6: // Double
+            return 9;
+        case 3: // Integer
+        case 4: // Float
+        case 9: // Fieldref
+        case 10: // Methodref
+        case 11: // InterfaceMethodref
+        case 12: // NameAndType
+        case 17: // Dynamic
+        case 18: // InvokeDynamic
+            return 5;
+        case 15: // MethodHandle
+            return 4;
+        default: // Class, String, MethodType, Module, Package
+            return 3;
+    }
+}
+
+/**
+ * Shorten a literal for display.
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+function preview(text) {
+    return text.length > LITERAL_PREVIEW_LENGTH ? `${text.slice(0, LITERAL_PREVIEW_LENGTH)}…` : text;
+}
+
+/**
+ * List the literal constants of a class: String, Integer, Float, Long and
+ * Double entries. The size of a String includes the Utf8 entry holding its
+ * text, matching the literals part of constantPoolBreakdown.
+ *
+ * @param {Array} constantPool - Constant pool with resolved String values
+ * @returns {Array} { kind, value, size } in pool order; value is the string, or the number as text
+ */
+export function collectLiterals(constantPool) {
+    const literals = [];
+    for (const entry of constantPool) {
+        const kind = entry && LITERAL_KINDS[entry.tag];
+        if (!kind) continue;
+
+        let size = constantPoolEntrySize(entry);
+        if (entry.tag === 8) {
+            size += constantPoolEntrySize(constantPool[entry.stringIndex]);
+        }
+        literals.push({ kind, value: String(entry.value), size });
+    }
+    return literals;
+}
+
+/**
+ * Split the bytes of a class's constant pool by what they hold:
+ *
+ * - names:       class, member, module and package names
+ * - descriptors: field and method descriptors, including MethodType
+ * - literals:    String, Integer, Float, Long and Double entries and string text
+ * - references:  Fieldref, Methodref, NameAndType, MethodHandle and (Invoke)Dynamic entries
+ * - other:       attribute names, generic signatures, debug names of locals and
+ *                parameters, annotation data and the source file name
+ *
+ * A Utf8 entry used in several roles counts once, as a literal before a
+ * descriptor before a name. The parts add up to constantPoolSize.
+ *
+ * @param {Object} classFile - Result of parseClassFile
+ * @returns {{ names: number, descriptors: number, literals: number, references: number, other: number }}
+ */
+export function constantPoolBreakdown(classFile) {
+    const { constantPool, fields, methods } = classFile;
+    const roles = new Map();
+    const assign = (index, role) => {
+        const current = roles.get(index);
+        if (!current || ROLE_PRIORITY[role] < ROLE_PRIORITY[current]) roles.set(index, role);
+    };
+
+    const breakdown = { names: 0, descriptors: 0, literals: 0, references: 0, other: 0 };
+    for (let index = 1; index < constantPool.length; index++) {
+        const entry = constantPool[index];
+        if (!entry || entry.tag === 1) continue;
+
+        let category;
+        switch (entry.tag) {
+            case 8:
+                assign(entry.stringIndex, 'literals');
+                category = 'literals';
+                break;
+            case 7:
+            case 19:
+            case 20:
+                assign(entry.nameIndex, 'names');
+                category = 'names';
+                break;
+            case 12:
+                assign(entry.nameIndex, 'names');
+                assign(entry.descriptorIndex, 'descriptors');
+                category = 'references';
+                break;
+            case 16:
+                assign(entry.descriptorIndex, 'descriptors');
+                category = 'descriptors';
+                break;
+            default:
+                category = LITERAL_KINDS[entry.tag] ? 'literals' : 'references';
+        }
+        breakdown[category] += constantPoolEntrySize(entry);
+    }
+
+    // Declared fields and methods refer to their names and descriptors directly
+    const memberNames = new Set([...fields, ...methods].map((m) => m.name));
+    const memberDescriptors = new Set([...fields, ...methods].map((m) => m.descriptor));
+    for (let index = 1; index < constantPool.length; index++) {
+        const entry = constantPool[index];
+        if (!entry || entry.tag !== 1) continue;
+        if (memberDescriptors.has(entry.value)) assign(index, 'descriptors');
+        if (memberNames.has(entry.value)) assign(index, 'names');
+        breakdown[roles.get(index) ?? 'other'] += constantPoolEntrySize(entry);
+    }
+
+    return breakdown;
+}
+
+/**
+ * The largest String constants of a class.
+ *
+ * @param {Array} literals - Result of collectLiterals
+ * @param {number} limit - Number of strings to keep
+ * @returns {Array} { value, size } largest first, value cut to LITERAL_PREVIEW_LENGTH
+ */
+export function largestStrings(literals, limit = 5) {
+    return literals
+        .filter((l) => l.kind === 'String')
+        .sort((a, b) => b.size - a.size)
+        .slice(0, limit)
+        .map((l) => ({ value: preview(l.value), size: l.size }));
+}
+
+/**
+ * Count the literals of one class towards a JAR-wide tally, once per class.
+ *
+ * @param {Map} counts - Tally shared across classes, updated in place
+ * @param {Array} literals - Result of collectLiterals for one class
+ */
+export function countLiterals(counts, literals) {
+    const seen = new Set();
+    for (const { kind, value, size } of literals) {
+        const key = `${kind}:${value}`;
+        if (seen.has(key)) continue;
+        seen.add(key);
+
+        const count = counts.get(key);
+        if (count) {
+            count.classCount++;
+        } else {
+            counts.set(key, { kind, value, size, classCount: 1 });
+        }
+    }
+}
+
+/**
+ * Literals found in more than one class, ranked by the bytes the copies
+ * take: size * (classCount - 1).
+ *
+ * @param {Map} counts - Tally built with countLiterals
+ * @param {number} limit - Number of literals to return
+ * @returns {Array} { kind, value, size, classCount, duplicateBytes }, value cut to LITERAL_PREVIEW_LENGTH
+ */
+export function findDuplicateLiterals(counts, limit = 100) {
+    const duplicates = [];
+    for (const { kind, value, size, classCount } of counts.values()) {
+        if (classCount > 1) {
+            duplicates.push({ kind, value, size, classCount, duplicateBytes: size * (classCount - 1) });
+        }
+    }
+    return duplicates
+        .sort((a, b) => b.duplicateBytes - a.duplicateBytes)
+        .slice(0, limit)
+        .map((d) => ({ ...d, value: preview(d.value) }));
+}
@@ -0,0 +1,714 @@
+/**
+ * DEX File Parser
+ *
+ * Parses Dalvik executables, the classes*.dex files of Android APKs, into
+ * classes and methods shaped like those of parseClassFile. Method names,
+ * descriptors and call targets are resolved through the string, type, proto
+ * and method id tables that all classes of a DEX file share. The size of a
+ * method is its insns_size, counted in 16-bit code units.
+ * Reference: https://source.android.com/docs/core/runtime/dex-format
+ */
+
+import { decodeModifiedUtf8, formatOffset } from './class-reader.js';
+import { measureFlow } from './flow.js';
+
+const HEADER_SIZE = 0x70;
+const ENDIAN_CONSTANT = 0x12345678;
+const CLASS_DEF_SIZE = 32;
+const CODE_ITEM_HEADER_SIZE = 16;
+const TRY_ITEM_SIZE = 8;
+
+/**
+ * Index meaning "none", e.g. for a class without a source file.
+ */
+const NO_INDEX = 0xFFFFFFFF;
+
+/**
+ * Method references a single DEX file can hold, since instructions address
+ * them with 16-bit indexes.
+ */
+export const DEX_METHOD_LIMIT = 65536;
+
+/**
+ * Access flags that only DEX files have. A declared synchronized method is
+ * reported with the JVM's ACC_SYNCHRONIZED.
+ */
+const ACC_SYNCHRONIZED = 0x0020;
+const ACC_CONSTRUCTOR = 0x10000;
+const ACC_DECLARED_SYNCHRONIZED = 0x20000;
+
+/**
+ * Idents of the switch and array data payloads stored between instructions.
+ */
+const PACKED_SWITCH_PAYLOAD = 0x0100;
+const SPARSE_SWITCH_PAYLOAD = 0x0200;
+const FILL_ARRAY_DATA_PAYLOAD = 0x0300;
+
+const PACKED_SWITCH = 0x2B;
+const SPARSE_SWITCH = 0x2C;
+
+/**
+ * Length in code units of every opcode, as [first, last, units] ranges.
+ * Unused opcodes count as one unit.
+ */
+const OPCODE_UNIT_RANGES = [
+    [0x00, 0x01, 1], [0x02, 0x02, 2], [0x03, 0x03, 3], // nop, move, move/from16, move/16
+    [0x04, 0x04, 1], [0x05, 0x05, 2], [0x06, 0x06, 3], // move-wide
+    [0x07, 0x07, 1], [0x08, 0x08, 2], [0x09, 0x09, 3], // move-object
+    [0x0A, 0x12, 1], // move-result, move-exception, return, const/4
+    [0x13, 0x13, 2], [0x14, 0x14, 3], [0x15, 0x16, 2], [0x17, 0x17, 3], // const, const-wide/16
+    [0x18, 0x18, 5], [0x19, 0x1A, 2], [0x1B, 0x1B, 3], [0x1C, 0x1C, 2], // const-wide, const-string
+    [0x1D, 0x1E, 1], [0x1F, 0x20, 2], [0x21, 0x21, 1], [0x22, 0x23, 2], // monitors, check-cast, new-*
+    [0x24, 0x26, 3], [0x27, 0x28, 1], [0x29, 0x29, 2], [0x2A, 0x2C, 3], // filled-new-array, throw, goto, switches
+    [0x2D, 0x3D, 2], // cmp, if-test, if-testz
+    [0x3E, 0x43, 1], // unused
+    [0x44, 0x6D, 2], // aget, aput, iget, iput, sget, sput
+    [0x6E, 0x72, 3], [0x73, 0x73, 1], [0x74, 0x78, 3], [0x79, 0x7A, 1], // invoke-kind, invoke-kind/range
+    [0x7B, 0x8F, 1], [0x90, 0xAF, 2], [0xB0, 0xCF, 1], [0xD0, 0xE2, 2], // unary, binary, /2addr, /lit
+    [0xE3, 0xF9, 1], // unused
+    [0xFA, 0xFB, 4], [0xFC, 0xFD, 3], [0xFE, 0xFF, 2], // invoke-polymorphic, invoke-custom, const-method-*
+];
+
+const OPCODE_UNITS = new Uint8Array(256);
+for (const [first, last, units] of OPCODE_UNIT_RANGES) {
+    OPCODE_UNITS.fill(units, first, last + 1);
+}
+
+/**
+ * Invoke opcodes and the kind recorded for each, as in callgraph.js.
+ * invoke-custom call sites are not recorded.
+ */
+const INVOKE_KINDS = {
+    0x6E: 'virtual',
+    0x6F: 'special', // invoke-super
+    0x70: 'special', // invoke-direct
+    0x71: 'static',
+    0x72: 'interface',
+    0x74: 'virtual',
+    0x75: 'special',
+    0x76: 'special',
+    0x77: 'static',
+    0x78: 'interface',
+    0xFA: 'virtual', // invoke-polymorphic
+    0xFB: 'virtual',
+};
+
+/**
+ * How Dalvik opcodes affect control flow, for measureFlow: if-test and
+ * if-testz branch; return, throw and goto end the flow.
+ */
+export const DEX_OPCODES = {
+    isConditionalBranch: (opcode) => opcode >= 0x32 && opcode <= 0x3D,
+    endsFlow: (opcode) => (opcode >= 0x0E && opcode <= 0x11) || (opcode >= 0x27 && opcode <= 0x2A),
+};
+
+/**
+ * Whether bytes start with the magic of a DEX file, "dex\n" and a
+ * three-digit version.
+ *
+ * @param {Uint8Array} bytes
+ * @returns {boolean}
+ */
+export function isDexFile(bytes) {
+    return bytes.length >= 8 &&
+        bytes[0] === 0x64 && bytes[1] === 0x65 && bytes[2] === 0x78 && bytes[3] === 0x0A &&
+        [4, 5, 6].every((i) => bytes[i] >= 0x30 && bytes[i] <= 0x39) && bytes[7] === 0;
+}
+
+/**
+ * Check that length bytes at offset lie within the DEX file.
+ *
+ * @param {Object} dex
+ * @param {number} offset
+ * @param {number} length
+ * @param {string} section - Named in the error, e.g. "class_def #12"
+ */
+function ensure(dex, offset, length, section) {
+    if (offset + length > dex.size) {
+        throw new Error(`${section} overruns DEX file at ${formatOffset(offset)}`);
+    }
+}
+
+/**
+ * Read an unsigned little-endian 16-bit value.
+ *
+ * @param {Object} dex
+ * @param {number} offset
+ * @param {string} section
+ * @returns {number}
+ */
+function readU2(dex, offset, section) {
+    ensure(dex, offset, 2, section);
+    return dex.view.getUint16(offset, true);
+}
+
+/**
+ * Read an unsigned little-endian 32-bit value.
+ *
+ * @param {Object} dex
+ * @param {number} offset
+ * @param {string} section
+ * @returns {number}
+ */
+function readU4(dex, offset, section) {
+    ensure(dex, offset, 4, section);
+    return dex.view.getUint32(offset, true);
+}
+
+/**
+ * Read an unsigned LEB128 value of up to five bytes and advance the cursor.
+ *
+ * @param {Object} dex
+ * @param {Object} cursor - { pos }
+ * @param {string} section
+ * @returns {number}
+ */
+function readUleb128(dex, cursor, section) {
+    let value = 0;
+    for (let shift = 0; shift <= 28; shift += 7) {
+        ensure(dex, cursor.pos, 1, section);
+        const byte = dex.bytes[cursor.pos++];
+        value += (byte & 0x7F) * 2 ** shift;
+        if ((byte & 0x80) === 0) {
+            return value;
+        }
+    }
+    throw new Error(`${section} has an overlong LEB128 value at ${formatOffset(cursor.pos - 1)}`);
+}
+
+/**
+ * Read a signed LEB128 value of up to five bytes and advance the cursor.
+ *
+ * @param {Object} dex
+ * @param {Object} cursor - { pos }
+ * @param {string} section
+ * @returns {number}
+ */
+function readSleb128(dex, cursor, section) {
+    const start = cursor.pos;
+    const value = readUleb128(dex, cursor, section);
+    // The sign is the top bit of the last group of seven
+    const bits = 7 * (cursor.pos - start);
+    return bits < 32 && value >= 2 ** (bits - 1) ? value - 2 ** bits : value | 0;
+}
+
+/**
+ * Check an index into one of the id tables.
+ *
+ * @param {number} index
+ * @param {number} count - Size of the table
+ * @param {string} kind - e.g. "string"
+ * @param {string} section - Where the index was read, named in the error
+ */
+function checkIndex(index, count, kind, section) {
+    if (index >= count) {
+        throw new Error(`${section} has an invalid ${kind} index ${index}`);
+    }
+}
+
+/**
+ * Look up a string of the string table.
+ *
+ * @param {Object} dex
+ * @param {number} index
+ * @param {string} section - Where the index was read
+ * @returns {string}
+ */
+function stringAt(dex, index, section) {
+    checkIndex(index, dex.stringIdsSize, 'string', section);
+    let value = dex.strings[index];
+    if (value === undefined) {
+        const owner = `string_data #${index}`;
+        const cursor = { pos: readU4(dex, dex.stringIdsOff + index * 4, `string_id #${index}`) };
+        readUleb128(dex, cursor, owner); // utf16_size
+        // Strings are NUL-terminated; NUL itself is encoded as C0 80
+        const end = dex.bytes.indexOf(0, cursor.pos);
+        if (end === -1) {
+            throw new Error(`${owner} overruns DEX file at ${formatOffset(cursor.pos)}`);
+        }
+        value = decodeModifiedUtf8(dex.bytes.subarray(cursor.pos, end), owner, cursor.pos);
+        dex.strings[index] = value;
+    }
+    return value;
+}
+
+/**
+ * Look up the descriptor of a type, e.g. "Ljava/lang/String;" or "[I".
+ *
+ * @param {Object} dex
+ * @param {number} index
+ * @param {string} section - Where the index was read
+ * @returns {string}
+ */
+function typeAt(dex, index, section) {
+    checkIndex(index, dex.typeIdsSize, 'type', section);
+    return stringAt(dex, readU4(dex, dex.typeIdsOff + index * 4, `type_id #${index}`), `type_id #${index}`);
+}
+
+/**
+ * Turn a class type descriptor into an internal class name:
+ * "Ljava/lang/String;" becomes "java/lang/String". Array types are kept,
+ * as in the JVM constant pool.
+ *
+ * @param {string} descriptor
+ * @returns {string}
+ */
+function internalName(descriptor) {
+    return descriptor.startsWith('L') && descriptor.endsWith(';') ? descriptor.slice(1, -1) : descriptor;
+}
+
+/**
+ * Build the method descriptor of a proto, e.g. "(ILjava/lang/String;)V".
+ *
+ * @param {Object} dex
+ * @param {number} index
+ * @param {string} section - Where the index was read
+ * @returns {string}
+ */
+function protoDescriptor(dex, index, section) {
+    checkIndex(index, dex.protoIdsSize, 'proto', section);
+    const owner = `proto_id #${index}`;
+    const base = dex.protoIdsOff + index * 12;
+    const returnType = typeAt(dex, readU4(dex, base + 4, owner), owner);
+    const parametersOff = readU4(dex, base + 8, owner);
+
+    let parameters = '';
+    if (parametersOff !== 0) {
+        const size = readU4(dex, parametersOff, owner);
+        for (let i = 0; i < size; i++) {
+            parameters += typeAt(dex, readU2(dex, parametersOff + 4 + i * 2, owner), owner);
+        }
+    }
+    return `(${parameters})${returnType}`;
+}
+
+/**
+ * Resolve a method id to its class, name and descriptor.
+ *
+ * @param {Object} dex
+ * @param {number} index
+ * @param {string} section - Where the index was read
+ * @returns {{ className: string, name: string, descriptor: string }} className in internal form
+ */
+function methodAt(dex, index, section) {
+    checkIndex(index, dex.methodIdsSize, 'method', section);
+    let method = dex.methods[index];
+    if (!method) {
+        const owner = `method_id #${index}`;
+        const base = dex.methodIdsOff + index * 8;
+        method = {
+            className: internalName(typeAt(dex, readU2(dex, base, owner), owner)),
+            descriptor: protoDescriptor(dex, readU2(dex, base + 2, owner), owner),
+            name: stringAt(dex, readU4(dex, base + 4, owner), owner),
+        };
+        dex.methods[index] = method;
+    }
+    return method;
+}
+
+/**
+ * Code units taken by the payload at pc, 0 if there is none.
+ *
+ * @param {Function} unit - Reads the code unit at a pc
+ * @param {number} pc
+ * @param {number} count - Code units of the method
+ * @returns {number}
+ */
+function payloadLength(unit, pc, count) {
+    const ident = unit(pc);
+    if (ident !== PACKED_SWITCH_PAYLOAD && ident !== SPARSE_SWITCH_PAYLOAD && ident !== FILL_ARRAY_DATA_PAYLOAD) {
+        return 0;
+    }
+    const headerUnits = ident === SPARSE_SWITCH_PAYLOAD ? 2 : 4;
+    if (pc + headerUnits > count) {
+        throw new Error(`payload at pc ${pc} overruns the code`);
+    }
+    const size = unit(pc + 1);
+    if (ident === PACKED_SWITCH_PAYLOAD) {
+        return 4 + size * 2;
+    }
+    if (ident === SPARSE_SWITCH_PAYLOAD) {
+        return 2 + size * 4;
+    }
+    // fill-array-data: element width, 32-bit element count, then the data padded to whole units
+    const elements = unit(pc + 2) + unit(pc + 3) * 0x10000;
+    return 4 + Math.ceil((size * elements) / 2);
+}
+
+/**
+ * Decode the instructions of a method. Payloads, and the nop that aligns
+ * them, are skipped. Each instruction is { pc, length, opcode } with pc and
+ * length in code units, plus the jump target of if and goto instructions,
+ * the cases and defaultTarget (the next instruction) of switches, and the
+ * method index of invokes.
+ *
+ * @param {Object} dex
+ * @param {number} start - Offset of insns in the DEX file
+ * @param {number} count - insns_size
+ * @returns {Array}
+ */
+function decodeInstructions(dex, start, count) {
+    const unit = (pc) => dex.view.getUint16(start + pc * 2, true);
+    const int32 = (pc) => (unit(pc) | (unit(pc + 1) << 16));
+
+    const instructions = [];
+    let pc = 0;
+    while (pc < count) {
+        const first = unit(pc);
+        const opcode = first & 0xFF;
+        if (opcode === 0) {
+            const payload = payloadLength(unit, pc, count) ||
+                (pc + 1 < count ? payloadLength(unit, pc + 1, count) && 1 : 0);
+            if (payload > 0) {
+                pc += payload;
+                continue;
+            }
+        }
+
+        const length = OPCODE_UNITS[opcode];
+        if (pc + length > count) {
+            throw new Error(`instruction 0x${opcode.toString(16).toUpperCase().padStart(2, '0')} at pc ${pc} overruns the code`);
+        }
+        const insn = { pc, length, opcode };
+
+        if (opcode === 0x28) {
+            insn.target = pc + ((first << 16) >> 24); // goto, signed 8-bit offset
+        } else if (opcode === 0x29 || (opcode >= 0x32 && opcode <= 0x3D)) {
+            insn.target = pc + ((unit(pc + 1) << 16) >> 16); // goto/16, if-test, if-testz
+        } else if (opcode === 0x2A) {
+            insn.target = pc + int32(pc + 1); // goto/32
+        } else if (opcode === PACKED_SWITCH || opcode === SPARSE_SWITCH) {
+            insn.cases = decodeSwitch(unit, int32, pc, opcode, count);
+            insn.defaultTarget = pc + length;
+        } else if (INVOKE_KINDS[opcode]) {
+            insn.methodIndex = unit(pc + 1);
+        }
+
+        instructions.push(insn);
+        pc += length;
+    }
+    return instructions;
+}
+
+/**
+ * Read the cases of a packed-switch or sparse-switch from its payload.
+ *
+ * @param {Function} unit - Reads the code unit at a pc
+ * @param {Function} int32 - Reads the 32-bit value at a pc
+ * @param {number} pc - Address of the switch instruction
+ * @param {number} opcode
+ * @param {number} count - Code units of the method
+ * @returns {Array} { key, target }
+ */
+function decodeSwitch(unit, int32, pc, opcode, count) {
+    const payload = pc + int32(pc + 1);
+    const ident = opcode === PACKED_SWITCH ? PACKED_SWITCH_PAYLOAD : SPARSE_SWITCH_PAYLOAD;
+    if (payload < 0 || payload + 2 > count || unit(payload) !== ident) {
+        throw new Error(`switch at pc ${pc} has no payload at pc ${payload}`);
+    }
+    const size = unit(payload + 1);
+    if (payload + payloadLength(unit, payload, count) > count) {
+        throw new Error(`switch payload at pc ${payload} overruns the code`);
+    }
+
+    const cases = [];
+    if (opcode === PACKED_SWITCH) {
+        const firstKey = int32(payload + 2);
+        for (let i = 0; i < size; i++) {
+            cases.push({ key: firstKey + i, target: pc + int32(payload + 4 + i * 2) });
+        }
+    } else {
+        for (let i = 0; i < size; i++) {
+            cases.push({ key: int32(payload + 2 + i * 2), target: pc + int32(payload + 2 + size * 2 + i * 2) });
+        }
+    }
+    return cases;
+}
+
+/**
+ * Read one encoded_catch_handler into exception table entries.
+ *
+ * @param {Object} dex
+ * @param {Object} cursor - { pos } at the handler, advanced past it
+ * @param {number} startPc - First code unit covered
+ * @param {number} endPc - Code unit after the last one covered
+ * @param {Array} exceptionTable - Receives { startPc, endPc, handlerPc, catchType }, catchType
+ *   being null for a catch-all
+ * @param {string} section
+ */
+function readCatchHandler(dex, cursor, startPc, endPc, exceptionTable, section) {
+    const size = readSleb128(dex, cursor, section);
+    for (let i = 0; i < Math.abs(size); i++) {
+        const catchType = internalName(typeAt(dex, readUleb128(dex, cursor, section), section));
+        exceptionTable.push({ startPc, endPc, handlerPc: readUleb128(dex, cursor, section), catchType });
+    }
+    // A size of 0 or less is followed by the catch-all address
+    if (size <= 0) {
+        exceptionTable.push({ startPc, endPc, handlerPc: readUleb128(dex, cursor, section), catchType: null });
+    }
+}
+
+/**
+ * Find the first and last source line of a debug_info_item by running its
+ * state machine.
+ *
+ * @param {Object} dex
+ * @param {number} offset - debug_info_off
+ * @param {string} section
+ * @returns {{ firstLine: number|null, lastLine: number|null }}
+ */
+function readLineSpan(dex, offset, section) {
+    const cursor = { pos: offset };
+    let line = readUleb128(dex, cursor, section);
+    const parametersSize = readUleb128(dex, cursor, section);
+    for (let i = 0; i < parametersSize; i++) {
+        readUleb128(dex, cursor, section);
+    }
+
+    let firstLine = null;
+    let lastLine = null;
+    while (true) {
+        ensure(dex, cursor.pos, 1, section);
+        const opcode = dex.bytes[cursor.pos++];
+        if (opcode === 0x00) break; // DBG_END_SEQUENCE
+
+        switch (opcode) {
+            case 0x02: // DBG_ADVANCE_LINE
+                line += readSleb128(dex, cursor, section);
+                break;
+            case 0x04: // DBG_START_LOCAL_EXTENDED: register, name, type, signature
+                readUleb128(dex, cursor, section);
+            // falls through
+            case 0x03: // DBG_START_LOCAL: register, name, type
+                readUleb128(dex, cursor, section);
+                readUleb128(dex, cursor, section);
+            // falls through
+            case 0x01: // DBG_ADVANCE_PC
+            case 0x05: // DBG_END_LOCAL
+            case 0x06: // DBG_RESTART_LOCAL
+            case 0x09: // DBG_SET_FILE
+                readUleb128(dex, cursor, section);
+                break;
+            case 0x07: // DBG_SET_PROLOGUE_END
+            case 0x08: // DBG_SET_EPILOGUE_BEGIN
+                break;
+            default: {
+                // Special opcodes advance the line and address and emit a position
+                line += -4 + ((opcode - 0x0A) % 15);
+                if (line > 0) {
+                    firstLine = firstLine === null ? line : Math.min(firstLine, line);
+                    lastLine = lastLine === null ? line : Math.max(lastLine, line);
+                }
+            }
+        }
+    }
+    return { firstLine, lastLine };
+}
+
+/**
+ * Parse a code_item: its instructions, flow measures, call sites, try
+ * blocks and line span.
+ *
+ * @param {Object} dex
+ * @param {number} offset - code_off
+ * @param {string} section - Named in errors, e.g. "method Lcom/example/Foo;.run()V"
+ * @returns {Object} { bytecodeSize, registers, exceptionTable, firstLine, lastLine, invocations,
+ *   size, ...flow measures }, size being the bytes of the code_item
+ */
+function parseCodeItem(dex, offset, section) {
+    ensure(dex, offset, CODE_ITEM_HEADER_SIZE, section);
+    const registers = dex.view.getUint16(offset, true);
+    const triesSize = dex.view.getUint16(offset + 6, true);
+    const debugInfoOff = dex.view.getUint32(offset + 8, true);
+    const insnsSize = dex.view.getUint32(offset + 12, true);
+    const insnsStart = offset + CODE_ITEM_HEADER_SIZE;
+    ensure(dex, insnsStart, insnsSize * 2, section);
+
+    let instructions, invocations;
+    try {
+        instructions = decodeInstructions(dex, insnsStart, insnsSize);
+        invocations = instructions
+            .filter((insn) => insn.methodIndex !== undefined)
+            .map((insn) => {
+                const { className, name, descriptor } = methodAt(dex, insn.methodIndex, `instruction at pc ${insn.pc}`);
+                return { pc: insn.pc, kind: INVOKE_KINDS[insn.opcode], className, methodName: name, descriptor };
+            });
+    } catch (e) {
+        throw new Error(`${section} has invalid code at ${formatOffset(insnsStart)}: ${e.message}`, { cause: e });
+    }
+
+    // Try blocks are 4-byte aligned after the instructions, followed by their handlers
+    let end = insnsStart + insnsSize * 2;
+    const exceptionTable = [];
+    if (triesSize > 0) {
+        const triesStart = end + (insnsSize % 2) * 2;
+        const handlersStart = triesStart + triesSize * TRY_ITEM_SIZE;
+        ensure(dex, triesStart, triesSize * TRY_ITEM_SIZE, section);
+        for (let i = 0; i < triesSize; i++) {
+            const tryOffset = triesStart + i * TRY_ITEM_SIZE;
+            const startPc = dex.view.getUint32(tryOffset, true);
+            const endPc = startPc + dex.view.getUint16(tryOffset + 4, true);
+            const cursor = { pos: handlersStart + dex.view.getUint16(tryOffset + 6, true) };
+            readCatchHandler(dex, cursor, startPc, endPc, exceptionTable, section);
+        }
+
+        // The handler list ends after its last handler
+        const cursor = { pos: handlersStart };
+        const handlerCount = readUleb128(dex, cursor, section);
+        for (let i = 0; i < handlerCount; i++) {
+            readCatchHandler(dex, cursor, 0, 0, [], section);
+        }
+        end = cursor.pos;
+    }
+
+    const lines = debugInfoOff !== 0
+        ? readLineSpan(dex, debugInfoOff, `${section} debug info`)
+        : { firstLine: null, lastLine: null };
+
+    return {
+        bytecodeSize: insnsSize,
+        registers,
+        exceptionTable,
+        ...lines,
+        ...measureFlow(instructions, exceptionTable, DEX_OPCODES),
+        invocations,
+        size: end - offset,
+    };
+}
+
+/**
+ * Parse the class_data_item of a class: its field count and methods.
+ *
+ * @param {Object} dex
+ * @param {number} offset - class_data_off, 0 for a class without fields or methods
+ * @param {string} section
+ * @returns {{ fieldCount: number, methods: Array, size: number }} size in bytes, including code items
+ */
+function parseClassData(dex, offset, section) {
+    if (offset === 0) {
+        return { fieldCount: 0, methods: [], size: 0 };
+    }
+
+    const cursor = { pos: offset };
+    const staticFields = readUleb128(dex, cursor, section);
+    const instanceFields = readUleb128(dex, cursor, section);
+    const directMethods = readUleb128(dex, cursor, section);
+    const virtualMethods = readUleb128(dex, cursor, section);
+
+    // encoded_field: field_idx_diff, access_flags
+    for (let i = 0; i < (staticFields + instanceFields) * 2; i++) {
+        readUleb128(dex, cursor, section);
+    }
+
+    const methods = [];
+    let codeSize = 0;
+    for (const count of [directMethods, virtualMethods]) {
+        // Method indexes are stored as differences, restarting with each list
+        let methodIndex = 0;
+        for (let i = 0; i < count; i++) {
+            methodIndex += readUleb128(dex, cursor, section);
+            const flags = readUleb128(dex, cursor, section);
+            const codeOff = readUleb128(dex, cursor, section);
+            const { name, descriptor, className } = methodAt(dex, methodIndex, section);
+            const code = codeOff !== 0
+                ? parseCodeItem(dex, codeOff, `method L${className};.${name}${descriptor}`)
+                : { bytecodeSize: 0, registers: 0, exceptionTable: [], firstLine: null, lastLine: null, ...measureFlow([]), invocations: [], size: 0 };
+            codeSize += code.size;
+
+            const { size, ...metrics } = code;
+            methods.push({
+                name,
+                descriptor,
+                accessFlags: (flags & ~(ACC_CONSTRUCTOR | ACC_DECLARED_SYNCHRONIZED)) |
+                    (flags & ACC_DECLARED_SYNCHRONIZED ? ACC_SYNCHRONIZED : 0),
+                signature: null,
+                ...metrics,
+                bloat: [],
+                declaringMethod: null,
+            });
+        }
+    }
+
+    return { fieldCount: staticFields + instanceFields, methods, size: cursor.pos - offset + codeSize };
+}
+
+/**
+ * Parse a DEX file.
+ *
+ * Each class is { className, accessFlags, superClass, sourceFile,
+ * fieldCount, size, methods }, with class names in internal form
+ * (com/example/Foo) as from parseClassFile. size is the bytes of its
+ * class_def_item, class_data_item and code items; a code item shared by
+ * several methods counts for each. Methods are { name, descriptor,
+ * accessFlags, signature, bytecodeSize, registers, exceptionTable,
+ * firstLine, lastLine, invocations, bloat, declaringMethod } and the
+ * measures of measureFlow; bytecodeSize is insns_size in code units,
+ * signature is always null and bloat is empty, since the detectors of
+ * bloat.js read JVM bytecode. A truncated or corrupt file throws an Error naming the
+ * structure and, where known, its byte offset.
+ *
+ * @param {ArrayBuffer|Uint8Array} buffer - The DEX file contents
+ * @returns {Object} { version, classes, stringCount, typeCount, protoCount, fieldIdCount, methodIdCount }
+ */
+export function parseDexFile(buffer) {
+    const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+    if (!isDexFile(bytes)) {
+        throw new Error('Invalid DEX file: expected magic "dex\\n" and a version');
+    }
+
+    const dex = {
+        bytes,
+        view: new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength),
+        size: bytes.byteLength,
+        strings: [],
+        methods: [],
+    };
+    ensure(dex, 0, HEADER_SIZE, 'header');
+    if (readU4(dex, 0x28, 'header') !== ENDIAN_CONSTANT) {
+        throw new Error('Unsupported DEX file: not little-endian');
+    }
+
+    Object.assign(dex, {
+        stringIdsSize: readU4(dex, 0x38, 'header'),
+        stringIdsOff: readU4(dex, 0x3C, 'header'),
+        typeIdsSize: readU4(dex, 0x40, 'header'),
+        typeIdsOff: readU4(dex, 0x44, 'header'),
+        protoIdsSize: readU4(dex, 0x48, 'header'),
+        protoIdsOff: readU4(dex, 0x4C, 'header'),
+        fieldIdsSize: readU4(dex, 0x50, 'header'),
+        methodIdsSize: readU4(dex, 0x58, 'header'),
+        methodIdsOff: readU4(dex, 0x5C, 'header'),
+    });
+    const classDefsSize = readU4(dex, 0x60, 'header');
+    const classDefsOff = readU4(dex, 0x64, 'header');
+    ensure(dex, classDefsOff, classDefsSize * CLASS_DEF_SIZE, 'class_defs');
+
+    const classes = [];
+    for (let i = 0; i < classDefsSize; i++) {
+        const section = `class_def #${i}`;
+        const base = classDefsOff + i * CLASS_DEF_SIZE;
+        const superclassIdx = dex.view.getUint32(base + 8, true);
+        const sourceFileIdx = dex.view.getUint32(base + 16, true);
+        const { fieldCount, methods, size } = parseClassData(dex, dex.view.getUint32(base + 24, true), section);
+
+        classes.push({
+            className: internalName(typeAt(dex, dex.view.getUint32(base, true), section)),
+            accessFlags: dex.view.getUint32(base + 4, true),
+            superClass: superclassIdx === NO_INDEX ? null : internalName(typeAt(dex, superclassIdx, section)),
+            sourceFile: sourceFileIdx === NO_INDEX ? null : stringAt(dex, sourceFileIdx, section),
+            fieldCount,
+            size: CLASS_DEF_SIZE + size,
+            methods,
+        });
+    }
+
+    return {
+        version: String.fromCharCode(bytes[4], bytes[5], bytes[6]),
+        classes,
+        stringCount: dex.stringIdsSize,
+        typeCount: dex.typeIdsSize,
+        protoCount: dex.protoIdsSize,
+        fieldIdCount: dex.fieldIdsSize,
+        methodIdCount: dex.methodIdsSize,
+    };
+}
@@ -0,0 +1,279 @@
+/**
+ * Duplicate Method Detection
+ *
+ * Fingerprints the code of each method with its constant pool indices
+ * replaced by the symbols they resolve to, so that copies of a method in
+ * different classes hash alike, and groups the methods of a JAR into
+ * clusters of identical or near-identical bodies: the copy-paste and
+ * generated code that a shared helper could replace.
+ * Reference: https://docs.oracle.com/javase/specs/jvms/se21/html/jvms-4.html#jvms-4.7.3
+ */
+
+import { describeConstant } from './bytecode.js';
+
+/**
+ * Smallest method, in bytes of code, taken into clusters. Below it are the
+ * getters, setters and delegating methods every class has.
+ */
+export const DUPLICATE_MIN_BYTES = 32;
+
+/**
+ * Placeholder for the declaring class in fingerprints, so that methods
+ * referring to their own class match across classes.
+ */
+const OWN_CLASS = '<this>';
+
+/**
+ * Operands that hold literal values, left out of the shape fingerprint.
+ */
+const LITERAL_OPCODES = new Set([
+    0x10, // bipush
+    0x11, // sipush
+    0x84, // iinc
+]);
+
+/**
+ * Array types of newarray in the order of their atype codes, from 4.
+ */
+const ARRAY_TYPES = ['boolean', 'char', 'float', 'double', 'byte', 'short', 'int', 'long'];
+
+/**
+ * Resolved constant pool entries by constant pool, shared by the methods of
+ * a class.
+ */
+const symbolCache = new WeakMap();
+
+/**
+ * Final mix of the two 32-bit halves of a cyrb53 hash into 53 bits. With 32
+ * bits, a JAR with 100,000 methods would likely have a collision.
+ *
+ * @param {number} h1
+ * @param {number} h2
+ * @returns {number}
+ */
+function finishHash(h1, h2) {
+    h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+    h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+    return 4294967296 * (2097151 & h2) + (h1 >>> 0);
+}
+
+/**
+ * 53-bit hash of a string (cyrb53).
+ *
+ * @param {string} text
+ * @returns {number}
+ */
+function hashString(text) {
+    let h1 = 0xDEADBEEF;
+    let h2 = 0x41C6CE57;
+    for (let i = 0; i < text.length; i++) {
+        const c = text.charCodeAt(i);
+        h1 = Math.imul(h1 ^ c, 2654435761);
+        h2 = Math.imul(h2 ^ c, 1597334677);
+    }
+    return finishHash(h1, h2);
+}
+
+/**
+ * 53-bit hash of a sequence of 32-bit words, as 14 hex digits. Hashing
+ * numbers rather than a text of the instructions keeps fingerprinting a
+ * small part of the parse.
+ *
+ * @param {Array<number>} words
+ * @returns {string}
+ */
+function hashWords(words) {
+    let h1 = 0xDEADBEEF;
+    let h2 = 0x41C6CE57;
+    for (const word of words) {
+        h1 = Math.imul(h1 ^ word, 2654435761);
+        h2 = Math.imul(h2 ^ word, 1597334677);
+    }
+    return finishHash(h1, h2).toString(16).padStart(14, '0');
+}
+
+/**
+ * Write the declaring class as OWN_CLASS where its internal name stands as
+ * a whole name or type, e.g. in "class app/Foo" and "(Lapp/Foo;)V" but not
+ * in "app/Foo$Inner" or "Lorg/app/Foo;".
+ *
+ * @param {string} text
+ * @param {string} className
+ * @returns {string}
+ */
+function replaceOwnClass(text, className) {
+    let result = '';
+    let from = 0;
+    let at = text.indexOf(className);
+    while (at !== -1) {
+        const end = at + className.length;
+        const before = text[at - 1] === 'L' ? at - 1 : at;
+        const starts = before === 0 || ' ([;)'.includes(text[before - 1]);
+        const ends = end === text.length || '.;'.includes(text[end]);
+        if (starts && ends) {
+            result += text.slice(from, at) + OWN_CLASS;
+            from = end;
+        }
+        at = text.indexOf(className, end);
+    }
+    return result + text.slice(from);
+}
+
+/**
+ * Constant pool entries as fingerprints take them, resolved once per class:
+ * the hash of the entry as javap describes it, with the declaring class
+ * written as OWN_CLASS, split into two words.
+ *
+ * @param {Array} constantPool
+ * @param {string} className - Internal name of the declaring class
+ * @returns {Function} cpIndex => [low, high]
+ */
+function resolvedSymbols(constantPool, className) {
+    let cache = symbolCache.get(constantPool);
+    if (!cache) {
+        cache = new Map();
+        symbolCache.set(constantPool, cache);
+    }
+    return (cpIndex) => {
+        let symbol = cache.get(cpIndex);
+        if (!symbol) {
+            // Bootstrap method numbers are local to the class
+            const text = replaceOwnClass(describeConstant(constantPool, cpIndex), className)
+                .replace(/^(InvokeDynamic|Dynamic) #\d+:/, '$1 ');
+            const hash = hashString(text);
+            symbol = [hash % 4294967296, Math.floor(hash / 4294967296)];
+            cache.set(cpIndex, symbol);
+        }
+        return symbol;
+    };
+}
+
+/**
+ * Fingerprint the code of a method. codeHash covers the instructions with
+ * their constant pool operands resolved, the declaring class written as
+ * OWN_CLASS, and the exception table; it is equal for methods whose code
+ * does the same thing whatever the layout of their constant pools. ldc and
+ * ldc_w count as one instruction, and branch targets are instruction
+ * numbers rather than offsets. shapeHash leaves out what the operands refer
+ * to and the literal values, so it is equal for methods that differ only in
+ * the members, classes and constants they use.
+ *
+ * @param {Array} instructions - Output of decodeInstructions
+ * @param {Object} context
+ * @param {Array} context.constantPool - Constant pool of the declaring class
+ * @param {Array} context.exceptionTable - { startPc, endPc, handlerPc, catchType } entries
+ * @param {string} context.className - Internal name of the declaring class
+ * @param {number} context.codeLength - Length of the code array, where a try block may end
+ * @returns {{ codeHash: string, shapeHash: string }}
+ */
+export function fingerprintCode(instructions, { constantPool, exceptionTable, className, codeLength }) {
+    const indexOf = new Map();
+    instructions.forEach((insn, i) => indexOf.set(insn.pc, i));
+    indexOf.set(codeLength, instructions.length);
+    const label = (pc) => indexOf.get(pc) ?? -1;
+    const symbols = resolvedSymbols(constantPool, className);
+
+    // Both fingerprints hash the same words but for the symbols and literals
+    const code = [];
+    const shape = [];
+    const push = (word) => {
+        code.push(word);
+        shape.push(word);
+    };
+    for (const insn of instructions) {
+        push(insn.opcode === 0x13 ? 0x12 : insn.opcode); // ldc_w as ldc
+        if (insn.cpIndex !== undefined) {
+            code.push(...symbols(insn.cpIndex));
+            shape.push(constantPool[insn.cpIndex]?.tag ?? 0);
+        }
+        if (LITERAL_OPCODES.has(insn.opcode)) code.push(insn.value);
+        if (insn.local !== undefined) push(insn.local);
+        if (insn.count !== undefined) push(insn.count);
+        if (insn.dimensions !== undefined) push(insn.dimensions);
+        if (insn.arrayType !== undefined) push(ARRAY_TYPES.indexOf(insn.arrayType));
+        if (insn.target !== undefined) push(label(insn.target));
+        if (insn.defaultTarget !== undefined) push(label(insn.defaultTarget));
+        if (insn.cases) {
+            push(insn.cases.length);
+            for (const c of insn.cases) {
+                push(c.match);
+                push(label(c.target));
+            }
+        }
+    }
+
+    push(instructions.length);
+    for (const { startPc, endPc, handlerPc, catchType } of exceptionTable) {
+        push(label(startPc));
+        push(label(endPc));
+        push(label(handlerPc));
+        code.push(catchType === null ? 0 : hashString(catchType === className ? OWN_CLASS : catchType) % 4294967296);
+    }
+
+    return { codeHash: hashWords(code), shapeHash: hashWords(shape) };
+}
+
+/**
+ * Group methods into clusters of identical or near-identical code: methods
+ * of at least DUPLICATE_MIN_BYTES with the same shapeHash. A cluster is
+ * 'identical' when all its methods also share their codeHash, and
+ * 'similar' when they differ in the members or constants they use; its
+ * variants are the number of distinct codeHashes. wastedBytes counts only
+ * exact copies: the bytes of all copies of each variant but one, since
+ * variants that use different members cannot simply be merged. Clusters
+ * are ranked by it, then by their total size. Methods without code, and
+ * DEX methods, have no fingerprint and are left out.
+ *
+ * @param {Array} methods - Method records from parseJar
+ * @param {number} limit - Number of clusters to return
+ * @returns {Array} { kind, variants, count, bytecodeSize, totalBytes, wastedBytes, methods } by
+ *   wastedBytes, largest first; methods are { className, methodName, descriptor, bytecodeSize,
+ *   codeHash, archive }, grouped by codeHash
+ */
+export function findDuplicateMethods(methods, limit = 100) {
+    const groups = new Map();
+    for (const method of methods) {
+        if (!method.shapeHash || method.bytecodeSize < DUPLICATE_MIN_BYTES) continue;
+        const group = groups.get(method.shapeHash);
+        if (group) {
+            group.push(method);
+        } else {
+            groups.set(method.shapeHash, [method]);
+        }
+    }
+
+    const clusters = [];
+    for (const members of groups.values()) {
+        if (members.length < 2) continue;
+        // Copies of a variant have the same code, and so the same size
+        const variantSizes = new Map(members.map((m) => [m.codeHash, m.bytecodeSize]));
+        const totalBytes = members.reduce((sum, m) => sum + m.bytecodeSize, 0);
+        const keptBytes = [...variantSizes.values()].reduce((sum, size) => sum + size, 0);
+        clusters.push({
+            kind: variantSizes.size === 1 ? 'identical' : 'similar',
+            variants: variantSizes.size,
+            count: members.length,
+            bytecodeSize: members.reduce((max, m) => Math.max(max, m.bytecodeSize), 0),
+            totalBytes,
+            wastedBytes: totalBytes - keptBytes,
+            members,
+        });
+    }
+
+    return clusters
+        .sort((a, b) => b.wastedBytes - a.wastedBytes || b.totalBytes - a.totalBytes)
+        .slice(0, limit)
+        .map(({ members, ...cluster }) => ({
+            ...cluster,
+            methods: members
+                .map((m) => ({
+                    className: m.className,
+                    methodName: m.methodName,
+                    descriptor: m.descriptor,
+                    bytecodeSize: m.bytecodeSize,
+                    codeHash: m.codeHash,
+                    archive: m.archive,
+                }))
+                .sort((a, b) => a.codeHash.localeCompare(b.codeHash) || a.className.localeCompare(b.className)),
+        }));
+}
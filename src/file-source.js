@@ -0,0 +1,61 @@
+/**
+ * File Source (Node only)
+ *
+ * Random-access ZIP source over a file handle, so the CLI reads only the
+ * central directory and the entries it parses instead of the whole file,
+ * and the listing of the files in a directory that can be parsed.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { isSupportedInput } from './parser.js';
+
+/**
+ * Open a file as a ZIP source. Call close() when done.
+ *
+ * @param {string} path
+ * @returns {Promise<Object>} Source { size, read(offset, length), close() }
+ */
+export async function openFileSource(path) {
+    const handle = await fs.open(path, 'r');
+    let size;
+    try {
+        ({ size } = await handle.stat());
+    } catch (e) {
+        await handle.close();
+        throw e;
+    }
+
+    return {
+        size,
+        async read(offset, length) {
+            const bytes = new Uint8Array(length);
+            const { bytesRead } = await handle.read(bytes, 0, length, offset);
+            return bytesRead < length ? bytes.subarray(0, bytesRead) : bytes;
+        },
+        close: () => handle.close(),
+    };
+}
+
+/**
+ * List the files under a directory that parseFiles reads (see
+ * isSupportedInput), e.g. the classes of a target/classes folder.
+ *
+ * @param {string} directory
+ * @returns {Promise<string[]>} Paths starting with the directory, sorted by name at each level
+ */
+export async function listInputFiles(directory) {
+    const entries = await fs.readdir(directory, { withFileTypes: true });
+    entries.sort((a, b) => (a.name < b.name ? -1 : a.name > b.name ? 1 : 0));
+
+    const files = [];
+    for (const entry of entries) {
+        const entryPath = path.join(directory, entry.name);
+        if (entry.isDirectory()) {
+            files.push(...await listInputFiles(entryPath));
+        } else if (entry.isFile() && isSupportedInput(entry.name)) {
+            files.push(entryPath);
+        }
+    }
+    return files;
+}
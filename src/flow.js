@@ -0,0 +1,174 @@
+/**
+ * Control Flow Metrics
+ *
+ * Splits a method's bytecode into basic blocks and measures how much it
+ * branches, so a long straight-line initializer can be told apart from a
+ * tangled state machine of the same size.
+ * Reference: https://docs.oracle.com/javase/specs/jvms/se21/html/jvms-4.html#jvms-4.7.3
+ */
+
+import { decodeInstructions } from './bytecode.js';
+
+const GOTO = 0xA7;
+const RET = 0xA9;
+const GOTO_W = 0xC8;
+const ATHROW = 0xBF;
+
+/**
+ * Whether an opcode is a two-way conditional jump (if<cond>, if_icmp<cond>,
+ * if_acmp<cond>, ifnull, ifnonnull).
+ *
+ * @param {number} opcode
+ * @returns {boolean}
+ */
+function isConditionalBranch(opcode) {
+    return (opcode >= 0x99 && opcode <= 0xA6) || opcode === 0xC6 || opcode === 0xC7;
+}
+
+/**
+ * Whether control never falls through to the next instruction: goto,
+ * returns, athrow and ret.
+ *
+ * @param {number} opcode
+ * @returns {boolean}
+ */
+function endsFlow(opcode) {
+    return opcode === GOTO || opcode === GOTO_W || opcode === RET || opcode === ATHROW ||
+        (opcode >= 0xAC && opcode <= 0xB1);
+}
+
+/**
+ * How the opcodes of JVM bytecode affect control flow. Other instruction
+ * sets, such as Dalvik bytecode in dex.js, supply their own.
+ */
+const JVM_OPCODES = { isConditionalBranch, endsFlow };
+
+/**
+ * Jump targets of an instruction, excluding the fall-through.
+ *
+ * @param {Object} insn - Instruction from decodeInstructions
+ * @returns {number[]}
+ */
+function jumpTargets(insn) {
+    if (insn.cases) {
+        return [insn.defaultTarget, ...insn.cases.map((c) => c.target)];
+    }
+    return insn.target !== undefined ? [insn.target] : [];
+}
+
+/**
+ * Split decoded instructions into basic blocks.
+ *
+ * A block starts at pc 0, at every jump target, at every exception handler
+ * and after every instruction that jumps or ends the flow. Successors are
+ * the start pcs of the blocks control can pass to directly; the edges into
+ * exception handlers are not included. A jsr is followed both into the
+ * subroutine and to the instruction after it, where its ret returns.
+ *
+ * @param {Array} instructions - Result of decodeInstructions
+ * @param {Array} exceptionTable - { startPc, endPc, handlerPc, catchType } entries of the Code attribute
+ * @param {Object} [opcodes] - { isConditionalBranch, endsFlow } of the instruction set, JVM bytecode by default
+ * @returns {Array} { start, end, successors } in pc order; end is exclusive
+ */
+export function buildBasicBlocks(instructions, exceptionTable = [], opcodes = JVM_OPCODES) {
+    if (instructions.length === 0) {
+        return [];
+    }
+
+    const leaders = new Set([0]);
+    for (const { handlerPc } of exceptionTable) {
+        leaders.add(handlerPc);
+    }
+    for (let i = 0; i < instructions.length; i++) {
+        const insn = instructions[i];
+        const targets = jumpTargets(insn);
+        for (const target of targets) {
+            leaders.add(target);
+        }
+        if ((targets.length > 0 || opcodes.endsFlow(insn.opcode)) && i + 1 < instructions.length) {
+            leaders.add(instructions[i + 1].pc);
+        }
+    }
+
+    const codeEnd = instructions.at(-1).pc + instructions.at(-1).length;
+    const blocks = [];
+    for (let i = 0; i < instructions.length; i++) {
+        if (!leaders.has(instructions[i].pc)) continue;
+
+        let last = i;
+        while (last + 1 < instructions.length && !leaders.has(instructions[last + 1].pc)) {
+            last++;
+        }
+        const insn = instructions[last];
+        const next = last + 1 < instructions.length ? instructions[last + 1].pc : codeEnd;
+
+        const successors = new Set(jumpTargets(insn));
+        if (!opcodes.endsFlow(insn.opcode) && !insn.cases && next < codeEnd) {
+            successors.add(next);
+        }
+
+        blocks.push({ start: instructions[i].pc, end: next, successors: [...successors] });
+        i = last;
+    }
+
+    return blocks;
+}
+
+/**
+ * Measure the control flow of a method's bytecode.
+ *
+ * - basicBlocks:          number of basic blocks (see buildBasicBlocks)
+ * - cyclomaticComplexity: 1 + conditional branches + (distinct targets - 1)
+ *                         of each switch + distinct exception handlers, i.e.
+ *                         McCabe's number with one edge into each handler
+ * - branches:             conditional jump instructions
+ * - switchCases:          case labels of all tableswitch/lookupswitch
+ *                         instructions, not counting default
+ * - exceptionHandlers:    distinct handler pcs in the exception table
+ *                         (javac repeats a finally handler for every range)
+ *
+ * Methods without code (abstract and native) have all metrics 0.
+ *
+ * @param {Uint8Array|null} code - The bytecode of a single method
+ * @param {Array} exceptionTable - { startPc, endPc, handlerPc, catchType } entries of the Code attribute
+ * @returns {{ basicBlocks: number, cyclomaticComplexity: number, branches: number, switchCases: number, exceptionHandlers: number }}
+ */
+export function computeFlowMetrics(code, exceptionTable = []) {
+    return measureFlow(code ? decodeInstructions(code) : [], exceptionTable);
+}
+
+/**
+ * computeFlowMetrics for code that has already been decoded.
+ *
+ * @param {Array} instructions - Result of decodeInstructions, empty for methods without code
+ * @param {Array} exceptionTable - { startPc, endPc, handlerPc, catchType } entries of the Code attribute
+ * @param {Object} [opcodes] - { isConditionalBranch, endsFlow } of the instruction set, JVM bytecode by default
+ * @returns {{ basicBlocks: number, cyclomaticComplexity: number, branches: number, switchCases: number, exceptionHandlers: number }}
+ */
+export function measureFlow(instructions, exceptionTable = [], opcodes = JVM_OPCODES) {
+    if (instructions.length === 0) {
+        return { basicBlocks: 0, cyclomaticComplexity: 0, branches: 0, switchCases: 0, exceptionHandlers: 0 };
+    }
+
+    let branches = 0;
+    let switchCases = 0;
+    let decisions = 0;
+    for (const insn of instructions) {
+        if (opcodes.isConditionalBranch(insn.opcode)) {
+            branches++;
+            decisions++;
+        } else if (insn.cases) {
+            switchCases += insn.cases.length;
+            decisions += new Set(jumpTargets(insn)).size - 1;
+        }
+    }
+    const exceptionHandlers = new Set(exceptionTable.map((h) => h.handlerPc)).size;
+
+    return {
+        basicBlocks: buildBasicBlocks(instructions, exceptionTable, opcodes).length,
+        cyclomaticComplexity: 1 + decisions + exceptionHandlers,
+        branches,
+        switchCases,
+        exceptionHandlers,
+    };
+}
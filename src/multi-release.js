@@ -0,0 +1,175 @@
+/**
+ * Multi-Release JARs
+ *
+ * A JAR whose manifest declares "Multi-Release: true" may hold several
+ * variants of a class: the base one at its usual path and versioned ones
+ * under META-INF/versions/N/, which Java N and later load instead. For a
+ * target Java version only one variant of each class is effective: the
+ * highest version not above the target, or else the base entry.
+ * Reference: https://docs.oracle.com/en/java/javase/21/docs/specs/jar/jar.html#multi-release-jar-files
+ */
+
+/**
+ * Directory holding the versioned entries of a multi-release JAR.
+ */
+export const VERSIONS_DIRECTORY = 'META-INF/versions/';
+
+/**
+ * Path of the JAR manifest.
+ */
+export const MANIFEST_PATH = 'META-INF/MANIFEST.MF';
+
+/**
+ * Target version that selects the highest variant of every class.
+ */
+export const LATEST_VERSION = 'latest';
+
+/**
+ * Lowest release with versioned entries; lower directories are never used.
+ */
+const FIRST_VERSIONED_RELEASE = 9;
+
+/**
+ * Lowest target version accepted, the release before multi-release JARs.
+ */
+const BASE_RELEASE = 8;
+
+const VERSIONED_PATH_PATTERN = /^META-INF\/versions\/(\d+)\/(.+)$/;
+
+/**
+ * Read an attribute of the main section of a manifest. Attribute names are
+ * case-insensitive and values may be continued on lines starting with a space.
+ *
+ * @param {string} manifest - Text of META-INF/MANIFEST.MF
+ * @param {string} name - e.g. "Multi-Release"
+ * @returns {string|null} The value, or null when the attribute is absent
+ */
+export function readManifestAttribute(manifest, name) {
+    const lines = [];
+    for (const line of manifest.split(/\r\n|\r|\n/)) {
+        // A blank line ends the main section
+        if (line === '') break;
+        if (line.startsWith(' ') && lines.length > 0) {
+            lines[lines.length - 1] += line.slice(1);
+        } else {
+            lines.push(line);
+        }
+    }
+
+    const wanted = name.toLowerCase();
+    for (const line of lines) {
+        const colon = line.indexOf(':');
+        if (colon > 0 && line.slice(0, colon).trim().toLowerCase() === wanted) {
+            return line.slice(colon + 1).trim();
+        }
+    }
+    return null;
+}
+
+/**
+ * Whether a manifest declares a multi-release JAR.
+ *
+ * @param {string} manifest - Text of META-INF/MANIFEST.MF
+ * @returns {boolean}
+ */
+export function isMultiReleaseManifest(manifest) {
+    return readManifestAttribute(manifest, 'Multi-Release')?.toLowerCase() === 'true';
+}
+
+/**
+ * Split a versioned entry path into its release and base path.
+ *
+ * @param {string} path - Entry path, e.g. "META-INF/versions/11/com/example/Foo.class"
+ * @returns {{ version: number, path: string }|null} e.g. { version: 11, path: "com/example/Foo.class" },
+ *   null for entries outside META-INF/versions/
+ */
+export function versionedPath(path) {
+    const match = VERSIONED_PATH_PATTERN.exec(path);
+    return match ? { version: parseInt(match[1], 10), path: match[2] } : null;
+}
+
+/**
+ * Check a target Java version and turn it into the highest release to use.
+ *
+ * @param {string|number} [targetVersion] - LATEST_VERSION or a release number of at least 8
+ * @returns {number} Infinity for LATEST_VERSION
+ */
+export function resolveTargetVersion(targetVersion = LATEST_VERSION) {
+    if (targetVersion === LATEST_VERSION) {
+        return Infinity;
+    }
+    const version = Number(targetVersion);
+    if (!/^\d+$/.test(String(targetVersion)) || version < BASE_RELEASE) {
+        throw new Error(`Target Java version must be '${LATEST_VERSION}' or a release of at least ${BASE_RELEASE}, got '${targetVersion}'`);
+    }
+    return version;
+}
+
+/**
+ * Choose the class files to analyze for a target Java version.
+ *
+ * Each file is { path, archive, multiRelease, ... } as collected from a
+ * JAR, where multiRelease tells whether its archive's manifest declares a
+ * multi-release JAR. Files under META-INF/versions/ of other archives, or
+ * in a directory below release 9, are never loaded by the JVM and are
+ * returned as ignored. Of the variants of a class, the one for the target
+ * is marked effective; classes with no variant for the target are left out.
+ *
+ * @param {Array} classFiles - Class files in archive order
+ * @param {string|number} [targetVersion] - LATEST_VERSION or a release number
+ * @returns {{ classFiles: Array, ignored: Array }} classFiles are the input files that belong to
+ *   a class present for the target, in input order, each extended with releaseVersion (null for
+ *   the base entry), effective, and variantKey (null unless the class has several variants)
+ */
+export function selectReleaseVariants(classFiles, targetVersion = LATEST_VERSION) {
+    const target = resolveTargetVersion(targetVersion);
+    const groups = new Map();
+    const variants = [];
+    const ignored = [];
+
+    for (const file of classFiles) {
+        let releaseVersion = null;
+        let key = `${file.archive}\u0000${file.path}`;
+        const versioned = versionedPath(file.path);
+        if (versioned) {
+            if (!file.multiRelease || versioned.version < FIRST_VERSIONED_RELEASE) {
+                ignored.push(file);
+                continue;
+            }
+            releaseVersion = versioned.version;
+            key = `${file.archive}\u0000${versioned.path}`;
+        }
+
+        let group = groups.get(key);
+        if (!group) {
+            group = [];
+            groups.set(key, group);
+        }
+        const variant = { ...file, releaseVersion, effective: false, variantKey: null };
+        group.push(variant);
+        variants.push(variant);
+    }
+
+    const selected = new Set();
+    for (const [key, group] of groups) {
+        let effective = null;
+        for (const variant of group) {
+            const version = variant.releaseVersion ?? BASE_RELEASE;
+            if (version <= target && (!effective || version > (effective.releaseVersion ?? BASE_RELEASE))) {
+                effective = variant;
+            }
+        }
+        if (!effective) continue;
+
+        effective.effective = true;
+        for (const variant of group) {
+            if (group.length > 1) variant.variantKey = key;
+            selected.add(variant);
+        }
+    }
+
+    return {
+        classFiles: variants.filter((variant) => selected.has(variant)),
+        ignored,
+    };
+}
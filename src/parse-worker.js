@@ -0,0 +1,37 @@
+/**
+ * Parse Worker
+ *
+ * Runs parseFiles off the main thread so large JARs don't freeze the page.
+ * This is a module worker. The Files are passed straight to parseFiles,
+ * which reads only the entries it needs from them. The page cancels a parse
+ * by terminating the worker.
+ *
+ * Message in:   { inputs: [{ name, data: File|ArrayBuffer }], options } - as for parseFiles
+ * Messages out: { type: 'progress', processed, total }
+ *               { type: 'result', result }
+ *               { type: 'error', message }
+ */
+
+import { parseFiles } from './parser.js';
+
+self.onmessage = async (event) => {
+    const { inputs, options } = event.data;
+    let lastPercent = -1;
+
+    try {
+        const result = await parseFiles(inputs, {
+            ...options,
+            onProgress: (processed, total) => {
+                // One message per percent keeps the channel quiet for JARs with many classes
+                const percent = Math.floor((processed / total) * 100);
+                if (percent !== lastPercent) {
+                    lastPercent = percent;
+                    self.postMessage({ type: 'progress', processed, total });
+                }
+            },
+        });
+        self.postMessage({ type: 'result', result });
+    } catch (e) {
+        self.postMessage({ type: 'error', message: e.message });
+    }
+};
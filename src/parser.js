@@ -5,23 +5,106 @@
  * Reference: https://docs.oracle.com/javase/specs/jvms/se21/html/jvms-4.html
  */
 
-import JSZip from 'jszip';
+import { decodeInstructions, formatInstructions } from './bytecode.js';
+import { openZip, readZipEntry, toZipSource, zipEntrySource, sliceSource, crc32 } from './zip.js';
+import { measureFlow } from './flow.js';
+import { collectInvocations, summarizeCalls, buildCallGraph, methodId } from './callgraph.js';
+import { linkLambdaBodies, attributeSyntheticMethods } from './attribution.js';
+import { createClassReader, readU1, readU2, readU4, readI4, readF4, readI8, readF8, readBytes, skipBytes, sliceReader, readModifiedUtf8, fail, formatOffset } from './class-reader.js';
+import { MANIFEST_PATH, VERSIONS_DIRECTORY, LATEST_VERSION, isMultiReleaseManifest, selectReleaseVariants } from './multi-release.js';
+import { collectLiterals, constantPoolBreakdown, largestStrings, countLiterals, findDuplicateLiterals } from './constant-pool.js';
+import { parseDexFile } from './dex.js';
+import { detectBloat } from './bloat.js';
+import { fingerprintCode, findDuplicateMethods } from './duplicate-methods.js';
 
 const MAGIC = 0xCAFEBABE;
 
+/**
+ * HotSpot method size limits, in bytes of bytecode.
+ *
+ * - maxInlineSize:   -XX:MaxInlineSize, largest method inlined regardless of call frequency
+ * - freqInlineSize:  -XX:FreqInlineSize, largest method inlined at hot call sites
+ * - hugeMethodLimit: -XX:HugeMethodLimit, larger methods are never JIT-compiled
+ *                    (while -XX:+DontCompileHugeMethods is on, the default)
+ * - maxMethodSize:   JVMS hard cap on code_length
+ */
+export const DEFAULT_JIT_LIMITS = Object.freeze({
+    maxInlineSize: 35,
+    freqInlineSize: 325,
+    hugeMethodLimit: 8000,
+    maxMethodSize: 65535,
+});
+
+/**
+ * Method access_flags bits (JVMS 4.6), in javap order.
+ */
+const METHOD_ACCESS_FLAGS = [
+    [0x0001, 'public'],
+    [0x0002, 'private'],
+    [0x0004, 'protected'],
+    [0x0008, 'static'],
+    [0x0010, 'final'],
+    [0x0020, 'synchronized'],
+    [0x0040, 'bridge'],
+    [0x0080, 'varargs'],
+    [0x0100, 'native'],
+    [0x0400, 'abstract'],
+    [0x0800, 'strict'],
+    [0x1000, 'synthetic'],
+];
+
+/**
+ * Class access_flags bits (JVMS 4.1).
+ */
+const CLASS_ACCESS_FLAGS = [
+    [0x0001, 'public'],
+    [0x0010, 'final'],
+    [0x0020, 'super'],
+    [0x0200, 'interface'],
+    [0x0400, 'abstract'],
+    [0x1000, 'synthetic'],
+    [0x2000, 'annotation'],
+    [0x4000, 'enum'],
+    [0x8000, 'module'],
+];
+
+/**
+ * JIT categories from smallest to largest. 'no-code' covers abstract and native methods.
+ */
+export const JIT_CATEGORIES = Object.freeze([
+    'no-code',
+    'inline',
+    'freq-inline',
+    'no-inline',
+    'huge',
+    'over-limit',
+]);
+
+/**
+ * Unit of bytecodeSize per input format: class files give code_length in
+ * bytes, DEX files insns_size in 16-bit code units.
+ */
+export const SIZE_UNITS = Object.freeze({
+    class: 'bytes',
+    dex: 'code units',
+});
+
 /**
  * Parse a Java class file and extract method information.
  *
- * @param {ArrayBuffer} buffer - The class file contents
- * @returns {Object} Parsed class information with className and methods array
+ * constantPoolSize is the byte length of the constant pool, not counting
+ * the constant_pool_count field. A truncated or corrupt file throws an
+ * Error naming the section being read and its byte offset.
+ *
+ * @param {ArrayBuffer|Uint8Array} buffer - The class file contents
+ * @returns {Object} Parsed class information with className, constantPool, constantPoolEntries,
+ *   constantPoolSize, fieldCount, fields, sourceFile and methods array
  */
 export function parseClassFile(buffer) {
-    const view = new DataView(buffer);
-    let offset = 0;
+    const reader = createClassReader(buffer);
 
     // 1. Verify magic number (4 bytes)
-    const magic = view.getUint32(offset, false); // big-endian
-    offset += 4;
+    const magic = readU4(reader);
 
     if (magic !== MAGIC) {
         throw new Error(
@@ -30,183 +113,214 @@ export function parseClassFile(buffer) {
     }
 
     // 2. Read version info (4 bytes)
-    const minorVersion = view.getUint16(offset, false);
-    offset += 2;
-    const majorVersion = view.getUint16(offset, false);
-    offset += 2;
+    const minorVersion = readU2(reader);
+    const majorVersion = readU2(reader);
 
     // 3. Read constant pool
-    const { constantPool, newOffset } = parseConstantPool(view, offset);
-    offset = newOffset;
+    const constantPoolStart = reader.pos;
+    const constantPool = parseConstantPool(reader);
+    const constantPoolSize = reader.pos - constantPoolStart - 2;
 
     // 4. Read access flags, this_class, super_class
-    const accessFlags = view.getUint16(offset, false);
-    offset += 2;
-
-    const thisClassIndex = view.getUint16(offset, false);
-    offset += 2;
-
-    const superClassIndex = view.getUint16(offset, false);
-    offset += 2;
-
-    // Resolve class name
-    const className = resolveClassName(constantPool, thisClassIndex);
+    reader.section = 'class header';
+    const accessFlags = readU2(reader);
+    const className = readClassReference(reader, constantPool, false);
+    readU2(reader); // super_class
 
     // 5. Skip interfaces
-    const interfacesCount = view.getUint16(offset, false);
-    offset += 2;
-    offset += interfacesCount * 2; // Each interface is a 2-byte index
+    reader.section = 'interfaces';
+    const interfacesCount = readU2(reader);
+    skipBytes(reader, interfacesCount * 2); // Each interface is a 2-byte index
 
-    // 6. Skip fields
-    offset = skipFields(view, offset, constantPool);
+    // 6. Parse fields
+    const fields = parseFields(reader, constantPool);
 
     // 7. Parse methods
-    const methods = parseMethods(view, offset, constantPool);
+    const methods = parseMethods(reader, constantPool, className, accessFlags);
+
+    // 8. Class attributes
+    const { sourceFile, bootstrapMethods } = parseClassAttributes(reader, constantPool);
+    linkLambdaBodies(className, methods, bootstrapMethods, constantPool);
 
     return {
         className,
+        accessFlags,
         majorVersion,
         minorVersion,
+        constantPool,
+        // Long and Double take two slots, the second of which is empty
+        constantPoolEntries: constantPool.reduce((count, entry) => (entry ? count + 1 : count), 0),
+        constantPoolSize,
+        fieldCount: fields.length,
+        fields,
+        sourceFile,
+        bootstrapMethods,
         methods,
     };
 }
 
 /**
- * Parse the constant pool.
+ * Parse the constant pool. Utf8 entries are decoded as Modified UTF-8.
  *
- * @param {DataView} view
- * @param {number} offset
- * @returns {{ constantPool: Array, newOffset: number }}
+ * @param {Object} reader - Class file reader, from createClassReader
+ * @returns {Array} The constant pool, indexed from 1
  */
-function parseConstantPool(view, offset) {
-    const constantPoolCount = view.getUint16(offset, false);
-    offset += 2;
+function parseConstantPool(reader) {
+    reader.section = 'constant pool';
+    const constantPoolCount = readU2(reader);
 
     // Constant pool is 1-indexed, slot 0 is unused
     const constantPool = [null];
+    const offsets = [null];
 
     let index = 1;
     while (index < constantPoolCount) {
-        const tag = view.getUint8(offset);
-        offset += 1;
+        reader.section = `constant pool entry #${index}`;
+        const tagOffset = reader.pos;
+        offsets[index] = tagOffset;
+        const tag = readU1(reader);
 
         let entry;
 
         switch (tag) {
             case 1: // CONSTANT_Utf8
                 {
-                    const length = view.getUint16(offset, false);
-                    offset += 2;
-                    const bytes = new Uint8Array(view.buffer, view.byteOffset + offset, length);
-                    const value = new TextDecoder().decode(bytes);
-                    offset += length;
-                    entry = { tag, value };
+                    const length = readU2(reader);
+                    const value = readModifiedUtf8(reader, length);
+                    entry = { tag, value, length };
                 }
                 break;
 
             case 3: // CONSTANT_Integer
-                offset += 4;
-                entry = { tag };
+                entry = { tag, value: readI4(reader) };
                 break;
 
             case 4: // CONSTANT_Float
-                offset += 4;
-                entry = { tag };
+                entry = { tag, value: readF4(reader) };
                 break;
 
             case 5: // CONSTANT_Long (takes 2 slots)
-                offset += 8;
-                entry = { tag };
+                entry = { tag, value: readI8(reader) };
                 constantPool.push(entry);
                 constantPool.push(null); // Long takes 2 slots
                 index += 2;
                 continue;
 
             case 6: // CONSTANT_Double (takes 2 slots)
-                offset += 8;
-                entry = { tag };
+                entry = { tag, value: readF8(reader) };
                 constantPool.push(entry);
                 constantPool.push(null); // Double takes 2 slots
                 index += 2;
                 continue;
 
             case 7: // CONSTANT_Class
-                {
-                    const nameIndex = view.getUint16(offset, false);
-                    offset += 2;
-                    entry = { tag, nameIndex };
-                }
+                entry = { tag, nameIndex: readU2(reader) };
                 break;
 
             case 8: // CONSTANT_String
-                offset += 2;
-                entry = { tag };
+                entry = { tag, stringIndex: readU2(reader) };
                 break;
 
             case 9: // CONSTANT_Fieldref
-                offset += 4;
-                entry = { tag };
-                break;
-
             case 10: // CONSTANT_Methodref
-                offset += 4;
-                entry = { tag };
-                break;
-
             case 11: // CONSTANT_InterfaceMethodref
-                offset += 4;
-                entry = { tag };
+                {
+                    const classIndex = readU2(reader);
+                    const nameAndTypeIndex = readU2(reader);
+                    entry = { tag, classIndex, nameAndTypeIndex };
+                }
                 break;
 
             case 12: // CONSTANT_NameAndType
                 {
-                    const nameIndex = view.getUint16(offset, false);
-                    offset += 2;
-                    const descriptorIndex = view.getUint16(offset, false);
-                    offset += 2;
+                    const nameIndex = readU2(reader);
+                    const descriptorIndex = readU2(reader);
                     entry = { tag, nameIndex, descriptorIndex };
                 }
                 break;
 
             case 15: // CONSTANT_MethodHandle
-                offset += 3;
-                entry = { tag };
+                {
+                    const referenceKind = readU1(reader);
+                    const referenceIndex = readU2(reader);
+                    entry = { tag, referenceKind, referenceIndex };
+                }
                 break;
 
             case 16: // CONSTANT_MethodType
-                offset += 2;
-                entry = { tag };
+                entry = { tag, descriptorIndex: readU2(reader) };
                 break;
 
             case 17: // CONSTANT_Dynamic
-                offset += 4;
-                entry = { tag };
-                break;
-
             case 18: // CONSTANT_InvokeDynamic
-                offset += 4;
-                entry = { tag };
+                {
+                    const bootstrapMethodAttrIndex = readU2(reader);
+                    const nameAndTypeIndex = readU2(reader);
+                    entry = { tag, bootstrapMethodAttrIndex, nameAndTypeIndex };
+                }
                 break;
 
             case 19: // CONSTANT_Module
-                offset += 2;
-                entry = { tag };
-                break;
-
             case 20: // CONSTANT_Package
-                offset += 2;
-                entry = { tag };
+                entry = { tag, nameIndex: readU2(reader) };
                 break;
 
             default:
-                throw new Error(`Unknown constant pool tag: ${tag} at index ${index}`);
+                throw new Error(`Unknown constant pool tag: ${tag} at index ${index}, offset ${formatOffset(tagOffset)}`);
         }
 
         constantPool.push(entry);
         index += 1;
     }
 
-    return { constantPool, newOffset: offset };
+    resolveReferences(constantPool, offsets);
+    return constantPool;
+}
+
+/**
+ * Resolve member and invokedynamic references once the whole pool is read,
+ * since entries may refer forward. Fieldref, Methodref and
+ * InterfaceMethodref entries gain className (internal form), name and
+ * descriptor; Dynamic and InvokeDynamic entries gain name and descriptor.
+ *
+ * @param {Array} constantPool
+ * @param {Array} offsets - Class file offset of each entry, for errors
+ */
+function resolveReferences(constantPool, offsets) {
+    for (let index = 1; index < constantPool.length; index++) {
+        const entry = constantPool[index];
+        if (!entry) continue;
+        try {
+            if (entry.tag === 9 || entry.tag === 10 || entry.tag === 11) {
+                entry.className = resolveClassName(constantPool, entry.classIndex);
+                Object.assign(entry, resolveNameAndType(constantPool, entry.nameAndTypeIndex));
+            } else if (entry.tag === 17 || entry.tag === 18) {
+                Object.assign(entry, resolveNameAndType(constantPool, entry.nameAndTypeIndex));
+            } else if (entry.tag === 8) {
+                entry.value = resolveUtf8(constantPool, entry.stringIndex);
+            }
+        } catch (e) {
+            throw new Error(`${e.message} in constant pool entry #${index} at ${formatOffset(offsets[index])}`, { cause: e });
+        }
+    }
+}
+
+/**
+ * Resolve a NameAndType entry from the constant pool.
+ *
+ * @param {Array} constantPool
+ * @param {number} index
+ * @returns {{ name: string, descriptor: string }}
+ */
+function resolveNameAndType(constantPool, index) {
+    const entry = constantPool[index];
+    if (!entry || entry.tag !== 12) {
+        throw new Error(`Invalid NameAndType reference at index ${index}`);
+    }
+    return {
+        name: resolveUtf8(constantPool, entry.nameIndex),
+        descriptor: resolveUtf8(constantPool, entry.descriptorIndex),
+    };
 }
 
 /**
@@ -244,87 +358,157 @@ function resolveUtf8(constantPool, index) {
 }
 
 /**
- * Skip the fields section.
+ * Read a constant pool index and resolve it to a UTF8 string.
  *
- * @param {DataView} view
- * @param {number} offset
+ * @param {Object} reader
  * @param {Array} constantPool
- * @returns {number} New offset after fields
+ * @returns {string}
  */
-function skipFields(view, offset, constantPool) {
-    const fieldsCount = view.getUint16(offset, false);
-    offset += 2;
-
-    for (let i = 0; i < fieldsCount; i++) {
-        // access_flags (2) + name_index (2) + descriptor_index (2)
-        offset += 6;
-
-        // Skip field attributes
-        offset = skipAttributes(view, offset);
+function readUtf8Reference(reader, constantPool) {
+    const offset = reader.pos;
+    const index = readU2(reader);
+    const entry = constantPool[index];
+    if (!entry || entry.tag !== 1) {
+        fail(reader, `has an invalid UTF8 reference #${index}`, offset);
     }
+    return entry.value;
+}
 
-    return offset;
+/**
+ * Read a constant pool index and resolve it to a class name.
+ *
+ * @param {Object} reader
+ * @param {Array} constantPool
+ * @param {boolean} [optional] - Whether index 0 is allowed, as for a finally handler's catch_type
+ * @returns {string|null} null for index 0
+ */
+function readClassReference(reader, constantPool, optional = true) {
+    const offset = reader.pos;
+    const index = readU2(reader);
+    if (index === 0 && optional) return null;
+    const entry = constantPool[index];
+    const nameEntry = entry && entry.tag === 7 ? constantPool[entry.nameIndex] : null;
+    if (!nameEntry || nameEntry.tag !== 1) {
+        fail(reader, `has an invalid class reference #${index}`, offset);
+    }
+    return nameEntry.value;
 }
 
 /**
- * Skip attributes section.
+ * Read an attributes table, handing the body of each attribute with a
+ * handler to it as a reader of its own. Other attributes are skipped.
  *
- * @param {DataView} view
- * @param {number} offset
- * @returns {number} New offset after attributes
+ * @param {Object} reader
+ * @param {Array} constantPool
+ * @param {string} owner - Named in errors, e.g. "method #3"
+ * @param {Object} [handlers] - Functions of a body reader, by attribute name
  */
-function skipAttributes(view, offset) {
-    const attributesCount = view.getUint16(offset, false);
-    offset += 2;
+function readAttributes(reader, constantPool, owner, handlers = {}) {
+    reader.section = `${owner} attributes`;
+    const attributesCount = readU2(reader);
 
     for (let i = 0; i < attributesCount; i++) {
-        // attribute_name_index (2)
-        offset += 2;
-        // attribute_length (4)
-        const attributeLength = view.getUint32(offset, false);
-        offset += 4;
-        // Skip attribute data
-        offset += attributeLength;
+        reader.section = `${owner} attribute #${i}`;
+        const attributeName = readUtf8Reference(reader, constantPool);
+        const attributeLength = readU4(reader);
+        const body = sliceReader(reader, attributeLength, `${owner} attribute '${attributeName}'`);
+        if (Object.hasOwn(handlers, attributeName)) {
+            handlers[attributeName](body);
+        }
     }
+}
 
-    return offset;
+/**
+ * Parse the fields section, keeping each field's name, descriptor and
+ * access flags and skipping its attributes.
+ *
+ * @param {Object} reader
+ * @param {Array} constantPool
+ * @returns {Array} { name, descriptor, accessFlags } per field
+ */
+function parseFields(reader, constantPool) {
+    reader.section = 'fields';
+    const fieldsCount = readU2(reader);
+
+    const fields = [];
+    for (let i = 0; i < fieldsCount; i++) {
+        reader.section = `field #${i}`;
+        const accessFlags = readU2(reader);
+        const name = readUtf8Reference(reader, constantPool);
+        const descriptor = readUtf8Reference(reader, constantPool);
+        fields.push({ name, descriptor, accessFlags });
+
+        readAttributes(reader, constantPool, `field #${i}`);
+    }
+
+    return fields;
 }
 
 /**
  * Parse the methods section.
  *
- * @param {DataView} view
- * @param {number} offset
+ * @param {Object} reader
  * @param {Array} constantPool
- * @returns {Array} Array of method objects
+ * @param {string} className - Internal name of the class, for detectBloat and fingerprintCode
+ * @param {number} classAccessFlags
+ * @returns {Array} Methods with their attributes, flow measures, invocations, bloat findings and
+ *   code fingerprints
  */
-function parseMethods(view, offset, constantPool) {
-    const methodsCount = view.getUint16(offset, false);
-    offset += 2;
+function parseMethods(reader, constantPool, className, classAccessFlags) {
+    reader.section = 'methods';
+    const methodsCount = readU2(reader);
 
     const methods = [];
 
     for (let i = 0; i < methodsCount; i++) {
-        const accessFlags = view.getUint16(offset, false);
-        offset += 2;
-
-        const nameIndex = view.getUint16(offset, false);
-        offset += 2;
-
-        const descriptorIndex = view.getUint16(offset, false);
-        offset += 2;
-
-        const name = resolveUtf8(constantPool, nameIndex);
-        const descriptor = resolveUtf8(constantPool, descriptorIndex);
+        const owner = `method #${i}`;
+        reader.section = owner;
+        const accessFlags = readU2(reader);
+        const name = readUtf8Reference(reader, constantPool);
+        const descriptor = readUtf8Reference(reader, constantPool);
 
         // Parse method attributes to find Code attribute
-        const { bytecodeSize, newOffset } = parseMethodAttributes(view, offset, constantPool);
-        offset = newOffset;
+        const attributes = parseMethodAttributes(reader, constantPool, owner);
+        const { code, exceptionTable } = attributes;
+
+        // Only reading the code can fail on a malformed class file: decoding
+        // it and resolving its method references. The analysis passes after
+        // it take valid instructions, so their errors are bugs to surface as is.
+        let instructions = [];
+        let invocations = [];
+        if (code) {
+            try {
+                instructions = decodeInstructions(code);
+                invocations = collectInvocations(instructions, constantPool);
+            } catch (e) {
+                const codeOffset = code.byteOffset - reader.view.byteOffset;
+                throw new Error(`${owner} ${name}${descriptor} has invalid code at ${formatOffset(codeOffset)}: ${e.message}`, { cause: e });
+            }
+        }
+
+        const flow = measureFlow(instructions, exceptionTable);
+        const bloat = detectBloat(instructions, {
+            constantPool,
+            exceptionTable,
+            className,
+            classAccessFlags,
+            methodName: name,
+            codeLength: attributes.bytecodeSize,
+        });
+        const fingerprint = code
+            ? fingerprintCode(instructions, { constantPool, exceptionTable, className, codeLength: attributes.bytecodeSize })
+            : { codeHash: null, shapeHash: null };
 
         methods.push({
             name,
             descriptor,
-            bytecodeSize,
+            accessFlags,
+            ...attributes,
+            ...flow,
+            invocations,
+            bloat,
+            ...fingerprint,
+            declaringMethod: null,
         });
     }
 
@@ -332,128 +516,1106 @@ function parseMethods(view, offset, constantPool) {
 }
 
 /**
- * Parse method attributes to extract Code attribute's code_length.
+ * Parse method attributes: the Code attribute with its nested
+ * LineNumberTable and LocalVariableTable, and the generic Signature.
+ *
+ * The returned code is a view into the class file buffer, not a copy.
+ * Exception table entries are { startPc, endPc, handlerPc, catchType }, where
+ * catchType is the caught class or null for a finally handler. Line numbers
+ * are { startPc, line } and local variables { startPc, length, name,
+ * descriptor, index }; both are empty when the class was compiled without
+ * debug information. firstLine and lastLine are null in that case.
  *
- * @param {DataView} view
- * @param {number} offset
+ * @param {Object} reader
  * @param {Array} constantPool
- * @returns {{ bytecodeSize: number, newOffset: number }}
+ * @param {string} owner - Named in errors, e.g. "method #3"
+ * @returns {Object} { bytecodeSize, code, maxStack, maxLocals, exceptionTable, lineNumbers,
+ *   firstLine, lastLine, localVariables, signature }
  */
-function parseMethodAttributes(view, offset, constantPool) {
-    const attributesCount = view.getUint16(offset, false);
-    offset += 2;
+function parseMethodAttributes(reader, constantPool, owner) {
+    const result = {
+        bytecodeSize: 0,
+        code: null,
+        maxStack: 0,
+        maxLocals: 0,
+        exceptionTable: [],
+        lineNumbers: [],
+        firstLine: null,
+        lastLine: null,
+        localVariables: [],
+        signature: null,
+    };
 
-    let bytecodeSize = 0;
+    readAttributes(reader, constantPool, owner, {
+        Code: (body) => parseCodeAttribute(body, constantPool, owner, result),
+        // Signature attribute structure: signature_index (2)
+        Signature: (body) => { result.signature = readUtf8Reference(body, constantPool); },
+    });
 
-    for (let i = 0; i < attributesCount; i++) {
-        const attributeNameIndex = view.getUint16(offset, false);
-        offset += 2;
+    for (const { line } of result.lineNumbers) {
+        if (result.firstLine === null || line < result.firstLine) result.firstLine = line;
+        if (result.lastLine === null || line > result.lastLine) result.lastLine = line;
+    }
+
+    return result;
+}
+
+/**
+ * Parse a Code attribute into the method attributes being collected.
+ *
+ * Code attribute structure:
+ * max_stack (2) + max_locals (2) + code_length (4) + code[code_length] +
+ * exception_table_length (2) + exception_table[length] (8 each) +
+ * attributes_count (2) + attributes
+ *
+ * @param {Object} reader - Reader over the attribute body
+ * @param {Array} constantPool
+ * @param {string} owner - Named in errors, e.g. "method #3"
+ * @param {Object} result - Receives code, maxStack, maxLocals, exceptionTable, lineNumbers and localVariables
+ */
+function parseCodeAttribute(reader, constantPool, owner, result) {
+    result.maxStack = readU2(reader);
+    result.maxLocals = readU2(reader);
+    const codeLength = readU4(reader);
+    result.bytecodeSize = codeLength;
+    result.code = readBytes(reader, codeLength);
+
+    const section = reader.section;
+    reader.section = `${section} exception table`;
+    const exceptionTableLength = readU2(reader);
+    for (let i = 0; i < exceptionTableLength; i++) {
+        const startPc = readU2(reader);
+        const endPc = readU2(reader);
+        const handlerPc = readU2(reader);
+        const catchType = readClassReference(reader, constantPool);
+        result.exceptionTable.push({ startPc, endPc, handlerPc, catchType });
+    }
+
+    // A method may have several of each table, e.g. one per code range
+    readAttributes(reader, constantPool, section, {
+        LineNumberTable: (body) => {
+            const count = readU2(body);
+            for (let j = 0; j < count; j++) {
+                const startPc = readU2(body);
+                const line = readU2(body);
+                result.lineNumbers.push({ startPc, line });
+            }
+        },
+        LocalVariableTable: (body) => {
+            const count = readU2(body);
+            for (let j = 0; j < count; j++) {
+                const startPc = readU2(body);
+                const length = readU2(body);
+                const name = readUtf8Reference(body, constantPool);
+                const descriptor = readUtf8Reference(body, constantPool);
+                const index = readU2(body);
+                result.localVariables.push({ startPc, length, name, descriptor, index });
+            }
+        },
+    });
+}
+
+/**
+ * Parse the class attributes that follow the methods section.
+ *
+ * BootstrapMethods entries are { methodRef, arguments }: the constant pool
+ * index of the bootstrap MethodHandle and those of its static arguments.
+ *
+ * @param {Object} reader
+ * @param {Array} constantPool
+ * @returns {{ sourceFile: string|null, bootstrapMethods: Array }} sourceFile is null when
+ *   compiled without it (javac -g:none)
+ */
+function parseClassAttributes(reader, constantPool) {
+    let sourceFile = null;
+    const bootstrapMethods = [];
+
+    readAttributes(reader, constantPool, 'class', {
+        // SourceFile attribute structure: sourcefile_index (2)
+        SourceFile: (body) => { sourceFile = readUtf8Reference(body, constantPool); },
+        // num_bootstrap_methods (2), then per method: bootstrap_method_ref (2),
+        // num_bootstrap_arguments (2), bootstrap_arguments (2 each)
+        BootstrapMethods: (body) => {
+            const count = readU2(body);
+            for (let j = 0; j < count; j++) {
+                const methodRef = readU2(body);
+                const argumentCount = readU2(body);
+                const args = [];
+                for (let k = 0; k < argumentCount; k++) {
+                    args.push(readU2(body));
+                }
+                bootstrapMethods.push({ methodRef, arguments: args });
+            }
+        },
+    });
+
+    return { sourceFile, bootstrapMethods };
+}
+
+/**
+ * Archives nested inside a JAR that are opened recursively
+ * (Spring Boot BOOT-INF/lib, WAR WEB-INF/lib, EAR modules and lib).
+ */
+const NESTED_ARCHIVE_PATTERN = /\.(jar|war|ear)$/i;
+
+/**
+ * Separator between the levels of a nested archive path, as in
+ * "app.war!/WEB-INF/lib/lib.jar".
+ */
+const NESTED_SEPARATOR = '!/';
+
+/**
+ * Input files that are read as archives. A JMOD is a ZIP archive after a
+ * 4-byte header; an Android AAR holds its classes in an inner classes.jar
+ * and an APK in classes.dex, classes2.dex and so on.
+ */
+const ARCHIVE_INPUT_PATTERN = /\.(jar|war|ear|aar|jmod|apk)$/i;
+
+const CLASS_INPUT_PATTERN = /\.class$/i;
+
+const DEX_INPUT_PATTERN = /\.dex$/i;
+
+/**
+ * DEX files of an APK or AAR, at the root of the archive.
+ */
+const DEX_ENTRY_PATTERN = /^classes\d*\.dex$/;
+
+/**
+ * Header of a JMOD file: "JM" and format version 1.0.
+ */
+const JMOD_HEADER = [0x4A, 0x4D, 0x01, 0x00];
+
+const textDecoder = new TextDecoder();
+
+/**
+ * Whether a file can be given to parseFiles: a .jar, .war, .ear, .aar,
+ * .jmod, .apk, .class or .dex file.
+ *
+ * @param {string} name - File name or path
+ * @returns {boolean}
+ */
+export function isSupportedInput(name) {
+    return ARCHIVE_INPUT_PATTERN.test(name) || CLASS_INPUT_PATTERN.test(name) || DEX_INPUT_PATTERN.test(name);
+}
+
+/**
+ * Open an archive, skipping the header of a JMOD file. The ZIP offsets of
+ * a JMOD are relative to the end of its header.
+ *
+ * @param {Object} source - ZIP source of the whole file
+ * @returns {Promise<Object>} Result of openZip
+ */
+async function openArchive(source) {
+    const length = JMOD_HEADER.length;
+    const header = source.size >= length ? await source.read(0, length) : new Uint8Array(0);
+    if (JMOD_HEADER.every((b, i) => header[i] === b)) {
+        return openZip(sliceSource(source, length, source.size - length));
+    }
+    return openZip(source);
+}
 
-        const attributeLength = view.getUint32(offset, false);
-        offset += 4;
+/**
+ * Read the bytes of a collected class file.
+ *
+ * @param {Object} classFile - { zip, entry } for an archive entry, or { zip: null, data } for a loose class file
+ * @returns {Promise<Uint8Array>}
+ */
+async function readClassBytes({ zip, entry, data }) {
+    if (zip) {
+        return readZipEntry(zip, entry);
+    }
+    const bytes = await data.read(0, data.size);
+    if (bytes.byteLength < data.size) {
+        throw new Error(`${entry.name} is shorter than its size of ${data.size} bytes`);
+    }
+    return bytes;
+}
 
-        const attributeName = resolveUtf8(constantPool, attributeNameIndex);
+/**
+ * Summarize one variant of a multi-release class for comparison with the others.
+ *
+ * @param {Object} classFile - Result of parseClassFile
+ * @param {Object} entry - The ZIP entry of the class file
+ * @param {string} path - Entry path
+ * @param {number|null} releaseVersion - Release directory of the variant, null for the base entry
+ * @param {boolean} effective - Whether this is the variant analyzed for the target version
+ * @returns {Object} { releaseVersion, effective, classFile, uncompressedSize, methodCount,
+ *   totalBytecode, methods }, methods being { methodName, descriptor, bytecodeSize }
+ */
+function summarizeReleaseVariant(classFile, entry, path, releaseVersion, effective) {
+    return {
+        releaseVersion,
+        effective,
+        classFile: path,
+        uncompressedSize: entry.uncompressedSize,
+        methodCount: classFile.methods.length,
+        totalBytecode: classFile.methods.reduce((sum, m) => sum + m.bytecodeSize, 0),
+        methods: classFile.methods.map((m) => ({
+            methodName: m.name,
+            descriptor: m.descriptor,
+            bytecodeSize: m.bytecodeSize,
+        })),
+    };
+}
+
+/**
+ * Collect .class entries and root classes*.dex entries from a ZIP,
+ * descending into nested archives.
+ *
+ * @param {Object} zip - The opened archive, from openZip
+ * @param {string} archive - Nested path of this archive, '' for the top level
+ * @param {number} depthLeft - How many more levels of nesting may be opened
+ * @param {Array} classFiles - Receives { path, zip, entry, archive, multiRelease, format } for each
+ *   class or DEX file, where multiRelease tells whether the archive's manifest declares a
+ *   multi-release JAR and format is 'class' or 'dex'
+ * @param {Array} warnings - Receives a warning for each unreadable nested archive
+ * @param {AbortSignal} [signal] - Checked before each nested archive is opened
+ * @returns {Promise<number>} Number of nested archives opened
+ */
+async function collectClassFiles(zip, archive, depthLeft, classFiles, warnings, signal) {
+    const manifest = zip.entries.find((entry) => entry.name.toUpperCase() === MANIFEST_PATH);
+    const multiRelease = manifest ? isMultiReleaseManifest(textDecoder.decode(await readZipEntry(zip, manifest))) : false;
+
+    const nestedArchives = [];
+    for (const entry of zip.entries) {
+        if (entry.dir) continue;
+        if (entry.name.endsWith('.class')) {
+            classFiles.push({ path: entry.name, zip, entry, archive, multiRelease, format: 'class' });
+        } else if (DEX_ENTRY_PATTERN.test(entry.name)) {
+            classFiles.push({ path: entry.name, zip, entry, archive, multiRelease: false, format: 'dex' });
+        } else if (depthLeft > 0 && NESTED_ARCHIVE_PATTERN.test(entry.name)) {
+            nestedArchives.push({ path: entry.name, entry });
+        }
+    }
+
+    let archivesOpened = 0;
+    for (const { path, entry } of nestedArchives) {
+        signal?.throwIfAborted();
+        const nestedPath = archive ? `${archive}${NESTED_SEPARATOR}${path}` : path;
+        let nestedZip;
+        try {
+            nestedZip = await openZip(await zipEntrySource(zip, entry));
+        } catch (e) {
+            warnings.push(`Failed to open nested archive ${nestedPath}: not a valid ZIP archive`);
+            continue;
+        }
+        archivesOpened += 1 + await collectClassFiles(nestedZip, nestedPath, depthLeft - 1, classFiles, warnings, signal);
+    }
+
+    return archivesOpened;
+}
+
+/**
+ * Collect the class files of every input. A single input is the top level,
+ * as the JAR is for parseJar; with several, the archive path of each class
+ * starts with the name of the input it came from.
+ *
+ * @param {Array} inputs - { name, data } as given to parseFiles
+ * @param {number} nestedDepth - Levels of nested archives to open
+ * @param {Array} classFiles - Receives the class files as collectClassFiles does, each with the
+ *   name of its input as source; loose class and DEX files have { zip: null, data }
+ * @param {Array} warnings - Receives a warning for each input that is skipped
+ * @param {AbortSignal} [signal] - Checked before each input is opened
+ * @returns {Promise<number>} Number of archives opened, nested ones included
+ */
+async function collectInputs(inputs, nestedDepth, classFiles, warnings, signal) {
+    const names = new Set();
+    let archivesOpened = 0;
+
+    for (const { name = '', data } of inputs) {
+        signal?.throwIfAborted();
+        if (names.has(name)) {
+            warnings.push(`Ignored ${name}: given more than once`);
+            continue;
+        }
+        names.add(name);
+
+        const source = toZipSource(data);
+        const first = classFiles.length;
+        if (CLASS_INPUT_PATTERN.test(name) || DEX_INPUT_PATTERN.test(name)) {
+            const entry = { name, crc32: null, compressedSize: source.size, uncompressedSize: source.size };
+            const format = DEX_INPUT_PATTERN.test(name) ? 'dex' : 'class';
+            classFiles.push({ path: name, zip: null, entry, data: source, archive: '', multiRelease: false, format });
+        } else {
+            let zip;
+            try {
+                zip = await openArchive(source);
+            } catch (e) {
+                if (inputs.length === 1) {
+                    throw new Error(`Invalid JAR file: not a valid ZIP archive`);
+                }
+                warnings.push(`Failed to open ${name}: not a valid ZIP archive`);
+                continue;
+            }
+            // The classes.jar and libs/ of an AAR are the library itself, not a level of nesting
+            const depth = /\.aar$/i.test(name) ? nestedDepth + 1 : nestedDepth;
+            const archive = inputs.length > 1 ? name : '';
+            archivesOpened += 1 + await collectClassFiles(zip, archive, depth, classFiles, warnings, signal);
+        }
 
-        if (attributeName === 'Code') {
-            // Code attribute structure:
-            // max_stack (2) + max_locals (2) + code_length (4) + code[code_length] + ...
-            // We only need code_length
-            // Skip max_stack and max_locals
-            const codeLength = view.getUint32(offset + 4, false);
-            bytecodeSize = codeLength;
+        for (let i = first; i < classFiles.length; i++) {
+            classFiles[i].source = name;
         }
+    }
+
+    return archivesOpened;
+}
 
-        // Skip the entire attribute
-        offset += attributeLength;
+/**
+ * Build the method record of parseFiles from a method of parseClassFile
+ * or parseDexFile.
+ *
+ * @param {Object} method - Method as parsed
+ * @param {Object} owner - The class record fields the method repeats: { className (dot notation),
+ *   accessFlags, modifiers, sourceFile, releaseVersion, format, classFile, archive, source }
+ * @param {Object} jitLimits - Limits for classifyJitCategory
+ * @returns {Object} Method record
+ */
+function toMethodRecord(method, owner, jitLimits) {
+    const { className } = owner;
+    const record = {
+        className,
+        methodName: method.name,
+        descriptor: method.descriptor,
+        signature: method.signature,
+        bytecodeSize: method.bytecodeSize,
+        sizeUnit: SIZE_UNITS[owner.format],
+        basicBlocks: method.basicBlocks,
+        cyclomaticComplexity: method.cyclomaticComplexity,
+        branches: method.branches,
+        switchCases: method.switchCases,
+        exceptionHandlers: method.exceptionHandlers,
+        maxStack: method.maxStack ?? null,
+        maxLocals: method.maxLocals ?? null,
+        exceptionTable: method.exceptionTable.map((h) => ({
+            ...h,
+            catchType: h.catchType && h.catchType.replace(/\//g, '.'),
+        })),
+        sourceFile: owner.sourceFile,
+        firstLine: method.firstLine,
+        lastLine: method.lastLine,
+        calls: summarizeCalls(method.invocations),
+        bloat: method.bloat,
+        bloatBytes: method.bloat.reduce((sum, f) => sum + f.bytes, 0),
+        codeHash: method.codeHash ?? null,
+        shapeHash: method.shapeHash ?? null,
+        attributedTo: method.declaringMethod && methodId({
+            archive: owner.archive,
+            className,
+            methodName: method.declaringMethod.name,
+            descriptor: method.declaringMethod.descriptor,
+        }),
+        attributionKind: method.declaringMethod ? 'lambda' : null,
+        accessFlags: method.accessFlags,
+        modifiers: decodeMethodAccessFlags(method.accessFlags),
+        classAccessFlags: owner.accessFlags,
+        classModifiers: owner.modifiers,
+        jitCategory: owner.format === 'dex' ? null : classifyJitCategory(method.bytecodeSize, jitLimits),
+        releaseVersion: owner.releaseVersion,
+        format: owner.format,
+        classFile: owner.classFile,
+        archive: owner.archive,
+        source: owner.source,
+    };
+    if (method.registers !== undefined) {
+        record.registers = method.registers;
     }
+    return record;
+}
+
+/**
+ * Summarize a parsed DEX file: its id table sizes, of which the method
+ * ids count against DEX_METHOD_LIMIT.
+ *
+ * @param {Object} dex - Result of parseDexFile
+ * @param {string} path - Entry path, e.g. "classes2.dex"
+ * @param {string} archive - Nested path of its archive
+ * @param {string} source - Name of its input
+ * @returns {Object} { dexFile, archive, source, version, classCount, methodCount, methodIdCount,
+ *   fieldIdCount, typeCount, stringCount }
+ */
+function summarizeDexFile(dex, path, archive, source) {
+    return {
+        dexFile: path,
+        archive,
+        source,
+        version: dex.version,
+        classCount: dex.classes.length,
+        methodCount: dex.classes.reduce((sum, c) => sum + c.methods.length, 0),
+        methodIdCount: dex.methodIdCount,
+        fieldIdCount: dex.fieldIdCount,
+        typeCount: dex.typeCount,
+        stringCount: dex.stringCount,
+    };
+}
+
+/**
+ * Add the classes and methods of a DEX file to the results. Method sizes
+ * are in 16-bit code units, and the constant pool fields are zero since the
+ * string and id tables of a DEX file are shared by all its classes. The
+ * compressed size of the DEX entry is split over its classes by their size.
+ *
+ * @param {Object} dex - Result of parseDexFile
+ * @param {Object} entry - The ZIP entry of the DEX file
+ * @param {Object} location - { classFile, archive, source } of the DEX file
+ * @param {Object} jitLimits - Limits for classifyJitCategory
+ * @param {Array} allClasses - Receives the class records
+ * @param {Array} allMethods - Receives the method records
+ */
+function addDexClasses(dex, entry, location, jitLimits, allClasses, allMethods) {
+    const ratio = entry.uncompressedSize > 0 ? entry.compressedSize / entry.uncompressedSize : 1;
+
+    for (const dexClass of dex.classes) {
+        const className = dexClass.className.replace(/\//g, '.');
+        const modifiers = decodeClassAccessFlags(dexClass.accessFlags);
+        allClasses.push({
+            className,
+            accessFlags: dexClass.accessFlags,
+            modifiers,
+            compressedSize: Math.round(dexClass.size * ratio),
+            uncompressedSize: dexClass.size,
+            crc32: null,
+            constantPoolEntries: 0,
+            constantPoolSize: 0,
+            constantPoolBreakdown: { names: 0, descriptors: 0, literals: 0, references: 0, other: 0 },
+            largestStrings: [],
+            fieldCount: dexClass.fieldCount,
+            methodCount: dexClass.methods.length,
+            totalBytecode: dexClass.methods.reduce((sum, m) => sum + m.bytecodeSize, 0),
+            sourceFile: dexClass.sourceFile,
+            releaseVersion: null,
+            releaseVariants: [],
+            format: 'dex',
+            ...location,
+        });
 
-    return { bytecodeSize, newOffset: offset };
+        const owner = {
+            className,
+            accessFlags: dexClass.accessFlags,
+            modifiers,
+            sourceFile: dexClass.sourceFile,
+            releaseVersion: null,
+            format: 'dex',
+            ...location,
+        };
+        for (const method of dexClass.methods) {
+            allMethods.push(toMethodRecord(method, owner, jitLimits));
+        }
+    }
 }
 
 /**
  * Parse a JAR file and extract method information from all class files.
+ * This is parseFiles with the JAR as its only input.
+ *
+ * @param {ArrayBuffer|Uint8Array|Blob|Object} jarBuffer - The JAR file contents, a Blob/File or a ZIP source
+ * @param {Object} options - Options as for parseFiles
+ * @returns {Promise<Object>} Parsed results, see parseFiles
+ */
+export async function parseJar(jarBuffer, options = {}) {
+    return parseFiles([{ name: '', data: jarBuffer }], options);
+}
+
+/**
+ * Parse archives and class files together and extract method information
+ * from all class files.
+ *
+ * Each input is { name, data }. Names ending in .class are read as a
+ * single class file, .dex as a DEX file, all others as an archive: a JAR,
+ * WAR, EAR, Android AAR or APK, or a JMOD, whose header is skipped. Directories are given as the
+ * files in them, named by their path. Every class and method records the
+ * name of its input in `source`. A single input is the top level, so its
+ * classes have an `archive` of '' as for parseJar; with several inputs the
+ * archive path starts with the input name, e.g. "app.war!/WEB-INF/lib/lib.jar",
+ * and loose class files have an `archive` of ''. An input that is not a
+ * valid archive is skipped with a warning, unless it is the only one.
+ *
+ * Android DEX files are read from .dex inputs and from the classes*.dex
+ * entries of an APK or AAR (see parseDexFile). Their classes and methods
+ * have the same records as those of class files, with format 'dex' instead
+ * of 'class': bytecodeSize is insns_size in 16-bit code units (a sizeUnit of
+ * 'code units' instead of 'bytes'), methods give
+ * their Dalvik registers instead of maxStack and maxLocals, and a class is
+ * sized by its class_def, class data and code. `dexFiles` lists every DEX
+ * file with its id table sizes; methodIdCount is limited to DEX_METHOD_LIMIT.
+ *
+ * Nested archives (.jar, .war, .ear entries) are opened recursively up to
+ * options.nestedDepth levels. The classes.jar and libs/ of an AAR do not
+ * count as a level.
+ *
+ * When options.signal is aborted, the returned promise rejects with the
+ * signal's reason (an AbortError unless another reason was given). The
+ * signal is checked between class files and archives.
+ *
+ * Only the central directory is read up front; class files are read and
+ * inflated one at a time, so a Blob/File or a file source from
+ * openFileSource is never loaded into memory as a whole.
  *
- * @param {ArrayBuffer} jarBuffer - The JAR file contents
+ * Each method lists the methods it invokes in `calls`, and the result
+ * includes the call graph of all methods (see buildCallGraph). Lambda bodies
+ * and synthetic accessors are attributed to the methods that use them, which
+ * gives each method an effectiveSize (see attributeSyntheticMethods).
+ * Methods list the known causes of bloat found in their code in `bloat`,
+ * with their estimated total in bloatBytes (see detectBloat).
+ * Methods of class files carry the codeHash and shapeHash of their code,
+ * null for DEX methods, and `duplicateMethods` lists the clusters of
+ * identical and near-identical methods (see findDuplicateMethods).
+ *
+ * `classes` holds one record per parsed class file, largest first: its
+ * compressed and uncompressed entry size, the crc32 of its bytes (null for
+ * DEX classes), constant pool entry count and
+ * byte size with its split by constantPoolBreakdown, its largest string
+ * constants, field and method counts and total bytecode. `duplicateLiterals`
+ * lists the constants repeated across classes (see findDuplicateLiterals).
+ *
+ * Multi-release JARs are analyzed for options.targetVersion: of the base
+ * and META-INF/versions/N/ variants of a class, only the one that release
+ * loads is parsed into methods and classes (see selectReleaseVariants).
+ * Classes and methods record that variant's releaseVersion, null for the
+ * base entry. A class with several variants lists all of them, oldest
+ * first, in releaseVariants.
+ *
+ * @param {Array} inputs - { name, data }, data being the file contents, a Blob/File or a ZIP source
  * @param {Object} options - Options
  * @param {Function} options.onProgress - Progress callback (classesProcessed, totalClasses)
- * @returns {Promise<Object>} Parsed results with methods and stats
+ * @param {Object} options.jitLimits - Overrides for DEFAULT_JIT_LIMITS
+ * @param {number} options.nestedDepth - Levels of nested archives to open (default 2, 0 disables)
+ * @param {string|number} options.targetVersion - Java release to analyze multi-release JARs for
+ *   (default LATEST_VERSION)
+ * @param {AbortSignal} options.signal - Cancels parsing
+ * @returns {Promise<Object>} Parsed results with methods, classes, duplicateLiterals, duplicateMethods,
+ *   dexFiles, stats, callGraph and warnings
  */
-export async function parseJar(jarBuffer, options = {}) {
-    const { onProgress } = options;
+export async function parseFiles(inputs, options = {}) {
+    const { onProgress, nestedDepth = 2, targetVersion = LATEST_VERSION, signal } = options;
+    const jitLimits = { ...DEFAULT_JIT_LIMITS, ...options.jitLimits };
     const startTime = performance.now();
 
-    let zip;
-    try {
-        zip = await JSZip.loadAsync(jarBuffer);
-    } catch (e) {
-        throw new Error(`Invalid JAR file: not a valid ZIP archive`);
+    signal?.throwIfAborted();
+    if (inputs.length === 0) {
+        throw new Error('No input files given');
     }
 
-    // Find all .class files
-    const classFiles = [];
-    zip.forEach((relativePath, zipEntry) => {
-        if (relativePath.endsWith('.class') && !zipEntry.dir) {
-            classFiles.push({ path: relativePath, entry: zipEntry });
-        }
-    });
+    // Find all .class files, including those in nested archives
+    const foundClassFiles = [];
+    const warnings = [];
+    const archivesScanned = await collectInputs(inputs, nestedDepth, foundClassFiles, warnings, signal);
+
+    // Keep the variant of each class that the target Java version loads
+    const { classFiles, ignored } = selectReleaseVariants(foundClassFiles, targetVersion);
+    const ignoredByArchive = new Map();
+    for (const { archive } of ignored) {
+        ignoredByArchive.set(archive, (ignoredByArchive.get(archive) ?? 0) + 1);
+    }
+    for (const [archive, count] of ignoredByArchive) {
+        warnings.push(`Ignored ${count} class files under ${VERSIONS_DIRECTORY} in ${archive || 'the JAR'}: ` +
+            'not loaded unless the manifest declares Multi-Release: true (from release 9 on)');
+    }
 
     if (classFiles.length === 0) {
         return {
             methods: [],
+            classes: [],
+            duplicateLiterals: [],
+            duplicateMethods: [],
+            dexFiles: [],
             stats: {
                 classesScanned: 0,
                 methodsFound: 0,
+                archivesScanned,
+                targetVersion,
+                multiReleaseClasses: 0,
+                jitCategories: countJitCategories([]),
                 parseTimeMs: performance.now() - startTime,
             },
-            warnings: ['No .class files found in JAR'],
+            callGraph: buildCallGraph([]),
+            warnings: [...warnings, inputs.length === 1 ? 'No .class files found in JAR' : 'No .class files found'],
         };
     }
 
     const allMethods = [];
-    const warnings = [];
+    const allClasses = [];
+    const literalCounts = new Map();
+    const releaseVariants = new Map();
+    const dexFiles = [];
     let processedClasses = 0;
+    let classesScanned = 0;
 
-    for (const { path, entry } of classFiles) {
+    for (const classFile of classFiles) {
+        const { path, entry, archive, source, releaseVersion, effective, variantKey, format } = classFile;
+        signal?.throwIfAborted();
         try {
-            const classBuffer = await entry.async('arraybuffer');
+            const classBuffer = await readClassBytes(classFile);
+            if (format === 'dex') {
+                const dex = parseDexFile(classBuffer);
+                dexFiles.push(summarizeDexFile(dex, path, archive, source));
+                addDexClasses(dex, entry, { classFile: path, archive, source }, jitLimits, allClasses, allMethods);
+                classesScanned += dex.classes.length;
+                continue;
+            }
+            classesScanned += effective ? 1 : 0;
             const result = parseClassFile(classBuffer);
 
+            // Every variant of a multi-release class is summarized, only the effective one analyzed
+            if (variantKey) {
+                if (!releaseVariants.has(variantKey)) releaseVariants.set(variantKey, []);
+                releaseVariants.get(variantKey).push(summarizeReleaseVariant(result, entry, path, releaseVersion, effective));
+            }
+            if (!effective) {
+                continue;
+            }
+
             // Convert class name from internal format (slashes) to dot notation
             const classNameDot = result.className.replace(/\//g, '.');
+            const classModifiers = decodeClassAccessFlags(result.accessFlags);
+            const literals = collectLiterals(result.constantPool);
+            countLiterals(literalCounts, literals);
+
+            allClasses.push({
+                className: classNameDot,
+                accessFlags: result.accessFlags,
+                modifiers: classModifiers,
+                compressedSize: entry.compressedSize,
+                uncompressedSize: entry.uncompressedSize,
+                // Archives record the CRC-32 of their entries; loose class files have none
+                crc32: entry.crc32 ?? crc32(classBuffer),
+                constantPoolEntries: result.constantPoolEntries,
+                constantPoolSize: result.constantPoolSize,
+                constantPoolBreakdown: constantPoolBreakdown(result),
+                largestStrings: largestStrings(literals),
+                fieldCount: result.fieldCount,
+                methodCount: result.methods.length,
+                totalBytecode: result.methods.reduce((sum, m) => sum + m.bytecodeSize, 0),
+                sourceFile: result.sourceFile,
+                releaseVersion,
+                releaseVariants: variantKey ? releaseVariants.get(variantKey) : [],
+                format,
+                classFile: path,
+                archive,
+                source,
+            });
 
             // Add all methods with full class name
+            const owner = {
+                className: classNameDot,
+                accessFlags: result.accessFlags,
+                modifiers: classModifiers,
+                sourceFile: result.sourceFile,
+                releaseVersion,
+                format,
+                classFile: path,
+                archive,
+                source,
+            };
             for (const method of result.methods) {
-                allMethods.push({
-                    className: classNameDot,
-                    methodName: method.name,
-                    descriptor: method.descriptor,
-                    bytecodeSize: method.bytecodeSize,
-                });
+                allMethods.push(toMethodRecord(method, owner, jitLimits));
             }
         } catch (e) {
-            warnings.push(`Failed to parse ${path}: ${e.message}`);
+            const location = archive ? `${archive}${NESTED_SEPARATOR}${path}` : path;
+            warnings.push(`Failed to parse ${location}: ${e.message}`);
+        } finally {
+            processedClasses++;
+            if (onProgress) {
+                onProgress(processedClasses, classFiles.length);
+            }
         }
+    }
 
-        processedClasses++;
-        if (onProgress) {
-            onProgress(processedClasses, classFiles.length);
-        }
+    for (const variants of releaseVariants.values()) {
+        variants.sort((a, b) => (a.releaseVersion ?? 0) - (b.releaseVersion ?? 0));
     }
+    attributeSyntheticMethods(allMethods);
 
-    // Sort by bytecode size descending
+    // Sort by bytecode size descending, classes by file size
     allMethods.sort((a, b) => b.bytecodeSize - a.bytecodeSize);
+    allClasses.sort((a, b) => b.uncompressedSize - a.uncompressedSize);
 
     return {
         methods: allMethods,
+        classes: allClasses,
+        duplicateLiterals: findDuplicateLiterals(literalCounts),
+        duplicateMethods: findDuplicateMethods(allMethods),
+        dexFiles,
         stats: {
-            classesScanned: classFiles.length,
+            classesScanned,
             methodsFound: allMethods.length,
+            archivesScanned,
+            targetVersion,
+            multiReleaseClasses: allClasses.filter((c) => c.releaseVariants.length > 0).length,
+            jitCategories: countJitCategories(allMethods),
             parseTimeMs: performance.now() - startTime,
         },
+        callGraph: buildCallGraph(allMethods, inputs.map((input) => input.name ?? '')),
         warnings,
     };
 }
 
+/**
+ * Source location of a method as an IDE-friendly path, e.g.
+ * "com/example/Foo.java:120-940". The directory comes from the package of
+ * the class, since the SourceFile attribute holds only the file name. A
+ * method spanning one line gives "Foo.java:120"; without line numbers only
+ * the file is returned.
+ *
+ * @param {Object} method - Method record from parseJar
+ * @returns {string|null} null when the class has no SourceFile attribute
+ */
+export function sourceLocation(method) {
+    if (!method.sourceFile) {
+        return null;
+    }
+    const lastDot = method.className.lastIndexOf('.');
+    const dir = lastDot === -1 ? '' : `${method.className.slice(0, lastDot).replace(/\./g, '/')}/`;
+    const file = `${dir}${method.sourceFile}`;
+    if (method.firstLine === null || method.firstLine === undefined) {
+        return file;
+    }
+    const lines = method.firstLine === method.lastLine ? `${method.firstLine}` : `${method.firstLine}-${method.lastLine}`;
+    return `${file}:${lines}`;
+}
+
+/**
+ * Decode method access_flags into modifier names, e.g. ['public', 'static'].
+ *
+ * @param {number} accessFlags
+ * @returns {string[]}
+ */
+export function decodeMethodAccessFlags(accessFlags) {
+    return METHOD_ACCESS_FLAGS.filter(([bit]) => accessFlags & bit).map(([, name]) => name);
+}
+
+/**
+ * Decode class access_flags into modifier names, e.g. ['public', 'final', 'super'].
+ *
+ * @param {number} accessFlags
+ * @returns {string[]}
+ */
+export function decodeClassAccessFlags(accessFlags) {
+    return CLASS_ACCESS_FLAGS.filter(([bit]) => accessFlags & bit).map(([, name]) => name);
+}
+
+/**
+ * Get the visibility of a method record.
+ *
+ * @param {Object} method - Method from parseJar
+ * @returns {string} 'public', 'protected', 'package' or 'private'
+ */
+export function methodVisibility(method) {
+    if (method.accessFlags & 0x0001) return 'public';
+    if (method.accessFlags & 0x0004) return 'protected';
+    if (method.accessFlags & 0x0002) return 'private';
+    return 'package';
+}
+
+/**
+ * Whether a method was generated by the compiler (ACC_SYNTHETIC or ACC_BRIDGE).
+ *
+ * @param {Object} method - Method from parseJar
+ * @returns {boolean}
+ */
+export function isCompilerGenerated(method) {
+    return (method.accessFlags & (0x1000 | 0x0040)) !== 0;
+}
+
+/**
+ * Whether a method is part of the public API: a public or protected,
+ * non-synthetic method of a public class.
+ *
+ * @param {Object} method - Method from parseJar
+ * @returns {boolean}
+ */
+export function isPublicApi(method) {
+    return (method.classAccessFlags & 0x0001) !== 0 &&
+        (method.accessFlags & (0x0001 | 0x0004)) !== 0 &&
+        !isCompilerGenerated(method);
+}
+
+/**
+ * Read a single class file out of a JAR, descending into nested archives.
+ *
+ * @param {ArrayBuffer|Uint8Array|Blob|Object} jarBuffer - The top-level JAR, as accepted by parseJar
+ * @param {string} archive - Nested archive path as recorded by parseJar ('' for top level)
+ * @param {string} classFile - Path of the class entry within that archive
+ * @returns {Promise<ArrayBuffer>} The class file contents
+ */
+export async function extractClassFile(jarBuffer, archive, classFile) {
+    let zip = await openArchive(toZipSource(jarBuffer));
+
+    const levels = archive ? archive.split(NESTED_SEPARATOR) : [];
+    for (const level of levels) {
+        const entry = zip.entries.find((e) => e.name === level);
+        if (!entry) {
+            throw new Error(`Nested archive ${level} not found`);
+        }
+        zip = await openZip(await zipEntrySource(zip, entry));
+    }
+
+    const entry = zip.entries.find((e) => e.name === classFile);
+    if (!entry) {
+        throw new Error(`Class file ${classFile} not found`);
+    }
+    return (await readZipEntry(zip, entry)).slice().buffer;
+}
+
+/**
+ * Read the class file of a class or method record back from the inputs it
+ * was parsed from.
+ *
+ * @param {Array} inputs - The inputs given to parseFiles
+ * @param {Object} record - Class or method record from parseFiles, not one of a DEX file
+ * @returns {Promise<ArrayBuffer>} The class file contents
+ */
+export async function extractInputClassFile(inputs, record) {
+    if (record.format === 'dex') {
+        throw new Error(`${record.className} is compiled into ${record.classFile}, not a class file`);
+    }
+    const input = inputs.find(({ name = '' }) => name === record.source);
+    if (!input) {
+        throw new Error(`Input ${record.source} not found`);
+    }
+    if (CLASS_INPUT_PATTERN.test(record.source)) {
+        const data = toZipSource(input.data);
+        return (await readClassBytes({ zip: null, entry: { name: record.source }, data })).slice().buffer;
+    }
+
+    // With several inputs the archive path starts with the input name
+    let archive = record.archive;
+    if (inputs.length > 1) {
+        archive = archive.slice(record.source.length + NESTED_SEPARATOR.length);
+    }
+    return extractClassFile(input.data, archive, record.classFile);
+}
+
+/**
+ * Summarize methods per originating archive.
+ *
+ * @param {Array} methods - Methods from parseJar
+ * @returns {Array} { archive, methodCount, totalBytecode, largestMethod } sorted by totalBytecode descending
+ */
+export function summarizeArchives(methods) {
+    const byArchive = new Map();
+    for (const method of methods) {
+        let summary = byArchive.get(method.archive);
+        if (!summary) {
+            summary = { archive: method.archive, methodCount: 0, totalBytecode: 0, largestMethod: null };
+            byArchive.set(method.archive, summary);
+        }
+        summary.methodCount++;
+        summary.totalBytecode += method.bytecodeSize;
+        if (!summary.largestMethod || method.bytecodeSize > summary.largestMethod.bytecodeSize) {
+            summary.largestMethod = method;
+        }
+    }
+    return [...byArchive.values()].sort((a, b) => b.totalBytecode - a.totalBytecode);
+}
+
+/**
+ * Get or create the child of a tree node.
+ *
+ * @param {Object} parent
+ * @param {string} name - Name of the child within its parent
+ * @param {string} path - Fully qualified name of the child
+ * @param {string} kind - 'package' or 'class'
+ * @returns {Object}
+ */
+function treeChild(parent, name, path, kind) {
+    let child = parent.index.get(name);
+    if (!child) {
+        child = { name, path, kind, totalBytecode: 0, methodCount: 0, children: [], index: new Map() };
+        parent.index.set(name, child);
+        parent.children.push(child);
+    }
+    return child;
+}
+
+/**
+ * Sort children by size and merge package chains that have a single
+ * subpackage and no classes, so "com" > "google" > "common" becomes
+ * "com.google.common".
+ *
+ * @param {Object} node
+ */
+function finishTreeNode(node) {
+    delete node.index;
+    for (const child of node.children) {
+        finishTreeNode(child);
+    }
+    if (node.kind === 'package' && node.children.length === 1 && node.children[0].kind === 'package') {
+        const [only] = node.children;
+        node.name = `${node.name}.${only.name}`;
+        node.path = only.path;
+        node.children = only.children;
+    }
+    node.children.sort((a, b) => b.totalBytecode - a.totalBytecode);
+}
+
+/**
+ * Aggregate bytecode sizes into a package > class > method tree.
+ *
+ * Every node is { name, path, kind, totalBytecode, methodCount, children },
+ * where kind is 'root', 'package', 'class' or 'method' and path is the fully
+ * qualified package or class name. Method leaves also carry the method
+ * record. Classes in the default package are children of the root.
+ *
+ * @param {Array} methods - Methods from parseJar
+ * @returns {Object} The root node
+ */
+export function buildBytecodeTree(methods) {
+    const root = { name: '', path: '', kind: 'root', totalBytecode: 0, methodCount: 0, children: [], index: new Map() };
+
+    for (const method of methods) {
+        const lastDot = method.className.lastIndexOf('.');
+        const nodes = [root];
+
+        let parent = root;
+        if (lastDot !== -1) {
+            let path = '';
+            for (const segment of method.className.slice(0, lastDot).split('.')) {
+                path = path ? `${path}.${segment}` : segment;
+                parent = treeChild(parent, segment, path, 'package');
+                nodes.push(parent);
+            }
+        }
+        const classNode = treeChild(parent, method.className.slice(lastDot + 1), method.className, 'class');
+        nodes.push(classNode);
+
+        classNode.children.push({
+            name: `${method.methodName}${method.descriptor}`,
+            path: method.className,
+            kind: 'method',
+            totalBytecode: method.bytecodeSize,
+            methodCount: 1,
+            children: [],
+            method,
+        });
+        for (const node of nodes) {
+            node.totalBytecode += method.bytecodeSize;
+            node.methodCount++;
+        }
+    }
+
+    finishTreeNode(root);
+    return root;
+}
+
+/**
+ * Classify a method size against the HotSpot JIT limits. The limits are
+ * checked from the largest category down, so a method over a custom
+ * hugeMethodLimit is huge even when that limit is below freqInlineSize.
+ *
+ * @param {number} bytecodeSize - Size of the method's code array
+ * @param {Object} limits - JIT limits, see DEFAULT_JIT_LIMITS
+ * @returns {string} One of JIT_CATEGORIES
+ */
+export function classifyJitCategory(bytecodeSize, limits = DEFAULT_JIT_LIMITS) {
+    if (bytecodeSize === 0) return 'no-code';
+    if (bytecodeSize > limits.maxMethodSize) return 'over-limit';
+    if (bytecodeSize > limits.hugeMethodLimit) return 'huge';
+    if (bytecodeSize > limits.freqInlineSize) return 'no-inline';
+    if (bytecodeSize > limits.maxInlineSize) return 'freq-inline';
+    return 'inline';
+}
+
+/**
+ * Re-classify methods in place, e.g. after the JIT limits were changed.
+ * DEX methods keep a jitCategory of null: ART compiles them, and their sizes
+ * are in 16-bit code units, so the HotSpot limits do not apply.
+ *
+ * @param {Array} methods - Methods from parseJar
+ * @param {Object} limits - JIT limits, see DEFAULT_JIT_LIMITS
+ * @returns {Array} The same methods array
+ */
+export function classifyMethods(methods, limits = DEFAULT_JIT_LIMITS) {
+    for (const method of methods) {
+        method.jitCategory = method.format === 'dex' ? null : classifyJitCategory(method.bytecodeSize, limits);
+    }
+    return methods;
+}
+
+/**
+ * Count methods per JIT category. DEX methods, which have none, are not
+ * counted.
+ *
+ * @param {Array} methods - Methods from parseJar
+ * @returns {Object} Map of every JIT category to its method count
+ */
+export function countJitCategories(methods) {
+    const counts = Object.fromEntries(JIT_CATEGORIES.map((category) => [category, 0]));
+    for (const method of methods) {
+        if (method.jitCategory !== null) counts[method.jitCategory]++;
+    }
+    return counts;
+}
+
+/**
+ * Percentiles reported by computeSizeDistribution.
+ */
+const SIZE_PERCENTILES = [50, 90, 99];
+
+/**
+ * Compute the distribution of method bytecode sizes for one input format.
+ *
+ * Class file and DEX sizes are in different units (see SIZE_UNITS), so only
+ * the methods of the given format are counted; pass 'dex' for those of DEX
+ * files. Methods without code (abstract, native) are counted in noCodeCount but
+ * left out of the histogram, percentiles and means. Histogram buckets are
+ * powers of two: 1, 2-3, 4-7, ... up to the bucket holding the largest
+ * method; empty buckets in between are included. Percentiles use the
+ * nearest-rank method. classCount only counts classes that declare methods.
+ *
+ * @param {Array} methods - Methods from parseJar
+ * @param {string} format - 'class' or 'dex'
+ * @returns {Object} { format, unit, methodCount, noCodeCount, classCount, totalBytecode, meanPerMethod,
+ *   meanPerClass, percentiles: { p50, p90, p99, max }, histogram: [{ min, max, count }] }
+ */
+export function computeSizeDistribution(methods, format = 'class') {
+    const sizes = [];
+    const classes = new Set();
+    let totalBytecode = 0;
+    let noCodeCount = 0;
+
+    for (const method of methods) {
+        if (method.format !== format) continue;
+        classes.add(`${method.archive}${NESTED_SEPARATOR}${method.className}`);
+        if (method.bytecodeSize > 0) {
+            sizes.push(method.bytecodeSize);
+            totalBytecode += method.bytecodeSize;
+        } else {
+            noCodeCount++;
+        }
+    }
+    sizes.sort((a, b) => a - b);
+
+    const percentiles = {};
+    for (const p of SIZE_PERCENTILES) {
+        percentiles[`p${p}`] = sizes.length > 0 ? sizes[Math.ceil((p / 100) * sizes.length) - 1] : 0;
+    }
+    percentiles.max = sizes.length > 0 ? sizes[sizes.length - 1] : 0;
+
+    const histogram = [];
+    for (const size of sizes) {
+        const bucket = 31 - Math.clz32(size); // floor(log2(size))
+        while (histogram.length <= bucket) {
+            const min = 2 ** histogram.length;
+            histogram.push({ min, max: min * 2 - 1, count: 0 });
+        }
+        histogram[bucket].count++;
+    }
+
+    return {
+        format,
+        unit: SIZE_UNITS[format],
+        methodCount: sizes.length,
+        noCodeCount,
+        classCount: classes.size,
+        totalBytecode,
+        meanPerMethod: sizes.length > 0 ? totalBytecode / sizes.length : 0,
+        meanPerClass: classes.size > 0 ? totalBytecode / classes.size : 0,
+        percentiles,
+        histogram,
+    };
+}
+
 /**
  * Get the top N methods by bytecode size.
  *
@@ -464,3 +1626,47 @@ export async function parseJar(jarBuffer, options = {}) {
 export function getTopMethods(methods, n = 10) {
     return methods.slice(0, n);
 }
+
+/**
+ * Disassemble a single method of a class file into a javap -c style listing,
+ * followed by the exception table and line numbers when present.
+ *
+ * @param {ArrayBuffer|Uint8Array} buffer - The class file contents
+ * @param {string} methodName - Name of the method
+ * @param {string} descriptor - JVM descriptor of the method
+ * @returns {string} The listing, headed by the method name and descriptor
+ */
+export function disassembleMethod(buffer, methodName, descriptor) {
+    const { className, constantPool, methods } = parseClassFile(buffer);
+    const method = methods.find((m) => m.name === methodName && m.descriptor === descriptor);
+    if (!method) {
+        throw new Error(`Method ${methodName}${descriptor} not found in ${className}`);
+    }
+
+    const header = `${methodName}${descriptor}`;
+    if (!method.code) {
+        return `${header}\n  (no Code attribute)`;
+    }
+
+    const instructions = decodeInstructions(method.code);
+    const lines = [
+        header,
+        '  Code:',
+        `    stack=${method.maxStack}, locals=${method.maxLocals}`,
+        formatInstructions(instructions, constantPool),
+    ];
+    if (method.exceptionTable.length > 0) {
+        lines.push('    Exception table:', '       from    to  target type');
+        for (const { startPc, endPc, handlerPc, catchType } of method.exceptionTable) {
+            const type = catchType ? `Class ${catchType}` : 'any';
+            lines.push(`${String(startPc).padStart(11)}${String(endPc).padStart(6)}${String(handlerPc).padStart(6)}   ${type}`);
+        }
+    }
+    if (method.lineNumbers.length > 0) {
+        lines.push('    LineNumberTable:');
+        for (const { startPc, line } of method.lineNumbers) {
+            lines.push(`      line ${line}: ${startPc}`);
+        }
+    }
+    return lines.join('\n');
+}
@@ -0,0 +1,340 @@
+/**
+ * Java Signatures
+ *
+ * Renders JVM method descriptors and generic Signature attributes as Java
+ * source-style signatures, e.g. (Ljava/lang/String;[IJ)V as
+ * void foo(String, int[], long).
+ * Reference: https://docs.oracle.com/javase/specs/jvms/se21/html/jvms-4.html#jvms-4.7.9.1
+ */
+
+/**
+ * Java names of the primitive (and void) descriptor characters.
+ */
+const PRIMITIVE_TYPES = {
+    B: 'byte',
+    C: 'char',
+    D: 'double',
+    F: 'float',
+    I: 'int',
+    J: 'long',
+    S: 'short',
+    Z: 'boolean',
+    V: 'void',
+};
+
+/**
+ * Characters that end an identifier in a signature.
+ */
+const IDENTIFIER_TERMINATORS = '.;[/<>:';
+
+const ACC_VARARGS = 0x0080;
+
+/**
+ * Convert a binary class name to its Java source form. Nested classes are
+ * joined with a dot; anonymous and local classes keep their '$' suffix.
+ * Only a single '$' between two names is a nesting separator, so synthetic
+ * names such as "Foo$$Lambda$12" and "$Proxy12" are left as they are.
+ *
+ * @param {string} className - e.g. "com.example.Outer$Inner" or "Outer$Inner$1"
+ * @returns {string} e.g. "com.example.Outer.Inner" or "Outer.Inner$1"
+ */
+export function javaClassName(className) {
+    return className.replace(/(?<=[^$.])\$(?=[^\d$])/g, '.');
+}
+
+/**
+ * Throw a parse error for the current reader position.
+ *
+ * @param {Object} reader - { text, pos, generic }
+ * @param {string} message
+ */
+function fail(reader, message) {
+    const kind = reader.generic ? 'signature' : 'descriptor';
+    throw new Error(`Invalid ${kind} '${reader.text}': ${message} at position ${reader.pos}`);
+}
+
+/**
+ * Consume an expected character.
+ *
+ * @param {Object} reader
+ * @param {string} ch
+ */
+function expectChar(reader, ch) {
+    if (reader.text[reader.pos] !== ch) {
+        fail(reader, `expected '${ch}'`);
+    }
+    reader.pos++;
+}
+
+/**
+ * Read an identifier up to the next terminator character.
+ *
+ * @param {Object} reader
+ * @returns {string}
+ */
+function readIdentifier(reader) {
+    const start = reader.pos;
+    while (reader.pos < reader.text.length && !IDENTIFIER_TERMINATORS.includes(reader.text[reader.pos])) {
+        reader.pos++;
+    }
+    if (reader.pos === start) {
+        fail(reader, 'expected an identifier');
+    }
+    return reader.text.slice(start, reader.pos);
+}
+
+/**
+ * Parse type arguments such as <TK;+Ljava/lang/Number;*>.
+ *
+ * @param {Object} reader
+ * @returns {string} e.g. "<K, ? extends Number, ?>"
+ */
+function parseTypeArguments(reader) {
+    expectChar(reader, '<');
+    const args = [];
+    while (reader.text[reader.pos] !== '>') {
+        const ch = reader.text[reader.pos];
+        if (ch === '*') {
+            reader.pos++;
+            args.push('?');
+        } else if (ch === '+') {
+            reader.pos++;
+            args.push(`? extends ${parseReferenceType(reader)}`);
+        } else if (ch === '-') {
+            reader.pos++;
+            args.push(`? super ${parseReferenceType(reader)}`);
+        } else {
+            args.push(parseReferenceType(reader));
+        }
+    }
+    if (args.length === 0) {
+        fail(reader, 'expected a type argument');
+    }
+    reader.pos++;
+    return `<${args.join(', ')}>`;
+}
+
+/**
+ * Parse a class type. The package is dropped: java/util/Map$Entry becomes
+ * Map.Entry.
+ *
+ * @param {Object} reader
+ * @returns {string}
+ */
+function parseClassType(reader) {
+    expectChar(reader, 'L');
+
+    let name = readIdentifier(reader);
+    while (reader.text[reader.pos] === '/') {
+        reader.pos++;
+        name = readIdentifier(reader);
+    }
+
+    let type = javaClassName(name);
+    if (reader.generic && reader.text[reader.pos] === '<') {
+        type += parseTypeArguments(reader);
+    }
+
+    // Inner class of a parameterized type: Lpkg/Outer<TT;>.Inner<TU;>;
+    while (reader.generic && reader.text[reader.pos] === '.') {
+        reader.pos++;
+        type += `.${readIdentifier(reader)}`;
+        if (reader.text[reader.pos] === '<') {
+            type += parseTypeArguments(reader);
+        }
+    }
+
+    expectChar(reader, ';');
+    return type;
+}
+
+/**
+ * Parse a reference type: class type, array type or type variable.
+ *
+ * @param {Object} reader
+ * @returns {string}
+ */
+function parseReferenceType(reader) {
+    const ch = reader.text[reader.pos];
+    if (ch === 'L') {
+        return parseClassType(reader);
+    }
+    if (ch === '[') {
+        reader.pos++;
+        return `${parseType(reader)}[]`;
+    }
+    if (ch === 'T' && reader.generic) {
+        reader.pos++;
+        const name = readIdentifier(reader);
+        expectChar(reader, ';');
+        return name;
+    }
+    fail(reader, 'expected a reference type');
+}
+
+/**
+ * Parse a field type (primitive or reference).
+ *
+ * @param {Object} reader
+ * @returns {string}
+ */
+function parseType(reader) {
+    const ch = reader.text[reader.pos];
+    if (ch !== 'V' && ch in PRIMITIVE_TYPES) {
+        reader.pos++;
+        return PRIMITIVE_TYPES[ch];
+    }
+    return parseReferenceType(reader);
+}
+
+/**
+ * Parse a return type, which may also be void.
+ *
+ * @param {Object} reader
+ * @returns {string}
+ */
+function parseReturnType(reader) {
+    if (reader.text[reader.pos] === 'V') {
+        reader.pos++;
+        return 'void';
+    }
+    return parseType(reader);
+}
+
+/**
+ * Parse formal type parameters such as <T::Ljava/lang/Comparable<-TT;>;>.
+ *
+ * @param {Object} reader
+ * @returns {string[]} e.g. ["T extends Comparable<? super T>"]
+ */
+function parseTypeParameters(reader) {
+    expectChar(reader, '<');
+    const typeParameters = [];
+    while (reader.text[reader.pos] !== '>') {
+        const name = readIdentifier(reader);
+        const bounds = [];
+
+        // Class bound, which may be empty when there are interface bounds
+        expectChar(reader, ':');
+        if (reader.text[reader.pos] !== ':' && reader.text[reader.pos] !== '>') {
+            bounds.push(parseReferenceType(reader));
+        }
+        while (reader.text[reader.pos] === ':') {
+            reader.pos++;
+            bounds.push(parseReferenceType(reader));
+        }
+
+        const explicit = bounds.filter((b) => b !== 'Object');
+        typeParameters.push(explicit.length > 0 ? `${name} extends ${explicit.join(' & ')}` : name);
+    }
+    if (typeParameters.length === 0) {
+        fail(reader, 'expected a type parameter');
+    }
+    reader.pos++;
+    return typeParameters;
+}
+
+/**
+ * Parse the parameter list and return type shared by descriptors and signatures.
+ *
+ * @param {Object} reader
+ * @returns {{ parameters: string[], returnType: string }}
+ */
+function parseParametersAndReturn(reader) {
+    expectChar(reader, '(');
+    const parameters = [];
+    while (reader.pos < reader.text.length && reader.text[reader.pos] !== ')') {
+        parameters.push(parseType(reader));
+    }
+    expectChar(reader, ')');
+    const returnType = parseReturnType(reader);
+    return { parameters, returnType };
+}
+
+/**
+ * Parse a method descriptor into Java type names.
+ *
+ * @param {string} descriptor - e.g. "(Ljava/lang/String;[IJ)V"
+ * @returns {{ parameters: string[], returnType: string }} e.g.
+ *   { parameters: ['String', 'int[]', 'long'], returnType: 'void' }
+ */
+export function parseMethodDescriptor(descriptor) {
+    const reader = { text: descriptor, pos: 0, generic: false };
+    const result = parseParametersAndReturn(reader);
+    if (reader.pos !== descriptor.length) {
+        fail(reader, 'unexpected trailing characters');
+    }
+    return result;
+}
+
+/**
+ * Parse a generic method signature from a Signature attribute.
+ *
+ * @param {string} signature - e.g. "<T:Ljava/lang/Object;>(Ljava/util/List<TT;>;)TT;"
+ * @returns {{ typeParameters: string[], parameters: string[], returnType: string, exceptions: string[] }}
+ */
+export function parseMethodSignature(signature) {
+    const reader = { text: signature, pos: 0, generic: true };
+    const typeParameters = reader.text[0] === '<' ? parseTypeParameters(reader) : [];
+    const { parameters, returnType } = parseParametersAndReturn(reader);
+
+    const exceptions = [];
+    while (reader.text[reader.pos] === '^') {
+        reader.pos++;
+        exceptions.push(parseReferenceType(reader));
+    }
+    if (reader.pos !== signature.length) {
+        fail(reader, 'unexpected trailing characters');
+    }
+    return { typeParameters, parameters, returnType, exceptions };
+}
+
+/**
+ * Render a method record as a Java declaration, e.g.
+ * "void foo(String, int[], long)" or "<T> List<T> copy(Collection<? extends T>)".
+ * Uses the generic signature when present and falls back to the descriptor
+ * if it cannot be parsed. Constructors are shown with their class name and
+ * static initializers as "static {}".
+ *
+ * @param {Object} method - { className, methodName, descriptor, signature, accessFlags }
+ * @returns {string}
+ */
+export function formatMethodSignature(method) {
+    if (method.methodName === '<clinit>') {
+        return 'static {}';
+    }
+
+    let parsed;
+    if (method.signature) {
+        try {
+            parsed = parseMethodSignature(method.signature);
+        } catch (e) {
+            // Obfuscators sometimes write malformed signatures; the descriptor is authoritative
+        }
+    }
+    if (!parsed) {
+        try {
+            parsed = { typeParameters: [], ...parseMethodDescriptor(method.descriptor) };
+        } catch (e) {
+            return `${method.methodName}${method.descriptor}`;
+        }
+    }
+
+    const parameters = [...parsed.parameters];
+    const last = parameters.length - 1;
+    if ((method.accessFlags & ACC_VARARGS) && last >= 0 && parameters[last].endsWith('[]')) {
+        parameters[last] = `${parameters[last].slice(0, -2)}...`;
+    }
+
+    let declaration;
+    if (method.methodName === '<init>') {
+        const className = javaClassName(method.className);
+        declaration = `${className.slice(className.lastIndexOf('.') + 1)}(${parameters.join(', ')})`;
+    } else {
+        declaration = `${parsed.returnType} ${method.methodName}(${parameters.join(', ')})`;
+    }
+
+    return parsed.typeParameters.length > 0
+        ? `<${parsed.typeParameters.join(', ')}> ${declaration}`
+        : declaration;
+}
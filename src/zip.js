@@ -0,0 +1,389 @@
+/**
+ * ZIP Reader
+ *
+ * Reads ZIP archives through their central directory and inflates entries
+ * only when they are read, so an archive never has to be decompressed as a
+ * whole. The archive is accessed through a source with random-access reads:
+ * an in-memory buffer, a Blob/File, or in Node a file handle (see
+ * file-source.js).
+ * Reference: https://pkware.cachefly.net/webdocs/casestudies/APPNOTE.TXT
+ */
+
+const EOCD_SIGNATURE = 0x06054b50;
+const ZIP64_LOCATOR_SIGNATURE = 0x07064b50;
+const ZIP64_EOCD_SIGNATURE = 0x06064b50;
+const CENTRAL_HEADER_SIGNATURE = 0x02014b50;
+const LOCAL_HEADER_SIGNATURE = 0x04034b50;
+
+const EOCD_SIZE = 22;
+const ZIP64_LOCATOR_SIZE = 20;
+const ZIP64_EOCD_SIZE = 56;
+const CENTRAL_HEADER_SIZE = 46;
+const LOCAL_HEADER_SIZE = 30;
+const MAX_COMMENT_SIZE = 0xFFFF;
+
+const ZIP64_EXTRA_ID = 0x0001;
+const FLAG_ENCRYPTED = 0x0001;
+
+/**
+ * Compression methods that can be read.
+ */
+export const METHOD_STORED = 0;
+export const METHOD_DEFLATED = 8;
+
+const utf8Decoder = new TextDecoder('utf-8');
+
+/**
+ * A source backed by bytes in memory.
+ *
+ * @param {ArrayBuffer|Uint8Array} buffer
+ * @returns {Object} Source { size, read(offset, length) }
+ */
+export function bufferSource(buffer) {
+    const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+    return {
+        size: bytes.byteLength,
+        read: async (offset, length) => bytes.subarray(offset, offset + length),
+    };
+}
+
+/**
+ * A source backed by a Blob or File, which is read piece by piece.
+ *
+ * @param {Blob} blob
+ * @returns {Object} Source { size, read(offset, length) }
+ */
+export function blobSource(blob) {
+    return {
+        size: blob.size,
+        read: async (offset, length) => new Uint8Array(await blob.slice(offset, offset + length).arrayBuffer()),
+    };
+}
+
+/**
+ * A window onto part of another source, e.g. an uncompressed nested JAR.
+ *
+ * @param {Object} source
+ * @param {number} start - Offset of the window in the source
+ * @param {number} size - Length of the window
+ * @returns {Object} Source { size, read(offset, length) }
+ */
+export function sliceSource(source, start, size) {
+    return {
+        size,
+        read: (offset, length) => source.read(start + offset, Math.min(length, size - offset)),
+    };
+}
+
+/**
+ * Turn parseJar input into a source.
+ *
+ * @param {ArrayBuffer|Uint8Array|Blob|Object} input - Bytes, a Blob/File or an existing source
+ * @returns {Object} Source { size, read(offset, length) }
+ */
+export function toZipSource(input) {
+    if (input instanceof ArrayBuffer || input instanceof Uint8Array) {
+        return bufferSource(input);
+    }
+    if (typeof Blob !== 'undefined' && input instanceof Blob) {
+        return blobSource(input);
+    }
+    if (input && typeof input.read === 'function' && typeof input.size === 'number') {
+        return input;
+    }
+    throw new TypeError('Expected an ArrayBuffer, Uint8Array, Blob or ZIP source');
+}
+
+/**
+ * Read exactly length bytes from a source.
+ *
+ * @param {Object} source
+ * @param {number} offset
+ * @param {number} length
+ * @param {string} what - Name of the structure for the error message
+ * @returns {Promise<Uint8Array>}
+ */
+async function readExact(source, offset, length, what) {
+    const bytes = offset + length <= source.size ? await source.read(offset, length) : null;
+    if (!bytes || bytes.byteLength < length) {
+        throw new Error(`Truncated ZIP archive: ${what} at offset ${offset} extends past the end`);
+    }
+    return bytes;
+}
+
+/**
+ * Little-endian view of a byte array.
+ *
+ * @param {Uint8Array} bytes
+ * @returns {DataView}
+ */
+function viewOf(bytes) {
+    return new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+}
+
+/**
+ * Read an unsigned 64-bit little-endian value as a number.
+ *
+ * @param {DataView} view
+ * @param {number} offset
+ * @returns {number}
+ */
+function getUint64(view, offset) {
+    return view.getUint32(offset, true) + view.getUint32(offset + 4, true) * 0x100000000;
+}
+
+/**
+ * Locate the central directory from the end of central directory record,
+ * following the ZIP64 locator when the classic fields overflow.
+ *
+ * @param {Object} source
+ * @returns {Promise<{ entryCount: number, size: number, offset: number, shift: number }>}
+ */
+async function findCentralDirectory(source) {
+    if (source.size < EOCD_SIZE) {
+        throw new Error('Not a ZIP archive: file is too small');
+    }
+
+    // The record is at the end, followed only by an archive comment of up to 64 KB
+    const tailStart = Math.max(0, source.size - EOCD_SIZE - MAX_COMMENT_SIZE);
+    const tail = await readExact(source, tailStart, source.size - tailStart, 'end of central directory');
+    const view = viewOf(tail);
+
+    let eocd = -1;
+    for (let i = tail.byteLength - EOCD_SIZE; i >= 0; i--) {
+        if (view.getUint32(i, true) === EOCD_SIGNATURE) {
+            eocd = i;
+            break;
+        }
+    }
+    if (eocd === -1) {
+        throw new Error('Not a ZIP archive: end of central directory record not found');
+    }
+
+    const entryCount = view.getUint16(eocd + 10, true);
+    const size = view.getUint32(eocd + 12, true);
+    const offset = view.getUint32(eocd + 16, true);
+
+    const locator = eocd - ZIP64_LOCATOR_SIZE;
+    if ((entryCount === 0xFFFF || size === 0xFFFFFFFF || offset === 0xFFFFFFFF) &&
+        locator >= 0 && view.getUint32(locator, true) === ZIP64_LOCATOR_SIGNATURE) {
+        const recordOffset = getUint64(view, locator + 8);
+        const record = viewOf(await readExact(source, recordOffset, ZIP64_EOCD_SIZE, 'ZIP64 end of central directory'));
+        if (record.getUint32(0, true) !== ZIP64_EOCD_SIGNATURE) {
+            throw new Error(`Invalid ZIP64 end of central directory record at offset ${recordOffset}`);
+        }
+        return {
+            entryCount: getUint64(record, 32),
+            size: getUint64(record, 40),
+            offset: getUint64(record, 48),
+            shift: 0,
+        };
+    }
+
+    // Data prepended to the archive (e.g. a launch script in an executable
+    // JAR) shifts every offset; the central directory ends where the record starts
+    const shift = tailStart + eocd - size - offset;
+    if (shift < 0) {
+        throw new Error(`Truncated ZIP archive: ${-shift} bytes are missing before the central directory`);
+    }
+    return { entryCount, size, offset: offset + shift, shift };
+}
+
+/**
+ * Apply the ZIP64 extended information extra field to an entry whose
+ * sizes or offset did not fit in 32 bits.
+ *
+ * @param {Object} entry
+ * @param {DataView} view - Central directory
+ * @param {number} start - Offset of the extra field data
+ * @param {number} length - Length of the extra field data
+ */
+function applyZip64Extra(entry, view, start, length) {
+    let pos = start;
+    while (pos + 4 <= start + length) {
+        const id = view.getUint16(pos, true);
+        const size = view.getUint16(pos + 2, true);
+        if (id === ZIP64_EXTRA_ID) {
+            let field = pos + 4;
+            // Only the overflowed values are present, in this order
+            for (const key of ['uncompressedSize', 'compressedSize', 'localHeaderOffset']) {
+                if (entry[key] === 0xFFFFFFFF && field + 8 <= pos + 4 + size) {
+                    entry[key] = getUint64(view, field);
+                    field += 8;
+                }
+            }
+            return;
+        }
+        pos += 4 + size;
+    }
+}
+
+/**
+ * Open a ZIP archive by reading its central directory.
+ *
+ * Each entry is { name, dir, method, flags, crc32, compressedSize,
+ * uncompressedSize, localHeaderOffset }. Nothing is decompressed until
+ * readZipEntry is called.
+ *
+ * @param {Object} source - Source from bufferSource, blobSource, sliceSource or openFileSource
+ * @returns {Promise<Object>} { source, entries }
+ */
+export async function openZip(source) {
+    const directory = await findCentralDirectory(source);
+    const bytes = await readExact(source, directory.offset, directory.size, 'central directory');
+    const view = viewOf(bytes);
+
+    const entries = [];
+    let pos = 0;
+    for (let i = 0; i < directory.entryCount; i++) {
+        if (pos + CENTRAL_HEADER_SIZE > bytes.byteLength || view.getUint32(pos, true) !== CENTRAL_HEADER_SIGNATURE) {
+            throw new Error(`Invalid central directory entry #${i} at offset ${directory.offset + pos}`);
+        }
+
+        const nameLength = view.getUint16(pos + 28, true);
+        const extraLength = view.getUint16(pos + 30, true);
+        const commentLength = view.getUint16(pos + 32, true);
+        const nameStart = pos + CENTRAL_HEADER_SIZE;
+        if (nameStart + nameLength + extraLength + commentLength > bytes.byteLength) {
+            throw new Error(`Invalid central directory entry #${i} at offset ${directory.offset + pos}`);
+        }
+
+        const name = utf8Decoder.decode(bytes.subarray(nameStart, nameStart + nameLength));
+        const entry = {
+            name,
+            dir: name.endsWith('/'),
+            method: view.getUint16(pos + 10, true),
+            flags: view.getUint16(pos + 8, true),
+            crc32: view.getUint32(pos + 16, true),
+            compressedSize: view.getUint32(pos + 20, true),
+            uncompressedSize: view.getUint32(pos + 24, true),
+            localHeaderOffset: view.getUint32(pos + 42, true),
+        };
+        applyZip64Extra(entry, view, nameStart + nameLength, extraLength);
+        entry.localHeaderOffset += directory.shift;
+
+        entries.push(entry);
+        pos = nameStart + nameLength + extraLength + commentLength;
+    }
+
+    return { source, entries };
+}
+
+/**
+ * Find the offset of an entry's data from its local file header.
+ *
+ * @param {Object} zip - Result of openZip
+ * @param {Object} entry
+ * @returns {Promise<number>}
+ */
+async function entryDataOffset(zip, entry) {
+    if (entry.flags & FLAG_ENCRYPTED) {
+        throw new Error(`${entry.name} is encrypted`);
+    }
+    const header = viewOf(await readExact(zip.source, entry.localHeaderOffset, LOCAL_HEADER_SIZE, `local header of ${entry.name}`));
+    if (header.getUint32(0, true) !== LOCAL_HEADER_SIGNATURE) {
+        throw new Error(`Invalid local file header for ${entry.name} at offset ${entry.localHeaderOffset}`);
+    }
+    // The local name and extra field may differ in length from the central directory copy
+    return entry.localHeaderOffset + LOCAL_HEADER_SIZE + header.getUint16(26, true) + header.getUint16(28, true);
+}
+
+/**
+ * Inflate raw DEFLATE data.
+ *
+ * @param {Uint8Array} data
+ * @param {number} expectedSize - Uncompressed size from the central directory
+ * @param {string} name - Entry name for error messages
+ * @returns {Promise<Uint8Array>}
+ */
+async function inflateRaw(data, expectedSize, name) {
+    const stream = new DecompressionStream('deflate-raw');
+    const writer = stream.writable.getWriter();
+    // Errors surface on the readable side
+    writer.write(data).catch(() => {});
+    writer.close().catch(() => {});
+
+    const reader = stream.readable.getReader();
+    const output = new Uint8Array(expectedSize);
+    let length = 0;
+    while (true) {
+        let chunk;
+        try {
+            chunk = await reader.read();
+        } catch (e) {
+            throw new Error(`Failed to inflate ${name}: ${e.message}`);
+        }
+        if (chunk.done) break;
+        if (length + chunk.value.byteLength > expectedSize) {
+            reader.cancel().catch(() => {});
+            throw new Error(`${name} inflates to more than its recorded size of ${expectedSize} bytes`);
+        }
+        output.set(chunk.value, length);
+        length += chunk.value.byteLength;
+    }
+    if (length !== expectedSize) {
+        throw new Error(`${name} inflates to ${length} bytes, expected ${expectedSize}`);
+    }
+    return output;
+}
+
+/**
+ * Read and decompress an entry.
+ *
+ * Stored entries of an in-memory source are returned as a view, not a copy.
+ *
+ * @param {Object} zip - Result of openZip
+ * @param {Object} entry - One of zip.entries
+ * @returns {Promise<Uint8Array>}
+ */
+export async function readZipEntry(zip, entry) {
+    const offset = await entryDataOffset(zip, entry);
+    if (entry.method !== METHOD_STORED && entry.method !== METHOD_DEFLATED) {
+        throw new Error(`${entry.name} uses unsupported compression method ${entry.method}`);
+    }
+    const data = await readExact(zip.source, offset, entry.compressedSize, `data of ${entry.name}`);
+    return entry.method === METHOD_STORED ? data : inflateRaw(data, entry.uncompressedSize, entry.name);
+}
+
+/**
+ * Get a source for an entry, to open it as a nested archive. Stored entries
+ * become a window onto the outer source and are never copied; compressed
+ * entries are inflated into memory.
+ *
+ * @param {Object} zip - Result of openZip
+ * @param {Object} entry - One of zip.entries
+ * @returns {Promise<Object>} Source { size, read(offset, length) }
+ */
+export async function zipEntrySource(zip, entry) {
+    if (entry.method === METHOD_STORED) {
+        const offset = await entryDataOffset(zip, entry);
+        return sliceSource(zip.source, offset, entry.compressedSize);
+    }
+    return bufferSource(await readZipEntry(zip, entry));
+}
+
+/**
+ * CRC-32 lookup table for the reflected polynomial 0xEDB88320 used by ZIP.
+ */
+const CRC_TABLE = new Int32Array(256).map((_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    }
+    return c;
+});
+
+/**
+ * CRC-32 of some bytes, the checksum ZIP records for each entry, for bytes
+ * that do not come from an archive.
+ *
+ * @param {Uint8Array} bytes
+ * @returns {number} Unsigned 32-bit checksum
+ */
+export function crc32(bytes) {
+    let crc = -1;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = CRC_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ -1) >>> 0;
+}
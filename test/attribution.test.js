@@ -0,0 +1,163 @@
+import { describe, it, expect } from 'vitest';
+import { lambdaImplementation, linkLambdaBodies, attributeSyntheticMethods } from '../src/attribution.js';
+import { methodId } from '../src/callgraph.js';
+
+const ACC_PRIVATE_STATIC_SYNTHETIC = 0x0002 | 0x0008 | 0x1000;
+const ACC_STATIC_SYNTHETIC = 0x0008 | 0x1000;
+
+// Resolved constant pool entries as parseClassFile leaves them
+const CONSTANT_POOL = [
+    null,
+    { tag: 15, referenceKind: 6, referenceIndex: 2 },
+    { tag: 10, className: 'java/lang/invoke/LambdaMetafactory', name: 'metafactory', descriptor: '(...)Ljava/lang/invoke/CallSite;' },
+    { tag: 16, descriptorIndex: 0 },
+    { tag: 15, referenceKind: 6, referenceIndex: 5 },
+    { tag: 10, className: 'app/Foo', name: 'lambda$run$0', descriptor: '()V' },
+    { tag: 15, referenceKind: 6, referenceIndex: 7 },
+    { tag: 10, className: 'java/lang/invoke/StringConcatFactory', name: 'makeConcatWithConstants', descriptor: '(...)Ljava/lang/invoke/CallSite;' },
+    { tag: 15, referenceKind: 5, referenceIndex: 9 },
+    { tag: 10, className: 'java/lang/String', name: 'length', descriptor: '()I' },
+];
+
+const LAMBDA_BOOTSTRAP = { methodRef: 1, arguments: [3, 4, 3] };
+const CONCAT_BOOTSTRAP = { methodRef: 6, arguments: [] };
+const METHOD_REFERENCE_BOOTSTRAP = { methodRef: 1, arguments: [3, 8, 3] };
+
+/**
+ * Helper to build a method as parseClassFile returns it
+ */
+function classMethod(name, accessFlags, invocations = []) {
+    return { name, descriptor: '()V', accessFlags, invocations, declaringMethod: null };
+}
+
+/**
+ * Helper to build an invokedynamic call site
+ */
+function indy(bootstrapMethod) {
+    return { pc: 0, kind: 'dynamic', className: '<dynamic>', methodName: 'run', descriptor: '()Ljava/lang/Runnable;', bootstrapMethod };
+}
+
+/**
+ * Helper to build a method record as parseJar returns it before attribution
+ */
+function record(className, methodName, bytecodeSize, { accessFlags = 0x0001, calls = [], lambdaOf = null, archive = '' } = {}) {
+    return {
+        className,
+        methodName,
+        descriptor: '()V',
+        bytecodeSize,
+        accessFlags,
+        calls: calls.map((target) => ({ kind: 'static', className, methodName: target, descriptor: '()V', count: 1 })),
+        attributedTo: lambdaOf && methodId({ archive, className, methodName: lambdaOf, descriptor: '()V' }),
+        attributionKind: lambdaOf ? 'lambda' : null,
+        archive,
+    };
+}
+
+// =============================================================================
+// Lambda bodies
+// =============================================================================
+
+describe('Lambda bodies', () => {
+    it('finds the implementation method of a LambdaMetafactory call site', () => {
+        expect(lambdaImplementation(LAMBDA_BOOTSTRAP, CONSTANT_POOL)).toEqual({
+            className: 'app/Foo',
+            name: 'lambda$run$0',
+            descriptor: '()V',
+        });
+    });
+
+    it('ignores other bootstrap methods', () => {
+        expect(lambdaImplementation(CONCAT_BOOTSTRAP, CONSTANT_POOL)).toBeNull();
+    });
+
+    it('links each synthetic body to the method that creates it', () => {
+        const run = classMethod('run', 0x0001, [indy(0)]);
+        const body = classMethod('lambda$run$0', ACC_PRIVATE_STATIC_SYNTHETIC);
+        linkLambdaBodies('app/Foo', [run, body], [LAMBDA_BOOTSTRAP], CONSTANT_POOL);
+
+        expect(body.declaringMethod).toEqual({ name: 'run', descriptor: '()V' });
+        expect(run.declaringMethod).toBeNull();
+    });
+
+    it('leaves method references and other classes alone', () => {
+        const run = classMethod('run', 0x0001, [indy(0), indy(1)]);
+        const body = classMethod('lambda$run$0', ACC_PRIVATE_STATIC_SYNTHETIC);
+        linkLambdaBodies('app/Bar', [run, body], [LAMBDA_BOOTSTRAP, METHOD_REFERENCE_BOOTSTRAP], CONSTANT_POOL);
+
+        expect(body.declaringMethod).toBeNull();
+    });
+});
+
+// =============================================================================
+// Effective size
+// =============================================================================
+
+describe('Effective size', () => {
+    it('rolls nested lambda bodies into the declaring method', () => {
+        const methods = [
+            record('app.Foo', 'run', 100),
+            record('app.Foo', 'lambda$run$0', 40, { accessFlags: ACC_PRIVATE_STATIC_SYNTHETIC, lambdaOf: 'run' }),
+            record('app.Foo', 'lambda$run$1', 10, { accessFlags: ACC_PRIVATE_STATIC_SYNTHETIC, lambdaOf: 'lambda$run$0' }),
+        ];
+        attributeSyntheticMethods(methods);
+
+        expect(methods[0]).toMatchObject({
+            attributedTo: null,
+            attributedMethods: ['app.Foo.lambda$run$0()V'],
+            effectiveSize: 150,
+        });
+        expect(methods[1]).toMatchObject({ attributedTo: 'app.Foo.run()V', attributionKind: 'lambda', effectiveSize: 50 });
+        expect(methods[2]).toMatchObject({ attributedTo: 'app.Foo.lambda$run$0()V', effectiveSize: 10 });
+    });
+
+    it('attributes an accessor to its only caller', () => {
+        const methods = [
+            record('app.Foo', 'access$000', 5, { accessFlags: ACC_STATIC_SYNTHETIC }),
+            record('app.Foo', 'access$100', 5, { accessFlags: ACC_STATIC_SYNTHETIC }),
+            record('app.Foo', 'one', 20, { calls: ['access$000', 'access$100'] }),
+            record('app.Foo', 'two', 20, { calls: ['access$100'] }),
+        ];
+        attributeSyntheticMethods(methods);
+
+        expect(methods[0]).toMatchObject({ attributedTo: 'app.Foo.one()V', attributionKind: 'accessor' });
+        expect(methods[1]).toMatchObject({ attributedTo: null, attributionKind: null });
+        expect(methods[2].effectiveSize).toBe(25);
+        expect(methods[3].effectiveSize).toBe(20);
+    });
+
+    it('only links methods within the same archive', () => {
+        const methods = [
+            record('app.Foo', 'lambda$run$0', 40, { accessFlags: ACC_PRIVATE_STATIC_SYNTHETIC, lambdaOf: 'run', archive: 'a.jar' }),
+            record('app.Foo', 'run', 100, { archive: 'b.jar' }),
+        ];
+        attributeSyntheticMethods(methods);
+
+        expect(methods[0].attributedTo).toBeNull();
+        expect(methods[1].effectiveSize).toBe(100);
+    });
+
+    it('links to the method of the same archive when several define it', () => {
+        const methods = [
+            record('app.Foo', 'run', 100, { archive: 'a.jar' }),
+            record('app.Foo', 'lambda$run$0', 40, { accessFlags: ACC_PRIVATE_STATIC_SYNTHETIC, lambdaOf: 'run', archive: 'b.jar' }),
+            record('app.Foo', 'run', 100, { archive: 'b.jar' }),
+        ];
+        attributeSyntheticMethods(methods);
+
+        expect(methods[1].attributedTo).toBe('b.jar!/app.Foo.run()V');
+        expect(methods[0].effectiveSize).toBe(100);
+        expect(methods[2].effectiveSize).toBe(140);
+    });
+
+    it('never attributes methods to each other', () => {
+        const methods = [
+            record('app.Foo', 'access$000', 5, { accessFlags: ACC_STATIC_SYNTHETIC, calls: ['access$100'] }),
+            record('app.Foo', 'access$100', 7, { accessFlags: ACC_STATIC_SYNTHETIC, calls: ['access$000'] }),
+        ];
+        attributeSyntheticMethods(methods);
+
+        expect(methods.filter((m) => m.attributedTo === null)).toHaveLength(1);
+        expect(methods.map((m) => m.effectiveSize)).toEqual([5, 12]);
+    });
+});
@@ -0,0 +1,213 @@
+import { describe, it, expect } from 'vitest';
+import { decodeInstructions } from '../src/bytecode.js';
+import { detectBloat, describeBloatFinding, BLOAT_THRESHOLDS } from '../src/bloat.js';
+
+/**
+ * Helpers to encode big-endian operands
+ */
+const u2 = (n) => [(n >> 8) & 0xFF, n & 0xFF];
+const int32 = (n) => [(n >> 24) & 0xFF, (n >> 16) & 0xFF, (n >> 8) & 0xFF, n & 0xFF];
+const repeat = (count, bytes) => Array.from({ length: count }, (_, i) => bytes(i)).flat();
+
+// Constant pool with resolved references, as parseClassFile builds it
+const CONSTANT_POOL = [];
+CONSTANT_POOL[1] = { tag: 1, value: 'java/lang/StringBuilder' };
+CONSTANT_POOL[2] = { tag: 7, nameIndex: 1 };
+CONSTANT_POOL[3] = { tag: 10, className: 'java/lang/StringBuilder', name: '<init>', descriptor: '()V' };
+CONSTANT_POOL[4] = { tag: 10, className: 'java/lang/StringBuilder', name: 'append', descriptor: '(I)Ljava/lang/StringBuilder;' };
+CONSTANT_POOL[5] = { tag: 10, className: 'java/lang/StringBuilder', name: 'toString', descriptor: '()Ljava/lang/String;' };
+CONSTANT_POOL[6] = { tag: 3, value: 16 };
+CONSTANT_POOL[7] = { tag: 9, className: 'app/Color', name: 'RED', descriptor: 'Lapp/Color;' };
+CONSTANT_POOL[8] = { tag: 9, className: 'app/Color', name: 'count', descriptor: 'I' };
+
+/**
+ * Detect bloat in a code array, in a method run of class app/Color
+ */
+function detect(bytes, context = {}) {
+    const code = new Uint8Array(bytes);
+    return detectBloat(decodeInstructions(code), {
+        constantPool: CONSTANT_POOL,
+        exceptionTable: [],
+        className: 'app/Color',
+        classAccessFlags: 0x0021,
+        methodName: 'run',
+        codeLength: code.length,
+        ...context,
+    });
+}
+
+/**
+ * A tableswitch over low..high at pc 0 followed by two returns: cases for
+ * which handled() is false lead to the default, the first return.
+ */
+function tableswitch(low, high, handled) {
+    const length = 16 + 4 * (high - low + 1);
+    return [
+        0xAA, 0, 0, 0, ...int32(length), ...int32(low), ...int32(high),
+        ...repeat(high - low + 1, (i) => int32(handled(low + i) ? length + 1 : length)),
+        0xB1, 0xB1,
+    ];
+}
+
+// =============================================================================
+// Switches
+// =============================================================================
+
+describe('Large switches', () => {
+    it('flags switches with large jump tables, counting the gaps of a tableswitch', () => {
+        const findings = detect(tableswitch(0, 63, (n) => n % 4 === 0));
+        expect(findings).toEqual([{ kind: 'large-switch', count: 1, bytes: 272, pc: 0, cases: 64, gaps: 48 }]);
+    });
+
+    it('flags large lookupswitch tables', () => {
+        const pairs = 40;
+        const length = 12 + pairs * 8;
+        const code = [0xAB, 0, 0, 0, ...int32(length), ...int32(pairs), ...repeat(pairs, (i) => [...int32(i * 100), ...int32(length)]), 0xB1];
+        expect(detect(code)).toEqual([{ kind: 'large-switch', count: 1, bytes: length, pc: 0, cases: pairs, gaps: 0 }]);
+    });
+
+    it('ignores small switches', () => {
+        expect(detect(tableswitch(0, 2, () => true))).toEqual([]);
+    });
+});
+
+// =============================================================================
+// Array literals
+// =============================================================================
+
+describe('Array initializers', () => {
+    // bipush n, newarray int, then dup, index, value, iastore for each element
+    const intArray = (n) => [0x10, n, 0xBC, 10, ...repeat(n, (i) => [0x59, 0x10, i, 0x10, i * 2, 0x4F])];
+
+    it('flags arrays filled element by element', () => {
+        const findings = detect([...intArray(20), 0xB0]);
+        expect(findings).toEqual([{ kind: 'array-initializer', count: 1, bytes: 20 * 6, pc: 2, elements: 20 }]);
+    });
+
+    it('reads indexes pushed as iconst, bipush, sipush and ldc', () => {
+        const index = (i) => (i <= 5 ? [0x03 + i] : i < 10 ? [0x10, i] : i < 16 ? [0x11, ...u2(i)] : [0x12, 6]);
+        const code = [0x10, 17, 0xBC, 10, ...repeat(17, (i) => [0x59, ...index(i), 0x04, 0x4F]), 0xB0];
+        expect(detect(code)).toMatchObject([{ kind: 'array-initializer', count: 1, elements: 17 }]);
+    });
+
+    it('counts nested array literals once, towards the outer one', () => {
+        // new int[][] { {..5..}, {..5..}, {..5..}, {..5..} }
+        const code = [0x07, 0xBD, ...u2(2), ...repeat(4, (i) => [0x59, 0x03 + i, ...intArray(5), 0x53]), 0xB0];
+        const [finding] = detect(code);
+        expect(finding).toMatchObject({ kind: 'array-initializer', count: 1, elements: 24, pc: 1 });
+        expect(finding.bytes).toBe(code.length - 1 - 4);
+    });
+
+    it('ignores short array literals', () => {
+        expect(detect([...intArray(BLOAT_THRESHOLDS.arrayElements - 1), 0xB0])).toEqual([]);
+    });
+});
+
+// =============================================================================
+// String concatenation
+// =============================================================================
+
+describe('String concatenation', () => {
+    // new StringBuilder, dup, invokespecial <init>, then iload_0 and append for each part, toString
+    const chain = (appends) => [
+        0xBB, ...u2(2), 0x59, 0xB7, ...u2(3),
+        ...repeat(appends, () => [0x1A, 0xB6, ...u2(4)]),
+        0xB6, ...u2(5),
+    ];
+
+    it('flags long StringBuilder chains with the bytes invokedynamic would save', () => {
+        expect(detect([...chain(9), 0xB0])).toEqual([
+            { kind: 'string-concat', count: 1, bytes: 7 + 3 * 10 - 5, pc: 0, appends: 9 },
+        ]);
+    });
+
+    it('keeps nested chains apart', () => {
+        const code = [
+            0xBB, ...u2(2), 0x59, 0xB7, ...u2(3), 0x1A, 0xB6, ...u2(4),
+            ...chain(8), 0x57, // a chain inside the outer one, popped
+            0x1A, 0xB6, ...u2(4), 0xB6, ...u2(5), 0xB0,
+        ];
+        expect(detect(code)).toEqual([{ kind: 'string-concat', count: 1, bytes: 7 + 3 * 9 - 5, pc: 11, appends: 8 }]);
+    });
+
+    it('ignores short chains', () => {
+        expect(detect([...chain(3), 0xB0])).toEqual([]);
+    });
+});
+
+// =============================================================================
+// Finally blocks
+// =============================================================================
+
+describe('Duplicated finally blocks', () => {
+    // count++ on a static field, 8 bytes
+    const FINALLY = [0xB2, ...u2(8), 0x04, 0x60, 0xB3, ...u2(8)];
+
+    // 0: nop, 1: finally, 9: return, 10: astore_1, 11: finally, 19: aload_1, 20: athrow
+    const TRY_FINALLY = [0x00, ...FINALLY, 0xB1, 0x4C, ...FINALLY, 0x2B, 0xBF];
+
+    it('flags finally blocks copied to other exits', () => {
+        const findings = detect(TRY_FINALLY, { exceptionTable: [{ startPc: 0, endPc: 1, handlerPc: 10, catchType: null }] });
+        expect(findings).toEqual([{ kind: 'duplicated-finally', count: 1, bytes: 8, pc: 10, copies: 1 }]);
+    });
+
+    it('looks only at catch-all handlers', () => {
+        const exceptionTable = [{ startPc: 0, endPc: 1, handlerPc: 10, catchType: 'java/lang/Exception' }];
+        expect(detect(TRY_FINALLY, { exceptionTable })).toEqual([]);
+    });
+
+    it('ignores the small handlers of synchronized blocks', () => {
+        // 0: aload_0, 1: monitorexit, 2: return, 3: astore_1, 4: aload_0, 5: monitorexit, 6: aload_1, 7: athrow
+        const code = [0x2A, 0xC3, 0xB1, 0x4C, 0x2A, 0xC3, 0x2B, 0xBF];
+        expect(detect(code, { exceptionTable: [{ startPc: 0, endPc: 2, handlerPc: 3, catchType: null }] })).toEqual([]);
+    });
+});
+
+// =============================================================================
+// Enums
+// =============================================================================
+
+describe('Enum initializers', () => {
+    const noSuchField = (n) => Array.from({ length: n }, (_, i) => ({
+        startPc: 0, endPc: 1, handlerPc: 1, catchType: 'java/lang/NoSuchFieldError', index: i,
+    }));
+
+    it('flags the static initializer of a large switch map', () => {
+        const findings = detect([0x00, 0xB1], { methodName: '<clinit>', exceptionTable: noSuchField(16) });
+        expect(findings).toEqual([{ kind: 'switch-map', count: 1, bytes: 2 + 16 * 8, pc: 0, constants: 16 }]);
+        expect(detect([0x00, 0xB1], { exceptionTable: noSuchField(16) })).toEqual([]);
+    });
+
+    it('flags the static initializer of a large enum', () => {
+        // aconst_null and putstatic RED for each constant
+        const code = [...repeat(32, () => [0x01, 0xB3, ...u2(7)]), 0xB3, ...u2(8), 0xB1];
+        expect(detect(code, { methodName: '<clinit>', classAccessFlags: 0x4031 })).toEqual([
+            { kind: 'enum-initializer', count: 1, bytes: code.length, pc: 0, constants: 32 },
+        ]);
+        expect(detect(code, { methodName: '<clinit>' })).toEqual([]);
+    });
+});
+
+// =============================================================================
+// Reporting
+// =============================================================================
+
+describe('Bloat findings', () => {
+    it('orders findings by their cost', () => {
+        const code = [...tableswitch(0, 63, () => true), 0x10, 20, 0xBC, 10, ...repeat(20, (i) => [0x59, 0x10, i, 0x04, 0x4F]), 0xB1];
+        expect(detect(code).map((f) => [f.kind, f.bytes])).toEqual([['large-switch', 272], ['array-initializer', 100]]);
+    });
+
+    it('finds nothing in methods without code', () => {
+        expect(detect([])).toEqual([]);
+    });
+
+    it('describes findings', () => {
+        expect(describeBloatFinding({ kind: 'large-switch', count: 2, bytes: 900, cases: 200, gaps: 30 }))
+            .toBe('2 switches with 200 cases, 30 of them gaps that lead to the default');
+        expect(describeBloatFinding({ kind: 'duplicated-finally', count: 1, bytes: 16, copies: 2 }))
+            .toBe('finally block copied to 2 other exits');
+        expect(describeBloatFinding({ kind: 'switch-map', count: 1, bytes: 129, constants: 16 }))
+            .toBe('switch map over 16 enum constants');
+    });
+});
@@ -0,0 +1,154 @@
+import { describe, it, expect } from 'vitest';
+import { decodeInstructions, formatInstructions, describeConstant, opcodeName } from '../src/bytecode.js';
+
+/**
+ * Helper to build a code array from a list of byte values
+ */
+function code(...bytes) {
+    return new Uint8Array(bytes);
+}
+
+// =============================================================================
+// Instruction decoding
+// =============================================================================
+
+describe('Instruction decoding', () => {
+    it('decodes single-byte instructions', () => {
+        const insns = decodeInstructions(code(0x2A, 0x04, 0xAC)); // aload_0, iconst_1, ireturn
+        expect(insns.map((i) => i.mnemonic)).toEqual(['aload_0', 'iconst_1', 'ireturn']);
+        expect(insns.map((i) => i.pc)).toEqual([0, 1, 2]);
+        expect(insns.every((i) => i.length === 1)).toBe(true);
+    });
+
+    it('decodes signed immediate operands', () => {
+        const insns = decodeInstructions(code(0x10, 0xFF, 0x11, 0x80, 0x00)); // bipush -1, sipush -32768
+        expect(insns[0].value).toBe(-1);
+        expect(insns[1].value).toBe(-32768);
+        expect(insns[1].pc).toBe(2);
+    });
+
+    it('resolves branch offsets to absolute targets', () => {
+        // 0: iconst_0, 1: ifeq +5, 4: nop, 5: nop, 6: goto -6
+        const insns = decodeInstructions(code(0x03, 0x99, 0x00, 0x05, 0x00, 0x00, 0xA7, 0xFF, 0xFA));
+        expect(insns[1].target).toBe(6);
+        expect(insns[4].target).toBe(0);
+    });
+
+    it('decodes wide iinc and wide loads', () => {
+        // wide iinc 300, -1000; wide aload 256
+        const insns = decodeInstructions(code(0xC4, 0x84, 0x01, 0x2C, 0xFC, 0x18, 0xC4, 0x19, 0x01, 0x00));
+        expect(insns.length).toBe(2);
+        expect(insns[0]).toMatchObject({ mnemonic: 'iinc', wide: true, local: 300, value: -1000, length: 6 });
+        expect(insns[1]).toMatchObject({ pc: 6, mnemonic: 'aload', wide: true, local: 256, length: 4 });
+    });
+
+    it('skips tableswitch padding', () => {
+        // 0: iload_1, 1: tableswitch (2 bytes padding) default=+28, low=0, high=1
+        const insns = decodeInstructions(code(
+            0x1B,
+            0xAA, 0x00, 0x00,
+            0x00, 0x00, 0x00, 0x1B,
+            0x00, 0x00, 0x00, 0x00,
+            0x00, 0x00, 0x00, 0x01,
+            0x00, 0x00, 0x00, 0x17,
+            0x00, 0x00, 0x00, 0x19,
+            0xB1,
+        ));
+        const sw = insns[1];
+        expect(sw.mnemonic).toBe('tableswitch');
+        expect(sw.length).toBe(23);
+        expect(sw.defaultTarget).toBe(28);
+        expect(sw.cases).toEqual([
+            { match: 0, target: 24 },
+            { match: 1, target: 26 },
+        ]);
+        expect(insns[2].pc).toBe(24);
+    });
+
+    it('decodes lookupswitch without padding when already aligned', () => {
+        // 0-2: nop, 3: lookupswitch default=+21, npairs=1, 100 -> +17
+        const insns = decodeInstructions(code(
+            0x00, 0x00, 0x00,
+            0xAB,
+            0x00, 0x00, 0x00, 0x15,
+            0x00, 0x00, 0x00, 0x01,
+            0x00, 0x00, 0x00, 0x64,
+            0x00, 0x00, 0x00, 0x11,
+            0xB1,
+        ));
+        const sw = insns[3];
+        expect(sw.length).toBe(17);
+        expect(sw.defaultTarget).toBe(24);
+        expect(sw.cases).toEqual([{ match: 100, target: 20 }]);
+    });
+
+    it('decodes constant pool operands', () => {
+        // invokeinterface #7, 2; invokedynamic #9; multianewarray #3, 2; ldc #4
+        const insns = decodeInstructions(code(
+            0xB9, 0x00, 0x07, 0x02, 0x00,
+            0xBA, 0x00, 0x09, 0x00, 0x00,
+            0xC5, 0x00, 0x03, 0x02,
+            0x12, 0x04,
+        ));
+        expect(insns[0]).toMatchObject({ cpIndex: 7, count: 2, length: 5 });
+        expect(insns[1]).toMatchObject({ cpIndex: 9, length: 5 });
+        expect(insns[2]).toMatchObject({ cpIndex: 3, dimensions: 2, length: 4 });
+        expect(insns[3]).toMatchObject({ cpIndex: 4, length: 2 });
+    });
+
+    it('decodes newarray element types', () => {
+        const insns = decodeInstructions(code(0x10, 0x05, 0xBC, 0x0A));
+        expect(insns[1].arrayType).toBe('int');
+    });
+
+    it('rejects unknown opcodes', () => {
+        expect(() => decodeInstructions(code(0xCB))).toThrow(/unknown opcode 0xCB at pc 0/i);
+    });
+
+    it('rejects instructions running past the end of the code', () => {
+        expect(() => decodeInstructions(code(0xBA, 0x00, 0x01))).toThrow(/overruns/);
+    });
+
+    it('names every defined opcode', () => {
+        expect(opcodeName(0x00)).toBe('nop');
+        expect(opcodeName(0xB6)).toBe('invokevirtual');
+        expect(opcodeName(0xC9)).toBe('jsr_w');
+        expect(opcodeName(0xCA)).toBeUndefined();
+    });
+});
+
+// =============================================================================
+// Listing output
+// =============================================================================
+
+describe('javap-style formatting', () => {
+    const constantPool = [
+        null,
+        { tag: 10, classIndex: 2, nameAndTypeIndex: 3 },
+        { tag: 7, nameIndex: 4 },
+        { tag: 12, nameIndex: 5, descriptorIndex: 6 },
+        { tag: 1, value: 'java/io/PrintStream' },
+        { tag: 1, value: 'println' },
+        { tag: 1, value: '(Ljava/lang/String;)V' },
+        { tag: 8, stringIndex: 8 },
+        { tag: 1, value: 'hello' },
+    ];
+
+    it('describes constant pool references like javap', () => {
+        expect(describeConstant(constantPool, 1)).toBe('Method java/io/PrintStream.println:(Ljava/lang/String;)V');
+        expect(describeConstant(constantPool, 2)).toBe('class java/io/PrintStream');
+        expect(describeConstant(constantPool, 7)).toBe('String hello');
+    });
+
+    it('renders operands and resolved comments', () => {
+        const listing = formatInstructions(
+            decodeInstructions(code(0x12, 0x07, 0xB6, 0x00, 0x01, 0x84, 0x01, 0x01, 0xB1)),
+            constantPool
+        );
+        const lines = listing.split('\n');
+        expect(lines[0]).toMatch(/^\s+0: ldc\s+#7\s+\/\/ String hello$/);
+        expect(lines[1]).toMatch(/^\s+2: invokevirtual #1\s+\/\/ Method java\/io\/PrintStream\.println/);
+        expect(lines[2]).toMatch(/^\s+5: iinc\s+1, 1$/);
+        expect(lines[3]).toMatch(/^\s+8: return$/);
+    });
+});
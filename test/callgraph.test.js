@@ -0,0 +1,177 @@
+import { describe, it, expect } from 'vitest';
+import { decodeInstructions } from '../src/bytecode.js';
+import {
+    collectInvocations,
+    summarizeCalls,
+    buildCallGraph,
+    indexCallGraph,
+    formatCallGraphDot,
+    methodId,
+    DYNAMIC_CALL_CLASS,
+} from '../src/callgraph.js';
+
+/**
+ * Helper to build a method record with the fields the call graph uses
+ */
+function method(className, methodName, descriptor, bytecodeSize, calls = []) {
+    return { className, methodName, descriptor, bytecodeSize, calls };
+}
+
+/**
+ * Helper to build a call from a method record
+ */
+function call(className, methodName, descriptor, count = 1, kind = 'virtual') {
+    return { kind, className, methodName, descriptor, count };
+}
+
+// Resolved constant pool entries as parseClassFile leaves them
+const CONSTANT_POOL = [
+    null,
+    { tag: 10, classIndex: 0, nameAndTypeIndex: 0, className: 'java/io/PrintStream', name: 'println', descriptor: '(Ljava/lang/String;)V' },
+    { tag: 11, classIndex: 0, nameAndTypeIndex: 0, className: 'java/util/List', name: 'size', descriptor: '()I' },
+    { tag: 18, bootstrapMethodAttrIndex: 0, nameAndTypeIndex: 0, name: 'run', descriptor: '()Ljava/lang/Runnable;' },
+    { tag: 8, stringIndex: 0 },
+];
+
+// =============================================================================
+// Call sites
+// =============================================================================
+
+describe('Call sites', () => {
+    it('resolves each invoke instruction', () => {
+        // 0: invokevirtual #1, 3: invokeinterface #2 1, 8: invokedynamic #3, 13: invokevirtual #1, 16: return
+        const instructions = decodeInstructions(new Uint8Array([
+            0xB6, 0x00, 0x01,
+            0xB9, 0x00, 0x02, 0x01, 0x00,
+            0xBA, 0x00, 0x03, 0x00, 0x00,
+            0xB6, 0x00, 0x01,
+            0xB1,
+        ]));
+
+        expect(collectInvocations(instructions, CONSTANT_POOL)).toEqual([
+            { pc: 0, kind: 'virtual', className: 'java/io/PrintStream', methodName: 'println', descriptor: '(Ljava/lang/String;)V' },
+            { pc: 3, kind: 'interface', className: 'java/util/List', methodName: 'size', descriptor: '()I' },
+            { pc: 8, kind: 'dynamic', className: DYNAMIC_CALL_CLASS, methodName: 'run', descriptor: '()Ljava/lang/Runnable;', bootstrapMethod: 0 },
+            { pc: 13, kind: 'virtual', className: 'java/io/PrintStream', methodName: 'println', descriptor: '(Ljava/lang/String;)V' },
+        ]);
+    });
+
+    it('rejects invokes of constants that are not method references', () => {
+        const instructions = decodeInstructions(new Uint8Array([0xB8, 0x00, 0x04]));
+        expect(() => collectInvocations(instructions, CONSTANT_POOL)).toThrow('Invalid method reference #4 at pc 0');
+    });
+
+    it('merges repeated calls to the same target', () => {
+        const calls = summarizeCalls([
+            { pc: 0, kind: 'static', className: 'a/B', methodName: 'f', descriptor: '()V' },
+            { pc: 3, kind: 'static', className: 'a/C', methodName: 'f', descriptor: '()V' },
+            { pc: 6, kind: 'static', className: 'a/B', methodName: 'f', descriptor: '()V' },
+        ]);
+        expect(calls).toEqual([
+            { kind: 'static', className: 'a.B', methodName: 'f', descriptor: '()V', count: 2 },
+            { kind: 'static', className: 'a.C', methodName: 'f', descriptor: '()V', count: 1 },
+        ]);
+    });
+
+    it('merges invokedynamic call sites only with the same bootstrap method', () => {
+        const indy = (pc, bootstrapMethod) => ({
+            pc, kind: 'dynamic', className: DYNAMIC_CALL_CLASS, methodName: 'run', descriptor: '()Ljava/lang/Runnable;', bootstrapMethod,
+        });
+        expect(summarizeCalls([indy(0, 0), indy(5, 1), indy(10, 0)])).toEqual([
+            { kind: 'dynamic', className: DYNAMIC_CALL_CLASS, methodName: 'run', descriptor: '()Ljava/lang/Runnable;', bootstrapMethod: 0, count: 2 },
+            { kind: 'dynamic', className: DYNAMIC_CALL_CLASS, methodName: 'run', descriptor: '()Ljava/lang/Runnable;', bootstrapMethod: 1, count: 1 },
+        ]);
+    });
+});
+
+// =============================================================================
+// Graph
+// =============================================================================
+
+describe('Call graph', () => {
+    const methods = [
+        method('a.Big', 'run', '()V', 900, [call('a.Util', 'help', '(I)I', 3, 'static'), call('java.io.PrintStream', 'println', '(Ljava/lang/String;)V')]),
+        method('a.Util', 'help', '(I)I', 20),
+        method('a.Main', 'main', '([Ljava/lang/String;)V', 10, [call('a.Big', 'run', '()V'), call('a.Util', 'help', '(I)I', 1, 'static')]),
+    ];
+
+    it('links callers to callees and marks targets outside the methods as external', () => {
+        const graph = buildCallGraph(methods);
+
+        expect(graph.nodes.map((n) => [n.id, n.external])).toEqual([
+            ['a.Big.run()V', false],
+            ['a.Util.help(I)I', false],
+            ['a.Main.main([Ljava/lang/String;)V', false],
+            ['java.io.PrintStream.println(Ljava/lang/String;)V', true],
+        ]);
+        expect(graph.edges).toEqual([
+            { from: 0, to: 1, kind: 'static', count: 3 },
+            { from: 0, to: 3, kind: 'virtual', count: 1 },
+            { from: 2, to: 0, kind: 'virtual', count: 1 },
+            { from: 2, to: 1, kind: 'static', count: 1 },
+        ]);
+    });
+
+    it('looks up callers and callees by method', () => {
+        const { callers, callees } = indexCallGraph(buildCallGraph(methods));
+
+        expect(callers.get(methodId(methods[1])).map((c) => [c.node.id, c.count])).toEqual([
+            ['a.Big.run()V', 3],
+            ['a.Main.main([Ljava/lang/String;)V', 1],
+        ]);
+        expect(callees.get('a.Big.run()V').map((c) => c.node.id)).toEqual([
+            'a.Util.help(I)I',
+            'java.io.PrintStream.println(Ljava/lang/String;)V',
+        ]);
+        expect(callers.get('a.Main.main([Ljava/lang/String;)V')).toBeUndefined();
+    });
+
+    it('renders DOT with sizes, dashed external nodes and call counts', () => {
+        const dot = formatCallGraphDot(buildCallGraph(methods.slice(0, 2)));
+
+        expect(dot.split('\n')).toEqual([
+            'digraph calls {',
+            '    node [shape=box, fontname="monospace"];',
+            '    "a.Big.run()V" [label="a.Big.run()V\\n900 bytes"];',
+            '    "a.Util.help(I)I" [label="a.Util.help(I)I\\n20 bytes"];',
+            '    "java.io.PrintStream.println(Ljava/lang/String;)V" [style=dashed];',
+            '    "a.Big.run()V" -> "a.Util.help(I)I" [label="3"];',
+            '    "a.Big.run()V" -> "java.io.PrintStream.println(Ljava/lang/String;)V";',
+            '}',
+            '',
+        ]);
+    });
+
+    it('keeps classes of several archives apart and resolves calls by classpath order', () => {
+        const inArchive = (archive, record) => ({ ...record, archive, source: 'app.jar' });
+        const graph = buildCallGraph([
+            inArchive('', method('a.Main', 'main', '()V', 10, [call('a.Util', 'help', '(I)I')])),
+            inArchive('lib/b.jar', method('a.Util', 'help', '(I)I', 20)),
+            inArchive('lib/b.jar', method('a.Other', 'run', '()V', 10, [call('a.Util', 'help', '(I)I')])),
+            inArchive('lib/a.jar', method('a.Util', 'help', '(I)I', 30)),
+        ], ['app.jar']);
+
+        expect(graph.nodes.map((n) => n.id)).toEqual([
+            'a.Main.main()V',
+            'lib/b.jar!/a.Util.help(I)I',
+            'lib/b.jar!/a.Other.run()V',
+            'lib/a.jar!/a.Util.help(I)I',
+        ]);
+        expect(graph.edges.map((e) => [e.from, e.to])).toEqual([[0, 3], [2, 1]]);
+    });
+
+    it('gives each class its own invokedynamic targets', () => {
+        const indy = { kind: 'dynamic', className: DYNAMIC_CALL_CLASS, methodName: 'run', descriptor: '()Ljava/lang/Runnable;', bootstrapMethod: 0, count: 1 };
+        const graph = buildCallGraph([method('a.One', 'f', '()V', 10, [indy]), method('a.Two', 'f', '()V', 10, [indy])]);
+
+        expect(graph.nodes.filter((n) => n.external).map((n) => [n.id, n.className])).toEqual([
+            ['a.One.<dynamic>#0:run()Ljava/lang/Runnable;', DYNAMIC_CALL_CLASS],
+            ['a.Two.<dynamic>#0:run()Ljava/lang/Runnable;', DYNAMIC_CALL_CLASS],
+        ]);
+    });
+
+    it('escapes quotes in DOT identifiers', () => {
+        const dot = formatCallGraphDot(buildCallGraph([method('a."Odd"', 'f', '()V', 1)]));
+        expect(dot).toContain('"a.\\"Odd\\".f()V"');
+    });
+});
@@ -0,0 +1,117 @@
+import { describe, it, expect } from 'vitest';
+import {
+    createClassReader,
+    readU1,
+    readU2,
+    readU4,
+    readI8,
+    readBytes,
+    sliceReader,
+    readModifiedUtf8,
+    decodeModifiedUtf8,
+    formatOffset,
+} from '../src/class-reader.js';
+
+/**
+ * Helper to build a reader over the given bytes
+ */
+function reader(...bytes) {
+    return createClassReader(new Uint8Array(bytes));
+}
+
+// =============================================================================
+// Modified UTF-8
+// =============================================================================
+
+describe('Modified UTF-8 decoding', () => {
+    it('decodes ASCII and two- and three-byte characters', () => {
+        expect(decodeModifiedUtf8(new Uint8Array([0x61, 0xC3, 0xA9, 0xE2, 0x82, 0xAC]))).toBe('aé€');
+    });
+
+    it('decodes C0 80 as NUL', () => {
+        expect(decodeModifiedUtf8(new Uint8Array([0x75, 0x73, 0x74, 0x61, 0x72, 0xC0, 0x80]))).toBe('ustar\0');
+    });
+
+    it('decodes supplementary characters from their surrogate pair', () => {
+        // U+1F600 as the surrogates D83D DE00, three bytes each
+        expect(decodeModifiedUtf8(new Uint8Array([0xED, 0xA0, 0xBD, 0xED, 0xB8, 0x80]))).toBe('😀');
+    });
+
+    it('keeps a leading byte order mark', () => {
+        expect(decodeModifiedUtf8(new Uint8Array([0xEF, 0xBB, 0xBF]))).toBe('﻿');
+    });
+
+    it('decodes strings longer than one chunk', () => {
+        const bytes = new Uint8Array(20000).fill(0x62);
+        bytes.set([0xC3, 0xA9], 0);
+        expect(decodeModifiedUtf8(bytes)).toBe(`é${'b'.repeat(19998)}`);
+    });
+
+    it('rejects zero bytes, four-byte forms and stray continuation bytes', () => {
+        expect(() => decodeModifiedUtf8(new Uint8Array([0x61, 0x00]))).toThrow('string has malformed Modified UTF-8 byte 0x00 at 0x1');
+        expect(() => decodeModifiedUtf8(new Uint8Array([0xF0, 0x9F, 0x98, 0x80]))).toThrow(/byte 0xF0 at 0x0/);
+        expect(() => decodeModifiedUtf8(new Uint8Array([0x80]))).toThrow(/byte 0x80 at 0x0/);
+        expect(() => decodeModifiedUtf8(new Uint8Array([0xC3, 0x41]))).toThrow(/byte 0x41 at 0x1/);
+    });
+
+    it('rejects sequences cut off by the end of the entry', () => {
+        expect(() => decodeModifiedUtf8(new Uint8Array([0xE2, 0x82]), 'constant pool entry #4', 0x20))
+            .toThrow('constant pool entry #4 has a truncated Modified UTF-8 sequence at 0x22');
+    });
+});
+
+// =============================================================================
+// Bounds-checked reads
+// =============================================================================
+
+describe('Class file reader', () => {
+    it('reads big-endian values and advances', () => {
+        const r = reader(0x01, 0x02, 0x03, 0x00, 0x00, 0x00, 0x04, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFE);
+        expect(readU1(r)).toBe(1);
+        expect(readU2(r)).toBe(0x0203);
+        expect(readU4(r)).toBe(4);
+        expect(readI8(r)).toBe(-2n);
+        expect(r.pos).toBe(15);
+    });
+
+    it('names the section and offset of a read past the end', () => {
+        const r = reader(0xCA, 0xFE, 0xBA);
+        r.section = 'constant pool';
+        readU1(r);
+        expect(() => readU4(r)).toThrow('constant pool overruns class file at 0x1');
+    });
+
+    it('returns byte ranges as views, not copies', () => {
+        const bytes = new Uint8Array([1, 2, 3, 4]);
+        const r = createClassReader(bytes.subarray(1));
+        readU1(r);
+        const range = readBytes(r, 2);
+        expect(range.buffer).toBe(bytes.buffer);
+        expect([...range]).toEqual([3, 4]);
+    });
+
+    it('limits a slice to its declared length', () => {
+        const r = reader(0x00, 0x01, 0x02, 0x03, 0x04);
+        readU1(r);
+        const slice = sliceReader(r, 2, "method #0 attribute 'Code'");
+        expect(r.pos).toBe(3);
+        expect(readU2(slice)).toBe(0x0102);
+        expect(() => readU1(slice)).toThrow("method #0 attribute 'Code' overruns its declared length of 2 bytes at 0x3");
+    });
+
+    it('rejects a slice longer than the rest of the file', () => {
+        const r = reader(0x00, 0x01);
+        expect(() => sliceReader(r, 3, "class attribute 'SourceFile'")).toThrow("class attribute 'SourceFile' overruns class file at 0x0");
+    });
+
+    it('reports malformed text at its offset in the file', () => {
+        const r = reader(0x41, 0x42, 0xF8);
+        r.section = 'constant pool entry #3';
+        expect(readModifiedUtf8(r, 2)).toBe('AB');
+        expect(() => readModifiedUtf8(r, 1)).toThrow('constant pool entry #3 has malformed Modified UTF-8 byte 0xF8 at 0x2');
+    });
+
+    it('formats offsets in upper-case hex', () => {
+        expect(formatOffset(0x3F2A)).toBe('0x3F2A');
+    });
+});
@@ -0,0 +1,123 @@
+import { describe, it, expect } from 'vitest';
+import { packageName, findDuplicateClasses, findSplitPackages, analyzeClasspath } from '../src/classpath.js';
+
+/**
+ * Helper to build the class record parseFiles gives a class of an input
+ */
+const definition = (className, source, crc32 = 0x1234, archive = source) => ({
+    className,
+    archive,
+    source,
+    classFile: `${className.replaceAll('.', '/')}.class`,
+    format: 'class',
+    releaseVersion: null,
+    uncompressedSize: 100,
+    crc32,
+});
+
+describe('Package names', () => {
+    it('takes the package of a class, empty for the default package', () => {
+        expect(packageName('com.example.Foo')).toBe('com.example');
+        expect(packageName('com.example.Foo$Bar')).toBe('com.example');
+        expect(packageName('Foo')).toBe('');
+    });
+});
+
+// =============================================================================
+// Duplicate classes
+// =============================================================================
+
+describe('Duplicate classes', () => {
+    it('finds classes in more than one archive and tells whether their bytes differ', () => {
+        const duplicates = findDuplicateClasses([
+            definition('app.Same', 'a.jar'),
+            definition('app.Same', 'b.jar'),
+            definition('app.Changed', 'a.jar', 1),
+            definition('app.Changed', 'b.jar', 2),
+            definition('app.Single', 'a.jar'),
+        ]);
+        expect(duplicates.map((d) => [d.className, d.identical])).toEqual([['app.Changed', false], ['app.Same', true]]);
+        expect(duplicates[0]).toEqual({
+            className: 'app.Changed',
+            packageName: 'app',
+            identical: false,
+            definitions: [
+                { archive: 'a.jar', source: 'a.jar', classFile: 'app/Changed.class', format: 'class', releaseVersion: null, uncompressedSize: 100, crc32: 1 },
+                { archive: 'b.jar', source: 'b.jar', classFile: 'app/Changed.class', format: 'class', releaseVersion: null, uncompressedSize: 100, crc32: 2 },
+            ],
+        });
+    });
+
+    it('does not know whether DEX classes differ', () => {
+        const [duplicate] = findDuplicateClasses([definition('app.Foo', 'a.jar'), definition('app.Foo', 'classes.dex', null)]);
+        expect(duplicate.identical).toBeNull();
+    });
+
+    it('orders definitions as the classpath does', () => {
+        const classes = [definition('app.Foo', 'a.jar'), definition('app.Foo', 'b.jar'), definition('app.Foo', 'c.jar')];
+        const [duplicate] = findDuplicateClasses(classes, ['c.jar', 'a.jar', 'b.jar']);
+        expect(duplicate.definitions.map((d) => d.source)).toEqual(['c.jar', 'a.jar', 'b.jar']);
+    });
+
+    it('orders the libraries nested in a fat JAR by their path', () => {
+        const [duplicate] = findDuplicateClasses([
+            definition('app.Foo', 'app.jar', 1, 'BOOT-INF/lib/b.jar'),
+            definition('app.Foo', 'app.jar', 1, 'BOOT-INF/lib/a.jar'),
+        ], ['app.jar']);
+        expect(duplicate.definitions.map((d) => d.archive)).toEqual(['BOOT-INF/lib/a.jar', 'BOOT-INF/lib/b.jar']);
+    });
+
+    it('ignores module descriptors', () => {
+        expect(findDuplicateClasses([definition('module-info', 'a.jar'), definition('module-info', 'b.jar', 2)])).toEqual([]);
+    });
+});
+
+// =============================================================================
+// Split packages
+// =============================================================================
+
+describe('Split packages', () => {
+    it('finds packages with classes from more than one archive', () => {
+        const packages = findSplitPackages([
+            definition('app.A', 'a.jar'),
+            definition('app.B', 'b.jar'),
+            definition('app.C', 'b.jar'),
+            definition('lib.D', 'b.jar'),
+        ], ['b.jar', 'a.jar']);
+        expect(packages).toEqual([{
+            packageName: 'app',
+            classCount: 3,
+            archives: [
+                { archive: 'b.jar', source: 'b.jar', classCount: 2 },
+                { archive: 'a.jar', source: 'a.jar', classCount: 1 },
+            ],
+        }]);
+    });
+
+    it('orders the most split packages first', () => {
+        const packages = findSplitPackages([
+            definition('app.A', 'a.jar'), definition('app.B', 'b.jar'),
+            definition('lib.A', 'a.jar'), definition('lib.B', 'b.jar'), definition('lib.C', 'c.jar'),
+        ]);
+        expect(packages.map((p) => p.packageName)).toEqual(['lib', 'app']);
+    });
+});
+
+describe('Classpath analysis', () => {
+    it('reports duplicates, split packages and the number of differing classes', () => {
+        const conflicts = analyzeClasspath({
+            classes: [definition('app.A', 'a.jar', 1), definition('app.A', 'b.jar', 2), definition('app.B', 'b.jar')],
+        }, ['a.jar', 'b.jar']);
+        expect(conflicts.duplicateClasses.length).toBe(1);
+        expect(conflicts.splitPackages.length).toBe(1);
+        expect(conflicts.differingClasses).toBe(1);
+    });
+
+    it('finds no conflicts within one archive', () => {
+        expect(analyzeClasspath({ classes: [definition('app.A', ''), definition('app.B', '')] })).toEqual({
+            duplicateClasses: [],
+            splitPackages: [],
+            differingClasses: 0,
+        });
+    });
+});
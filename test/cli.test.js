@@ -0,0 +1,316 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import JSZip from 'jszip';
+import {
+    parseCliArgs,
+    checkBudgets,
+    formatTable,
+    formatDistribution,
+    formatConflicts,
+    sortMethods,
+    runCli,
+    EXIT_OK,
+    EXIT_BUDGET_EXCEEDED,
+    EXIT_USAGE,
+} from '../src/cli.js';
+
+const FIXTURES_DIR = './test/fixtures/classes';
+
+/**
+ * Helper to capture what the CLI writes to stdout and stderr
+ */
+function createIo() {
+    const io = { out: '', err: '' };
+    io.stdout = { write: (s) => { io.out += s; } };
+    io.stderr = { write: (s) => { io.err += s; } };
+    return io;
+}
+
+/**
+ * Helper to create a temporary directory, removed after each test
+ */
+const tempDirs = [];
+function makeTempDir() {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cli-test-'));
+    tempDirs.push(dir);
+    return dir;
+}
+
+afterEach(() => {
+    for (const dir of tempDirs.splice(0)) {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+/**
+ * Helper to write a JAR of all fixture classes to a temporary file
+ */
+async function writeFixtureJar() {
+    const zip = new JSZip();
+    const fixturesDir = path.join(FIXTURES_DIR, 'fixtures');
+    for (const file of fs.readdirSync(fixturesDir).filter((f) => f.endsWith('.class'))) {
+        zip.file(`fixtures/${file}`, fs.readFileSync(path.join(fixturesDir, file)));
+    }
+    const jarPath = path.join(makeTempDir(), 'fixtures.jar');
+    fs.writeFileSync(jarPath, await zip.generateAsync({ type: 'nodebuffer' }));
+    return jarPath;
+}
+
+describe('CLI argument parsing', () => {
+    it('applies defaults', () => {
+        const args = parseCliArgs(['app.jar']);
+        expect(args).toMatchObject({
+            files: ['app.jar'],
+            classpath: false,
+            top: 10,
+            format: 'table',
+            budgets: { maxMethodSize: undefined, maxHugeMethods: undefined },
+            jitLimits: {},
+            nestedDepth: 2,
+            targetVersion: 'latest',
+            help: false,
+        });
+    });
+
+    it('parses the target Java version', () => {
+        expect(parseCliArgs(['--target-version', '11', 'a.jar']).targetVersion).toBe(11);
+        expect(parseCliArgs(['--target-version', 'latest', 'a.jar']).targetVersion).toBe('latest');
+        expect(() => parseCliArgs(['--target-version', '7', 'a.jar'])).toThrow(/--target-version expects/);
+        expect(() => parseCliArgs(['--target-version', 'jdk17', 'a.jar'])).toThrow(/--target-version expects/);
+    });
+
+    it('parses budgets, JIT limits and several files', () => {
+        const args = parseCliArgs([
+            '-n', '25', '--format', 'json',
+            '--max-method-size', '8000', '--max-huge-methods', '0',
+            '--huge-method-limit', '4000', '--max-inline-size', '50',
+            'a.jar', 'b.jar',
+        ]);
+        expect(args.files).toEqual(['a.jar', 'b.jar']);
+        expect(args.top).toBe(25);
+        expect(args.format).toBe('json');
+        expect(args.budgets).toEqual({ maxMethodSize: 8000, maxHugeMethods: 0 });
+        expect(args.jitLimits).toEqual({ hugeMethodLimit: 4000, maxInlineSize: 50 });
+    });
+
+    it('parses classpath mode', () => {
+        expect(parseCliArgs(['-c', 'a.jar', 'b.jar'])).toMatchObject({ classpath: true, files: ['a.jar', 'b.jar'] });
+        expect(parseCliArgs(['--classpath', 'a.jar']).classpath).toBe(true);
+    });
+
+    it('rejects invalid values', () => {
+        expect(() => parseCliArgs(['--format', 'xml', 'a.jar'])).toThrow(/format/);
+        expect(() => parseCliArgs(['--top', 'ten', 'a.jar'])).toThrow(/non-negative integer/);
+        expect(() => parseCliArgs(['--unknown', 'a.jar'])).toThrow();
+    });
+});
+
+describe('Size budgets', () => {
+    const result = {
+        methods: [
+            { className: 'a.Big', methodName: 'run', descriptor: '()V', bytecodeSize: 9000, jitCategory: 'huge', format: 'class' },
+            { className: 'a.Mid', methodName: 'run', descriptor: '()V', bytecodeSize: 500, jitCategory: 'no-inline', format: 'class' },
+        ],
+    };
+
+    it('passes when no budget is set', () => {
+        expect(checkBudgets(result, {})).toEqual([]);
+    });
+
+    it('reports methods over the maximum size', () => {
+        const violations = checkBudgets(result, { maxMethodSize: 400 });
+        expect(violations.length).toBe(1);
+        expect(violations[0]).toMatch(/^2 method\(s\) exceed the maximum method size of 400 bytes/);
+        expect(violations[0]).toContain('a.Big.run()V, 9000 bytes');
+    });
+
+    it('measures DEX methods against the maximum size in code units', () => {
+        const withDex = {
+            methods: [
+                { className: 'a.Dex', methodName: 'run', descriptor: '()V', bytecodeSize: 450, jitCategory: null, format: 'dex' },
+                ...result.methods,
+            ],
+        };
+        expect(checkBudgets(withDex, { maxMethodSize: 400 })).toEqual([
+            '2 method(s) exceed the maximum method size of 400 bytes (largest: a.Big.run()V, 9000 bytes)',
+            '1 DEX method(s) exceed the maximum method size of 400 code units (largest: a.Dex.run()V, 450 code units)',
+        ]);
+    });
+
+    it('reports too many methods over HugeMethodLimit', () => {
+        expect(checkBudgets(result, { maxHugeMethods: 1 })).toEqual([]);
+        const withDex = { methods: [...result.methods, { className: 'a.Dex', bytecodeSize: 9000, jitCategory: null, format: 'dex' }] };
+        expect(checkBudgets(withDex, { maxHugeMethods: 1 })).toEqual([]);
+        expect(checkBudgets(result, { maxHugeMethods: 0 })).toEqual([
+            '1 method(s) exceed HugeMethodLimit, budget is 0',
+        ]);
+    });
+});
+
+describe('Table output', () => {
+    it('aligns columns', () => {
+        const table = formatTable([
+            { className: 'a.Big', methodName: 'run', descriptor: '()V', bytecodeSize: 9000, sizeUnit: 'bytes', cyclomaticComplexity: 42, jitCategory: 'huge' },
+            { className: 'a.B', methodName: 'go', descriptor: '(I)V', bytecodeSize: 12, sizeUnit: 'bytes', cyclomaticComplexity: 1, jitCategory: 'inline' },
+            { className: 'a.D', methodName: 'go', descriptor: '()V', bytecodeSize: 7, sizeUnit: 'code units', cyclomaticComplexity: 1, jitCategory: null },
+        ]);
+        expect(table.split('\n')).toEqual([
+            '#  Size  Unit        CC  JIT     Class  Method',
+            '1  9000  bytes       42  huge    a.Big  run()V',
+            '2    12  bytes        1  inline  a.B    go(I)V',
+            '3     7  code units   1  -       a.D    go()V',
+        ]);
+    });
+});
+
+describe('Sorting', () => {
+    const methods = [
+        { methodName: 'big', bytecodeSize: 900, cyclomaticComplexity: 2 },
+        { methodName: 'tangled', bytecodeSize: 300, cyclomaticComplexity: 40 },
+        { methodName: 'linear', bytecodeSize: 200, cyclomaticComplexity: 2 },
+    ];
+
+    it('maps --sort to a method field', () => {
+        expect(parseCliArgs(['app.jar']).sort).toBe('bytecodeSize');
+        expect(parseCliArgs(['-s', 'complexity', 'app.jar']).sort).toBe('cyclomaticComplexity');
+        expect(parseCliArgs(['--sort', 'switch-cases', 'app.jar']).sort).toBe('switchCases');
+        expect(parseCliArgs(['--sort', 'bloat', 'app.jar']).sort).toBe('bloatBytes');
+        expect(() => parseCliArgs(['--sort', 'toString', 'app.jar'])).toThrow(/--sort must be one of/);
+    });
+
+    it('orders by a metric and keeps size order for ties', () => {
+        expect(sortMethods(methods, 'cyclomaticComplexity').map((m) => m.methodName)).toEqual(['tangled', 'big', 'linear']);
+        expect(sortMethods(methods, 'bytecodeSize')).toBe(methods);
+    });
+});
+
+describe('Distribution output', () => {
+    it('summarizes percentiles and means', () => {
+        const line = formatDistribution({
+            format: 'class',
+            unit: 'bytes',
+            percentiles: { p50: 12, p90: 85, p99: 640, max: 16602 },
+            meanPerMethod: 35.4,
+            meanPerClass: 409.6,
+        });
+        expect(line).toBe('Method sizes: p50 12, p90 85, p99 640, max 16602 bytes; mean 35 per method, 410 per class');
+    });
+
+    it('names the unit of DEX method sizes', () => {
+        const line = formatDistribution({
+            format: 'dex',
+            unit: 'code units',
+            percentiles: { p50: 6, p90: 40, p99: 300, max: 9000 },
+            meanPerMethod: 17,
+            meanPerClass: 120,
+        });
+        expect(line).toBe('DEX method sizes: p50 6, p90 40, p99 300, max 9000 code units; mean 17 per method, 120 per class');
+    });
+});
+
+describe('Conflicts output', () => {
+    const definition = (archive) => ({ archive, classCount: 2 });
+
+    it('lists duplicate classes and split packages', () => {
+        const text = formatConflicts({
+            duplicateClasses: [
+                { className: 'app.Changed', identical: false, definitions: [definition('a.jar'), definition('b.jar')] },
+                { className: 'app.Same', identical: true, definitions: [definition(''), definition('lib/b.jar')] },
+            ],
+            splitPackages: [{ packageName: 'app', archives: [definition('a.jar'), definition('b.jar')] }],
+            differingClasses: 1,
+        }, 10);
+        expect(text.split('\n')).toEqual([
+            'Duplicate classes: 2, 1 with different bytes',
+            '  differs  app.Changed  a.jar, b.jar',
+            '  same     app.Same  (top level), lib/b.jar',
+            'Split packages: 1',
+            '  app  a.jar (2), b.jar (2)',
+        ]);
+    });
+
+    it('cuts long lists and prints nothing without conflicts', () => {
+        const splitPackages = ['a', 'b', 'c'].map((packageName) => ({ packageName, archives: [definition('x.jar'), definition('y.jar')] }));
+        expect(formatConflicts({ duplicateClasses: [], splitPackages, differingClasses: 0 }, 2).split('\n')).toEqual([
+            'Split packages: 3',
+            '  a  x.jar (2), y.jar (2)',
+            '  b  x.jar (2), y.jar (2)',
+            '  ... and 1 more',
+        ]);
+        expect(formatConflicts({ duplicateClasses: [], splitPackages: [], differingClasses: 0 }, 10)).toBe('');
+    });
+});
+
+describe('CLI runs', () => {
+    it('prints usage and fails without files', async () => {
+        const io = createIo();
+        expect(await runCli([], io)).toBe(EXIT_USAGE);
+        expect(io.err).toContain('Usage:');
+    });
+
+    it('fails on unreadable files', async () => {
+        const io = createIo();
+        expect(await runCli(['does-not-exist.jar'], io)).toBe(EXIT_USAGE);
+        expect(io.err).toContain('does-not-exist.jar');
+    });
+
+    it('prints the top methods of a JAR', async () => {
+        const jarPath = await writeFixtureJar();
+        const io = createIo();
+
+        expect(await runCli(['-n', '3', jarPath], io)).toBe(EXIT_OK);
+        expect(io.out).toContain('11 classes');
+        expect(io.out).toContain('fixtures.BigMethods');
+        expect(io.out).toContain('bigMethod()I');
+        expect(io.out).toContain('Method sizes: p50');
+    });
+
+    it('analyzes the files under a directory together', async () => {
+        const directory = makeTempDir();
+        fs.mkdirSync(path.join(directory, 'classes/fixtures'), { recursive: true });
+        fs.copyFileSync(path.join(FIXTURES_DIR, 'fixtures/SimpleClass.class'), path.join(directory, 'classes/fixtures/SimpleClass.class'));
+        fs.writeFileSync(path.join(directory, 'classes/README.txt'), 'not analyzed');
+        fs.copyFileSync(await writeFixtureJar(), path.join(directory, 'fixtures.jar'));
+        const io = createIo();
+
+        expect(await runCli(['--format', 'json', directory], io)).toBe(EXIT_OK);
+        const [report] = JSON.parse(io.out);
+        expect(report.file).toBe(directory);
+        expect(report.stats.classesScanned).toBe(12);
+    });
+
+    it('analyzes several files as one classpath', async () => {
+        const first = await writeFixtureJar();
+        const second = await writeFixtureJar();
+        const io = createIo();
+
+        expect(await runCli(['--classpath', '--format', 'json', first, second], io)).toBe(EXIT_OK);
+        const reports = JSON.parse(io.out);
+        expect(reports.length).toBe(1);
+        expect(reports[0].file).toBe(`${first}${path.delimiter}${second}`);
+        const { duplicateClasses, splitPackages, differingClasses } = reports[0].conflicts;
+        expect(duplicateClasses.length).toBe(11);
+        expect(duplicateClasses[0].definitions.map((d) => d.archive)).toEqual([first, second]);
+        expect(differingClasses).toBe(0);
+        expect(splitPackages.map((p) => p.packageName)).toEqual(['fixtures']);
+    });
+
+    it('fails on a directory without class files or archives', async () => {
+        const io = createIo();
+        expect(await runCli([makeTempDir()], io)).toBe(EXIT_USAGE);
+        expect(io.err).toContain('no .jar, .war, .ear, .aar, .apk, .jmod, .class or .dex files found');
+    });
+
+    it('exits non-zero when a budget is exceeded', async () => {
+        const jarPath = await writeFixtureJar();
+        const io = createIo();
+
+        expect(await runCli(['--format', 'json', '--max-method-size', '100', jarPath], io)).toBe(EXIT_BUDGET_EXCEEDED);
+        const [report] = JSON.parse(io.out);
+        expect(report.methods.length).toBe(10);
+        expect(report.violations.length).toBe(1);
+        expect(io.err).toContain('budget exceeded');
+    });
+});
@@ -0,0 +1,107 @@
+import { describe, it, expect } from 'vitest';
+import fs from 'fs';
+import path from 'path';
+import JSZip from 'jszip';
+import { compareMethods, compareJars } from '../src/compare.js';
+
+const FIXTURES_DIR = './test/fixtures/classes';
+
+/**
+ * Helper to build a method record as returned by parseJar
+ */
+function method(className, methodName, bytecodeSize, descriptor = '()V') {
+    return { className, methodName, descriptor, bytecodeSize };
+}
+
+/**
+ * Helper to create a JAR from a list of fixture class names
+ */
+async function createJar(classNames) {
+    const zip = new JSZip();
+    for (const name of classNames) {
+        zip.file(`fixtures/${name}.class`, fs.readFileSync(path.join(FIXTURES_DIR, 'fixtures', `${name}.class`)));
+    }
+    return zip.generateAsync({ type: 'arraybuffer' });
+}
+
+describe('Method comparison', () => {
+    const oldMethods = [
+        method('a.Foo', 'grows', 100),
+        method('a.Foo', 'shrinks', 200),
+        method('a.Foo', 'same', 50),
+        method('a.Bar', 'gone', 40),
+        method('a.Foo', 'overloaded', 10, '(I)V'),
+    ];
+    const newMethods = [
+        method('a.Foo', 'grows', 150),
+        method('a.Foo', 'shrinks', 120),
+        method('a.Foo', 'same', 50),
+        method('a.Baz', 'fresh', 30),
+        method('a.Foo', 'overloaded', 10, '(I)V'),
+        method('a.Foo', 'overloaded', 25, '(J)V'),
+    ];
+
+    it('classifies added, removed, grown and shrunk methods', () => {
+        const { methods } = compareMethods(oldMethods, newMethods);
+        const byName = Object.fromEntries(methods.map((m) => [`${m.methodName}${m.descriptor}`, m]));
+
+        expect(byName['grows()V']).toMatchObject({ change: 'grown', oldSize: 100, newSize: 150, delta: 50, deltaPercent: 50 });
+        expect(byName['shrinks()V']).toMatchObject({ change: 'shrunk', delta: -80, deltaPercent: -40 });
+        expect(byName['gone()V']).toMatchObject({ change: 'removed', newSize: 0, delta: -40, deltaPercent: -100 });
+        expect(byName['fresh()V']).toMatchObject({ change: 'added', oldSize: 0, delta: 30, deltaPercent: null });
+        expect(byName['overloaded(J)V'].change).toBe('added');
+        expect(byName['same()V']).toBeUndefined();
+        expect(byName['overloaded(I)V']).toBeUndefined();
+    });
+
+    it('sorts methods by largest regression first', () => {
+        const { methods } = compareMethods(oldMethods, newMethods);
+        expect(methods.map((m) => m.delta)).toEqual([50, 30, 25, -40, -80]);
+    });
+
+    it('reports per-class deltas for changed classes only', () => {
+        const { classes } = compareMethods(oldMethods, newMethods);
+        expect(classes).toEqual([
+            { className: 'a.Baz', oldSize: 0, newSize: 30, delta: 30, deltaPercent: null },
+            { className: 'a.Foo', oldSize: 360, newSize: 355, delta: -5, deltaPercent: expect.closeTo(-1.39, 2) },
+            { className: 'a.Bar', oldSize: 40, newSize: 0, delta: -40, deltaPercent: -100 },
+        ]);
+    });
+
+    it('reports totals and counts per change kind', () => {
+        const { totals } = compareMethods(oldMethods, newMethods);
+        expect(totals).toMatchObject({
+            oldSize: 400,
+            newSize: 385,
+            delta: -15,
+            added: 2,
+            removed: 1,
+            grown: 1,
+            shrunk: 1,
+            unchanged: 2,
+        });
+        expect(totals.deltaPercent).toBeCloseTo(-3.75);
+    });
+
+    it('returns no changes for identical inputs', () => {
+        const { methods, classes, totals } = compareMethods(oldMethods, oldMethods);
+        expect(methods).toEqual([]);
+        expect(classes).toEqual([]);
+        expect(totals.delta).toBe(0);
+        expect(totals.deltaPercent).toBe(0);
+    });
+});
+
+describe('JAR comparison', () => {
+    it('compares two JARs parsed from fixtures', async () => {
+        const oldJar = await createJar(['SimpleClass', 'BigMethods']);
+        const newJar = await createJar(['SimpleClass', 'AllPrimitiveTypes']);
+        const result = await compareJars(oldJar, newJar);
+
+        expect(result.totals.removed).toBe(4); // BigMethods: <init>, bigMethod, smallMethod, switchMethod
+        expect(result.totals.added).toBe(13); // AllPrimitiveTypes: <init> + 12 methods
+        expect(result.totals.unchanged).toBe(3); // SimpleClass
+        expect(result.methods[result.methods.length - 1].methodName).toBe('bigMethod');
+        expect(result.warnings).toEqual([]);
+    });
+});
@@ -0,0 +1,118 @@
+import { describe, it, expect } from 'vitest';
+import {
+    constantPoolEntrySize,
+    collectLiterals,
+    constantPoolBreakdown,
+    largestStrings,
+    countLiterals,
+    findDuplicateLiterals,
+    LITERAL_PREVIEW_LENGTH,
+} from '../src/constant-pool.js';
+
+// Constant pool as parseClassFile leaves it for a class app/Foo with a
+// method run()V that prints "hello" and uses the constants 42 and 7L
+const CONSTANT_POOL = [
+    null,
+    { tag: 7, nameIndex: 2 },
+    { tag: 1, value: 'app/Foo', length: 7 },
+    { tag: 8, stringIndex: 4, value: 'hello' },
+    { tag: 1, value: 'hello', length: 5 },
+    { tag: 3, value: 42 },
+    { tag: 5, value: 7n },
+    null,
+    { tag: 10, classIndex: 1, nameAndTypeIndex: 9, className: 'app/Foo', name: 'run', descriptor: '()V' },
+    { tag: 12, nameIndex: 10, descriptorIndex: 11 },
+    { tag: 1, value: 'run', length: 3 },
+    { tag: 1, value: '()V', length: 3 },
+    { tag: 1, value: 'Code', length: 4 },
+];
+
+const CLASS_FILE = {
+    constantPool: CONSTANT_POOL,
+    fields: [],
+    methods: [{ name: 'run', descriptor: '()V' }],
+};
+
+/**
+ * Helper to build a String literal as collectLiterals returns it
+ */
+function string(value, size = value.length + 6) {
+    return { kind: 'String', value, size };
+}
+
+// =============================================================================
+// Entry sizes
+// =============================================================================
+
+describe('Constant pool entry sizes', () => {
+    it('sizes entries as they are stored in the class file', () => {
+        expect(CONSTANT_POOL.slice(1).filter(Boolean).map(constantPoolEntrySize)).toEqual([3, 10, 3, 8, 5, 9, 5, 5, 6, 6, 7]);
+    });
+
+    it('measures Utf8 entries in bytes, not characters', () => {
+        expect(constantPoolEntrySize({ tag: 1, value: 'héllo' })).toBe(9);
+    });
+});
+
+// =============================================================================
+// Literals
+// =============================================================================
+
+describe('Literals', () => {
+    it('keeps the values of String, Integer and Long constants', () => {
+        expect(collectLiterals(CONSTANT_POOL)).toEqual([
+            { kind: 'String', value: 'hello', size: 11 },
+            { kind: 'Integer', value: '42', size: 5 },
+            { kind: 'Long', value: '7', size: 9 },
+        ]);
+    });
+
+    it('lists the largest strings first and shortens long ones', () => {
+        const long = 'x'.repeat(LITERAL_PREVIEW_LENGTH + 10);
+        const strings = largestStrings([string('a'), string(long), { kind: 'Integer', value: '1', size: 5 }, string('bb')], 2);
+        expect(strings).toEqual([
+            { value: `${'x'.repeat(LITERAL_PREVIEW_LENGTH)}…`, size: long.length + 6 },
+            { value: 'bb', size: 8 },
+        ]);
+    });
+
+    it('ranks literals repeated across classes by their duplicate bytes', () => {
+        const counts = new Map();
+        countLiterals(counts, [string('shared'), string('shared'), string('once')]);
+        countLiterals(counts, [string('shared'), string('small'), { kind: 'Integer', value: '1', size: 5 }]);
+        countLiterals(counts, [string('shared'), string('small'), { kind: 'Integer', value: '1', size: 5 }]);
+
+        expect(findDuplicateLiterals(counts)).toEqual([
+            { kind: 'String', value: 'shared', size: 12, classCount: 3, duplicateBytes: 24 },
+            { kind: 'String', value: 'small', size: 11, classCount: 2, duplicateBytes: 11 },
+            { kind: 'Integer', value: '1', size: 5, classCount: 2, duplicateBytes: 5 },
+        ]);
+    });
+});
+
+// =============================================================================
+// Breakdown
+// =============================================================================
+
+describe('Constant pool breakdown', () => {
+    it('splits the pool into names, descriptors, literals, references and other', () => {
+        expect(constantPoolBreakdown(CLASS_FILE)).toEqual({
+            names: 3 + 10 + 6,
+            descriptors: 6,
+            literals: 3 + 8 + 5 + 9,
+            references: 5 + 5,
+            other: 7,
+        });
+    });
+
+    it('counts a Utf8 entry used as a literal and a name once', () => {
+        const pool = [
+            null,
+            { tag: 7, nameIndex: 2 },
+            { tag: 1, value: 'run', length: 3 },
+            { tag: 8, stringIndex: 2, value: 'run' },
+        ];
+        const breakdown = constantPoolBreakdown({ constantPool: pool, fields: [], methods: [] });
+        expect(breakdown).toMatchObject({ names: 3, literals: 3 + 6 });
+    });
+});
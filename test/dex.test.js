@@ -0,0 +1,531 @@
+import { describe, it, expect } from 'vitest';
+import JSZip from 'jszip';
+import { parseDexFile, isDexFile, DEX_OPCODES } from '../src/dex.js';
+import { parseFiles, isSupportedInput, extractInputClassFile } from '../src/parser.js';
+
+/**
+ * Helpers to encode little-endian and LEB128 values
+ */
+const u2 = (n) => [n & 0xFF, (n >> 8) & 0xFF];
+const u4 = (n) => [n & 0xFF, (n >> 8) & 0xFF, (n >> 16) & 0xFF, (n >>> 24) & 0xFF];
+const ascii = (text) => [...text].map((c) => c.charCodeAt(0));
+
+function uleb128(n) {
+    const bytes = [];
+    do {
+        const byte = n & 0x7F;
+        n >>>= 7;
+        bytes.push(n ? byte | 0x80 : byte);
+    } while (n);
+    return bytes;
+}
+
+function sleb128(n) {
+    const bytes = [];
+    for (;;) {
+        const byte = n & 0x7F;
+        n >>= 7;
+        if ((n === 0 && !(byte & 0x40)) || (n === -1 && (byte & 0x40))) {
+            bytes.push(byte);
+            return bytes;
+        }
+        bytes.push(byte | 0x80);
+    }
+}
+
+/**
+ * Assemble a DEX file. methods are [classType, name, returnType, parameterTypes]
+ * and are referenced by their index; classes are { type, superType, sourceFile,
+ * accessFlags, staticFields, instanceFields, direct, virtual }, where each
+ * method is { method, accessFlags, code } and code is { registers, ins, outs,
+ * insns, tries, handlers, debug }. tries are { start, count, handler }, handler
+ * indexing handlers, which are { catches: [[type, address]], catchAll }.
+ */
+function buildDex({ methods, classes }) {
+    const strings = [];
+    const types = [];
+    const protos = [];
+    const protoParts = new Map();
+    const intern = (list, key) => {
+        let index = list.indexOf(key);
+        if (index === -1) {
+            index = list.length;
+            list.push(key);
+        }
+        return index;
+    };
+    const string = (s) => intern(strings, s);
+    const type = (t) => {
+        string(t);
+        return intern(types, t);
+    };
+    const proto = (returnType, parameters) => {
+        const key = `(${parameters.join('')})${returnType}`;
+        type(returnType);
+        parameters.forEach(type);
+        string([returnType, ...parameters].map((t) => (t.length > 1 ? 'L' : t)).join(''));
+        protoParts.set(key, { returnType, parameters });
+        return intern(protos, key);
+    };
+
+    for (const [classType, name, returnType, parameters] of methods) {
+        type(classType);
+        string(name);
+        proto(returnType, parameters);
+    }
+    for (const c of classes) {
+        type(c.type);
+        if (c.superType) type(c.superType);
+        if (c.sourceFile) string(c.sourceFile);
+        for (const m of [...(c.direct ?? []), ...(c.virtual ?? [])]) {
+            for (const handler of m.code?.handlers ?? []) {
+                handler.catches.forEach(([t]) => type(t));
+            }
+        }
+    }
+
+    const tablesEnd = 0x70 + strings.length * 4 + types.length * 4 + protos.length * 12 + methods.length * 8 + classes.length * 32;
+    const data = [];
+    const place = (bytes, align = 1) => {
+        while ((tablesEnd + data.length) % align) data.push(0);
+        const offset = tablesEnd + data.length;
+        data.push(...bytes);
+        return offset;
+    };
+
+    const stringOffsets = strings.map((s) => place([...uleb128(s.length), ...ascii(s), 0]));
+    const parameterOffsets = protos.map((key) => {
+        const { parameters } = protoParts.get(key);
+        return parameters.length > 0 ? place([...u4(parameters.length), ...parameters.flatMap((t) => u2(types.indexOf(t)))], 4) : 0;
+    });
+
+    const encodeCode = (code) => {
+        const { insns, tries = [], handlers = [] } = code;
+        const debugOffset = code.debug ? place(code.debug) : 0;
+        const handlerList = [...uleb128(handlers.length)];
+        const handlerOffsets = handlers.map(({ catches, catchAll }) => {
+            const offset = handlerList.length;
+            handlerList.push(...sleb128(catchAll === undefined ? catches.length : -catches.length));
+            for (const [t, address] of catches) {
+                handlerList.push(...uleb128(types.indexOf(t)), ...uleb128(address));
+            }
+            if (catchAll !== undefined) handlerList.push(...uleb128(catchAll));
+            return offset;
+        });
+        return place([
+            ...u2(code.registers), ...u2(code.ins ?? 0), ...u2(code.outs ?? 0), ...u2(tries.length),
+            ...u4(debugOffset), ...u4(insns.length), ...insns.flatMap(u2),
+            ...(tries.length > 0 && insns.length % 2 ? [0, 0] : []),
+            ...tries.flatMap((t) => [...u4(t.start), ...u2(t.count), ...u2(handlerOffsets[t.handler])]),
+            ...(tries.length > 0 ? handlerList : []),
+        ], 4);
+    };
+
+    const classDataOffsets = classes.map((c) => {
+        const direct = c.direct ?? [];
+        const virtual = c.virtual ?? [];
+        const fields = (c.staticFields ?? 0) + (c.instanceFields ?? 0);
+        if (fields === 0 && direct.length === 0 && virtual.length === 0) return 0;
+
+        const encodeMethods = (list) => {
+            let previous = 0;
+            return list.flatMap((m) => {
+                const bytes = [...uleb128(m.method - previous), ...uleb128(m.accessFlags), ...uleb128(m.code ? encodeCode(m.code) : 0)];
+                previous = m.method;
+                return bytes;
+            });
+        };
+        const methodBytes = [...encodeMethods(direct), ...encodeMethods(virtual)];
+        return place([
+            ...uleb128(c.staticFields ?? 0), ...uleb128(c.instanceFields ?? 0), ...uleb128(direct.length), ...uleb128(virtual.length),
+            ...Array.from({ length: fields }, (_, i) => [...uleb128(i === 0 ? 0 : 1), ...uleb128(0x0001)]).flat(),
+            ...methodBytes,
+        ]);
+    });
+
+    const NO_INDEX = 0xFFFFFFFF;
+    let offset = 0x70;
+    const table = (count, entrySize) => {
+        const start = count > 0 ? offset : 0;
+        offset += count * entrySize;
+        return [...u4(count), ...u4(start)];
+    };
+    const header = [
+        ...ascii('dex\n035'), 0,
+        ...u4(0), ...new Array(20).fill(0), // checksum and signature
+        ...u4(tablesEnd + data.length), ...u4(0x70), ...u4(0x12345678),
+        ...u4(0), ...u4(0), ...u4(0), // link and map
+        ...table(strings.length, 4),
+        ...table(types.length, 4),
+        ...table(protos.length, 12),
+        ...u4(0), ...u4(0), // field ids
+        ...table(methods.length, 8),
+        ...table(classes.length, 32),
+        ...u4(data.length), ...u4(tablesEnd),
+    ];
+
+    return new Uint8Array([
+        ...header,
+        ...stringOffsets.flatMap(u4),
+        ...types.flatMap((t) => u4(strings.indexOf(t))),
+        ...protos.flatMap((key, i) => {
+            const { returnType, parameters } = protoParts.get(key);
+            const shorty = [returnType, ...parameters].map((t) => (t.length > 1 ? 'L' : t)).join('');
+            return [...u4(strings.indexOf(shorty)), ...u4(types.indexOf(returnType)), ...u4(parameterOffsets[i])];
+        }),
+        ...methods.flatMap(([classType, name, returnType, parameters]) => [
+            ...u2(types.indexOf(classType)),
+            ...u2(protos.indexOf(`(${parameters.join('')})${returnType}`)),
+            ...u4(strings.indexOf(name)),
+        ]),
+        ...classes.flatMap((c, i) => [
+            ...u4(types.indexOf(c.type)), ...u4(c.accessFlags),
+            ...u4(c.superType ? types.indexOf(c.superType) : NO_INDEX), ...u4(0),
+            ...u4(c.sourceFile ? strings.indexOf(c.sourceFile) : NO_INDEX), ...u4(0),
+            ...u4(classDataOffsets[i]), ...u4(0),
+        ]),
+        ...data,
+    ]);
+}
+
+const METHODS = [
+    ['Lapp/Foo;', '<init>', 'V', []], // 0
+    ['Lapp/Foo;', 'nativeInit', 'V', []], // 1
+    ['Lapp/Foo;', 'run', 'I', ['I', 'Ljava/lang/String;']], // 2
+    ['Ljava/lang/Object;', '<init>', 'V', []], // 3
+    ['Ljava/io/PrintStream;', 'println', 'V', ['I']], // 4
+    ['Lapp/Bar;', 'lock', 'V', []], // 5
+];
+
+// run(ILjava/lang/String;)I branches on v1, switches on it over two cases
+// and calls println inside a try block
+const RUN_INSNS = [
+    0x0138, 11, // 0: if-eqz v1, 11
+    0x012B, 12, 0, // 2: packed-switch v1, payload at 14
+    0x0628, // 5: goto 11
+    0x1012, // 6: const/4 v0, 1
+    0x000F, // 7: return v0
+    0x0177, 4, 0x0001, // 8: invoke-static/range {v1}, println
+    0x2012, // 11: const/4 v0, 2
+    0x000F, // 12: return v0
+    0x0000, // 13: nop aligning the payload
+    0x0100, 2, 0, 0, 4, 0, 6, 0, // 14: packed-switch-payload, keys 0 and 1 to 6 and 8
+];
+
+// Lines 10, 15 and 12, with a local started in between
+const RUN_DEBUG = [
+    ...uleb128(10), ...uleb128(2), 0, 0, // line_start, parameter names
+    0x0E, // line 10, pc 0
+    0x03, 0, 0, 0, // DBG_START_LOCAL
+    0x02, ...sleb128(5), 0x2C, // line 15, pc 2
+    0x02, ...sleb128(-3), 0x0E, // line 12
+    0x00,
+];
+
+const FOO = {
+    type: 'Lapp/Foo;',
+    superType: 'Ljava/lang/Object;',
+    sourceFile: 'Foo.java',
+    accessFlags: 0x0001,
+    staticFields: 1,
+    instanceFields: 2,
+    direct: [
+        { method: 0, accessFlags: 0x10001, code: { registers: 1, ins: 1, outs: 1, insns: [0x1070, 3, 0x0000, 0x000E] } },
+        { method: 1, accessFlags: 0x0108 }, // static native
+    ],
+    virtual: [
+        {
+            method: 2,
+            accessFlags: 0x20001, // public, declared synchronized
+            code: {
+                registers: 3, ins: 3, outs: 1, insns: RUN_INSNS, debug: RUN_DEBUG,
+                tries: [{ start: 8, count: 3, handler: 0 }],
+                handlers: [{ catches: [['Ljava/lang/Exception;', 6]], catchAll: 11 }],
+            },
+        },
+    ],
+};
+
+// lock()V holds a monitor; its odd instruction count pads the try block
+const BAR = {
+    type: 'Lapp/Bar;',
+    superType: 'Ljava/lang/Object;',
+    accessFlags: 0x0011,
+    direct: [{
+        method: 5,
+        accessFlags: 0x0002,
+        code: {
+            registers: 1, ins: 1, insns: [0x001D, 0x001E, 0x000E],
+            tries: [{ start: 0, count: 2, handler: 0 }],
+            handlers: [{ catches: [], catchAll: 1 }],
+        },
+    }],
+};
+
+const MARKER = { type: 'Lapp/Marker;', superType: 'Ljava/lang/Object;', accessFlags: 0x0601 };
+
+const DEX_BYTES = buildDex({ methods: METHODS, classes: [FOO, BAR, MARKER] });
+
+/**
+ * Parse bytes and return the error thrown, or null if they parse
+ */
+function parseError(bytes) {
+    try {
+        parseDexFile(bytes);
+        return null;
+    } catch (e) {
+        return e;
+    }
+}
+
+// =============================================================================
+// Well-formed input
+// =============================================================================
+
+describe('DEX files', () => {
+    it('recognizes the DEX magic', () => {
+        expect(isDexFile(DEX_BYTES)).toBe(true);
+        expect(isDexFile(new Uint8Array([0xCA, 0xFE, 0xBA, 0xBE, 0, 0, 0, 0x41]))).toBe(false);
+    });
+
+    it('parses classes', () => {
+        const result = parseDexFile(DEX_BYTES);
+
+        expect(result.version).toBe('035');
+        expect(result.methodIdCount).toBe(METHODS.length);
+        expect(result.classes.map((c) => c.className)).toEqual(['app/Foo', 'app/Bar', 'app/Marker']);
+        expect(result.classes[0]).toMatchObject({ superClass: 'java/lang/Object', sourceFile: 'Foo.java', accessFlags: 0x0001, fieldCount: 3 });
+        expect(result.classes[1].sourceFile).toBeNull();
+        expect(result.classes[2]).toMatchObject({ accessFlags: 0x0601, fieldCount: 0, methods: [], size: 32 });
+    });
+
+    it('resolves methods through the id tables, restarting indexes for virtual methods', () => {
+        const [foo] = parseDexFile(DEX_BYTES).classes;
+
+        expect(foo.methods.map((m) => `${m.name}${m.descriptor}`)).toEqual([
+            '<init>()V',
+            'nativeInit()V',
+            'run(ILjava/lang/String;)I',
+        ]);
+    });
+
+    it('reports insns_size and registers', () => {
+        const [init, nativeInit, run] = parseDexFile(DEX_BYTES).classes[0].methods;
+
+        expect(init).toMatchObject({ bytecodeSize: 4, registers: 1 });
+        expect(nativeInit).toMatchObject({ bytecodeSize: 0, registers: 0, basicBlocks: 0 });
+        expect(run).toMatchObject({ bytecodeSize: RUN_INSNS.length, registers: 3 });
+    });
+
+    it('maps DEX-only access flags', () => {
+        const [init, nativeInit, run] = parseDexFile(DEX_BYTES).classes[0].methods;
+
+        expect(init.accessFlags).toBe(0x0001);
+        expect(nativeInit.accessFlags).toBe(0x0108);
+        expect(run.accessFlags).toBe(0x0021);
+    });
+
+    it('records invocations with their kind', () => {
+        const [init, , run] = parseDexFile(DEX_BYTES).classes[0].methods;
+
+        expect(init.invocations).toEqual([
+            { pc: 0, kind: 'special', className: 'java/lang/Object', methodName: '<init>', descriptor: '()V' },
+        ]);
+        expect(run.invocations).toEqual([
+            { pc: 8, kind: 'static', className: 'java/io/PrintStream', methodName: 'println', descriptor: '(I)V' },
+        ]);
+    });
+
+    it('measures control flow, skipping payloads', () => {
+        const run = parseDexFile(DEX_BYTES).classes[0].methods[2];
+
+        // Blocks start at 0, 2, 5, 6, 8 and 11
+        expect(run).toMatchObject({ basicBlocks: 6, branches: 1, switchCases: 2, exceptionHandlers: 2 });
+        // One if, a switch to three places and two handlers
+        expect(run.cyclomaticComplexity).toBe(6);
+    });
+
+    it('reads try blocks and their handlers', () => {
+        const { classes } = parseDexFile(DEX_BYTES);
+
+        expect(classes[0].methods[2].exceptionTable).toEqual([
+            { startPc: 8, endPc: 11, handlerPc: 6, catchType: 'java/lang/Exception' },
+            { startPc: 8, endPc: 11, handlerPc: 11, catchType: null },
+        ]);
+        expect(classes[1].methods[0].exceptionTable).toEqual([
+            { startPc: 0, endPc: 2, handlerPc: 1, catchType: null },
+        ]);
+    });
+
+    it('finds the line span from the debug info', () => {
+        const [init, , run] = parseDexFile(DEX_BYTES).classes[0].methods;
+
+        expect(run).toMatchObject({ firstLine: 10, lastLine: 15 });
+        expect(init).toMatchObject({ firstLine: null, lastLine: null });
+    });
+
+    it('sizes classes by their definition, data and code', () => {
+        const [foo, bar] = parseDexFile(DEX_BYTES).classes;
+
+        // class_def, class data of 8 bytes and a code item of 16 + 6 + 2 (padding) + 8 + 3 bytes
+        expect(bar.size).toBe(32 + 8 + 35);
+        expect(foo.size).toBeGreaterThan(32 + 16 * 2 + RUN_INSNS.length * 2);
+    });
+
+    it('tells Dalvik branches and flow endings apart', () => {
+        expect(DEX_OPCODES.isConditionalBranch(0x38)).toBe(true);
+        expect(DEX_OPCODES.isConditionalBranch(0x2B)).toBe(false);
+        expect([0x0E, 0x0F, 0x27, 0x28, 0x2A].every(DEX_OPCODES.endsFlow)).toBe(true);
+        expect(DEX_OPCODES.endsFlow(0x6E)).toBe(false);
+    });
+});
+
+// =============================================================================
+// Malformed input
+// =============================================================================
+
+describe('Malformed DEX files', () => {
+    it('rejects other files', () => {
+        expect(() => parseDexFile(new Uint8Array(0x70))).toThrow('Invalid DEX file');
+    });
+
+    it('rejects big-endian files', () => {
+        const bytes = DEX_BYTES.slice();
+        bytes.set(u4(0x78563412), 0x28);
+        expect(() => parseDexFile(bytes)).toThrow('Unsupported DEX file: not little-endian');
+    });
+
+    it('reports every truncation as an overrun at an offset of the structure read', () => {
+        for (let length = 8; length < DEX_BYTES.length; length++) {
+            const error = parseError(DEX_BYTES.slice(0, length));
+            expect(error, `truncated to ${length} bytes`).toBeInstanceOf(Error);
+            expect(error.constructor).toBe(Error);
+            const match = /overruns DEX file at 0x([0-9A-F]+)/.exec(error.message);
+            expect(match, error.message).not.toBeNull();
+            // Structures are read at their offsets, which may lie past the cut
+            expect(parseInt(match[1], 16)).toBeLessThan(DEX_BYTES.length);
+        }
+    });
+
+    it('names invalid indexes', () => {
+        const bytes = DEX_BYTES.slice();
+        const methodIdsOff = new DataView(bytes.buffer).getUint32(0x5C, true);
+        bytes.set(u4(0xFFFF), methodIdsOff + 2 * 8 + 4);
+        expect(() => parseDexFile(bytes)).toThrow('method_id #2 has an invalid string index 65535');
+    });
+
+    it('fails with plain errors, never raw exceptions, on random corruption', () => {
+        let seed = 0x5EED;
+        const next = () => {
+            seed = (Math.imul(seed, 1103515245) + 12345) >>> 0;
+            return seed / 4294967296;
+        };
+        for (let run = 0; run < 2000; run++) {
+            const bytes = DEX_BYTES.slice();
+            for (let i = 0; i < 1 + Math.floor(next() * 4); i++) {
+                bytes[8 + Math.floor(next() * (bytes.length - 8))] = Math.floor(next() * 256);
+            }
+            const error = parseError(bytes);
+            if (error) {
+                expect(error.constructor, `run ${run}: ${error.stack}`).toBe(Error);
+            }
+        }
+    });
+});
+
+// =============================================================================
+// APKs and DEX inputs
+// =============================================================================
+
+async function createApk() {
+    const zip = new JSZip();
+    zip.file('AndroidManifest.xml', '<manifest/>');
+    zip.file('classes.dex', buildDex({ methods: METHODS, classes: [FOO, MARKER] }));
+    zip.file('classes2.dex', buildDex({ methods: METHODS, classes: [BAR] }));
+    zip.file('assets/extra.dex', DEX_BYTES);
+    return zip.generateAsync({ type: 'uint8array', compression: 'DEFLATE' });
+}
+
+describe('DEX inputs', () => {
+    it('recognizes APK and DEX files', () => {
+        expect(['app.apk', 'classes.dex'].every(isSupportedInput)).toBe(true);
+    });
+
+    it('reads the classes*.dex files of an APK', async () => {
+        const result = await parseFiles([{ name: 'app.apk', data: await createApk() }]);
+
+        expect(result.warnings).toEqual([]);
+        expect(result.stats.classesScanned).toBe(3);
+        expect(result.dexFiles.map((d) => [d.dexFile, d.classCount, d.methodIdCount])).toEqual([
+            ['classes.dex', 2, METHODS.length],
+            ['classes2.dex', 1, METHODS.length],
+        ]);
+        expect(result.classes.map((c) => c.className).sort()).toEqual(['app.Bar', 'app.Foo', 'app.Marker']);
+    });
+
+    it('gives DEX methods the records of class file methods', async () => {
+        const result = await parseFiles([{ name: 'app.apk', data: await createApk() }]);
+        const run = result.methods.find((m) => m.methodName === 'run');
+
+        expect(result.methods[0]).toBe(run);
+        expect(run).toMatchObject({
+            className: 'app.Foo',
+            descriptor: '(ILjava/lang/String;)I',
+            bytecodeSize: RUN_INSNS.length,
+            sizeUnit: 'code units',
+            registers: 3,
+            maxStack: null,
+            maxLocals: null,
+            bloat: [],
+            bloatBytes: 0,
+            codeHash: null,
+            shapeHash: null,
+            sourceFile: 'Foo.java',
+            firstLine: 10,
+            modifiers: ['public', 'synchronized'],
+            classModifiers: ['public'],
+            jitCategory: null,
+            format: 'dex',
+            classFile: 'classes.dex',
+            archive: '',
+            source: 'app.apk',
+        });
+        expect(run.exceptionTable[0].catchType).toBe('java.lang.Exception');
+        expect(run.calls).toEqual([
+            { className: 'java.io.PrintStream', methodName: 'println', descriptor: '(I)V', kind: 'static', count: 1 },
+        ]);
+        expect(result.classes.find((c) => c.className === 'app.Foo')).toMatchObject({
+            format: 'dex',
+            constantPoolEntries: 0,
+            methodCount: 3,
+            totalBytecode: 4 + RUN_INSNS.length,
+        });
+    });
+
+    it('reads loose DEX files alongside other inputs', async () => {
+        const inputs = [
+            { name: 'app.apk', data: await createApk() },
+            { name: 'extra/classes.dex', data: DEX_BYTES },
+        ];
+        const result = await parseFiles(inputs);
+
+        expect(result.stats.classesScanned).toBe(6);
+        expect(result.dexFiles.map((d) => [d.archive, d.dexFile, d.source])).toEqual([
+            ['app.apk', 'classes.dex', 'app.apk'],
+            ['app.apk', 'classes2.dex', 'app.apk'],
+            ['', 'extra/classes.dex', 'extra/classes.dex'],
+        ]);
+        await expect(extractInputClassFile(inputs, result.methods[0])).rejects.toThrow('not a class file');
+    });
+
+    it('warns about a broken DEX file and keeps the others', async () => {
+        const broken = DEX_BYTES.slice(0, 0x40);
+        const result = await parseFiles([
+            { name: 'broken.dex', data: broken },
+            { name: 'classes.dex', data: DEX_BYTES },
+        ]);
+
+        expect(result.stats.classesScanned).toBe(3);
+        expect(result.warnings).toEqual(['Failed to parse broken.dex: header overruns DEX file at 0x0']);
+    });
+});
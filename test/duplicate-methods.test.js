@@ -0,0 +1,204 @@
+import { describe, it, expect } from 'vitest';
+import { decodeInstructions } from '../src/bytecode.js';
+import { fingerprintCode, findDuplicateMethods, DUPLICATE_MIN_BYTES } from '../src/duplicate-methods.js';
+
+/**
+ * Helper to encode a big-endian u2 operand
+ */
+const u2 = (n) => [(n >> 8) & 0xFF, n & 0xFF];
+
+/**
+ * Build a constant pool the way parseClassFile leaves it. Each method adds
+ * an entry and returns its index.
+ */
+function constantPool() {
+    const entries = [null];
+    const add = (entry) => entries.push(entry) - 1;
+    const utf8 = (value) => add({ tag: 1, value });
+    const cls = (name) => add({ tag: 7, nameIndex: utf8(name) });
+    const nameAndType = (name, descriptor) => add({ tag: 12, nameIndex: utf8(name), descriptorIndex: utf8(descriptor) });
+    return {
+        entries,
+        utf8,
+        string: (value) => add({ tag: 8, stringIndex: utf8(value) }),
+        fieldRef: (owner, name, descriptor) => add({ tag: 9, classIndex: cls(owner), nameAndTypeIndex: nameAndType(name, descriptor) }),
+        methodRef: (owner, name, descriptor) => add({ tag: 10, classIndex: cls(owner), nameAndTypeIndex: nameAndType(name, descriptor) }),
+    };
+}
+
+/**
+ * if (this.<field> < <limit>) <callee>.log("hello"), with the string loaded
+ * by ldc or ldc_w. The branch skips the call, so its offset depends on the
+ * size of the ldc.
+ */
+function logBelowLimit(cp, owner, { limit = 1, field = 'count', callee = owner, wide = false } = {}) {
+    const f = cp.fieldRef(owner, field, 'I');
+    const s = cp.string('hello');
+    const m = cp.methodRef(callee, 'log', `(Ljava/lang/String;)L${owner};`);
+    return [
+        0x2A, 0xB4, ...u2(f), 0x10, limit, // aload_0, getfield, bipush
+        0xA2, ...u2(wide ? 11 : 10), // if_icmpge to the return
+        0x2A, ...(wide ? [0x13, ...u2(s)] : [0x12, s]), 0xB6, ...u2(m), 0x57, // aload_0, ldc, invokevirtual, pop
+        0xB1,
+    ];
+}
+
+/**
+ * Fingerprint a code array as a method of className
+ */
+function fingerprint(className, cp, code, exceptionTable = []) {
+    return fingerprintCode(decodeInstructions(new Uint8Array(code)), {
+        constantPool: cp.entries,
+        exceptionTable,
+        className,
+        codeLength: code.length,
+    });
+}
+
+// =============================================================================
+// Fingerprints
+// =============================================================================
+
+describe('Code fingerprints', () => {
+    it('gives 14 hex digit hashes', () => {
+        const cp = constantPool();
+        const { codeHash, shapeHash } = fingerprint('app/Foo', cp, logBelowLimit(cp, 'app/Foo'));
+        expect(codeHash).toMatch(/^[0-9a-f]{14}$/);
+        expect(shapeHash).toMatch(/^[0-9a-f]{14}$/);
+    });
+
+    it('hashes symbols rather than constant pool indices', () => {
+        const first = constantPool();
+        const second = constantPool();
+        for (let i = 0; i < 300; i++) second.utf8(`unused${i}`);
+
+        const a = fingerprint('app/Foo', first, logBelowLimit(first, 'app/Foo'));
+        const b = fingerprint('app/Foo', second, logBelowLimit(second, 'app/Foo', { wide: true }));
+        expect(b).toEqual(a);
+    });
+
+    it('matches methods that refer to their own class across classes', () => {
+        const foo = constantPool();
+        const bar = constantPool();
+        const a = fingerprint('app/Foo', foo, logBelowLimit(foo, 'app/Foo'));
+        expect(fingerprint('app/Bar', bar, logBelowLimit(bar, 'app/Bar'))).toEqual(a);
+    });
+
+    it('tells apart references to other classes', () => {
+        const foo = constantPool();
+        const bar = constantPool();
+        const other = constantPool();
+        const a = fingerprint('app/Foo', foo, logBelowLimit(foo, 'app/Foo', { callee: 'app/Foo$Inner' }));
+        const b = fingerprint('app/Bar', bar, logBelowLimit(bar, 'app/Bar', { callee: 'app/Bar$Inner' }));
+        const c = fingerprint('app/Bar', other, logBelowLimit(other, 'app/Foo'));
+        expect(b.codeHash).not.toBe(a.codeHash);
+        expect(c.codeHash).not.toBe(a.codeHash);
+        expect(b.shapeHash).toBe(a.shapeHash);
+        expect(c.shapeHash).toBe(a.shapeHash);
+    });
+
+    it('keeps members and literals out of the shape', () => {
+        const cps = [constantPool(), constantPool(), constantPool()];
+        const [a, b, c] = [{}, { field: 'size' }, { limit: 2 }].map((options, i) =>
+            fingerprint('app/Foo', cps[i], logBelowLimit(cps[i], 'app/Foo', options)));
+        expect(b.codeHash).not.toBe(a.codeHash);
+        expect(c.codeHash).not.toBe(a.codeHash);
+        expect(b.shapeHash).toBe(a.shapeHash);
+        expect(c.shapeHash).toBe(a.shapeHash);
+    });
+
+    it('tells apart different instructions', () => {
+        const cp = constantPool();
+        const code = logBelowLimit(cp, 'app/Foo');
+        const changed = [...code];
+        changed[6] = 0xA1; // if_icmplt
+        expect(fingerprint('app/Foo', cp, changed).shapeHash).not.toBe(fingerprint('app/Foo', cp, code).shapeHash);
+    });
+
+    it('covers the exception table', () => {
+        const cp = constantPool();
+        const code = logBelowLimit(cp, 'app/Foo');
+        const handler = (catchType, endPc = 9) => [{ startPc: 0, endPc, handlerPc: 16, catchType }];
+        const base = fingerprint('app/Foo', cp, code);
+        const any = fingerprint('app/Foo', cp, code, handler(null));
+        const caught = fingerprint('app/Foo', cp, code, handler('java/lang/Exception'));
+        const longer = fingerprint('app/Foo', cp, code, handler(null, 16));
+
+        expect(new Set([base, any, caught, longer].map((f) => f.codeHash)).size).toBe(4);
+        expect(caught.shapeHash).toBe(any.shapeHash);
+        expect(longer.shapeHash).not.toBe(any.shapeHash);
+    });
+});
+
+// =============================================================================
+// Clusters
+// =============================================================================
+
+describe('Duplicate method clusters', () => {
+    const method = (className, bytecodeSize, codeHash, shapeHash = codeHash) => ({
+        className, methodName: 'run', descriptor: '()V', bytecodeSize, codeHash, shapeHash, archive: '',
+    });
+
+    it('groups identical methods and counts the bytes of the extra copies', () => {
+        const clusters = findDuplicateMethods([
+            method('app.B', 100, 'c1'),
+            method('app.A', 100, 'c1'),
+            method('app.C', 40, 'c2'),
+        ]);
+        expect(clusters).toEqual([{
+            kind: 'identical',
+            variants: 1,
+            count: 2,
+            bytecodeSize: 100,
+            totalBytes: 200,
+            wastedBytes: 100,
+            methods: [
+                { className: 'app.A', methodName: 'run', descriptor: '()V', bytecodeSize: 100, codeHash: 'c1', archive: '' },
+                { className: 'app.B', methodName: 'run', descriptor: '()V', bytecodeSize: 100, codeHash: 'c1', archive: '' },
+            ],
+        }]);
+    });
+
+    it('groups methods of the same shape as similar, by variant', () => {
+        const [cluster] = findDuplicateMethods([
+            method('app.A', 60, 'c1', 's1'),
+            method('app.B', 64, 'c2', 's1'),
+            method('app.C', 60, 'c1', 's1'),
+        ]);
+        expect(cluster).toMatchObject({ kind: 'similar', variants: 2, count: 3, bytecodeSize: 64, totalBytes: 184, wastedBytes: 60 });
+        expect(cluster.methods.map((m) => m.className)).toEqual(['app.A', 'app.C', 'app.B']);
+    });
+
+    it('ranks clusters by wasted bytes', () => {
+        const clusters = findDuplicateMethods([
+            method('app.A', 50, 'c1'), method('app.B', 50, 'c1'), method('app.C', 50, 'c1'),
+            method('app.D', 90, 'c2'), method('app.E', 90, 'c2'),
+        ]);
+        expect(clusters.map((c) => c.wastedBytes)).toEqual([100, 90]);
+        expect(findDuplicateMethods([
+            method('app.A', 50, 'c1'), method('app.B', 50, 'c1'),
+            method('app.D', 90, 'c2'), method('app.E', 90, 'c2'),
+        ], 1).map((c) => c.wastedBytes)).toEqual([90]);
+    });
+
+    it('counts only exact copies as waste, so similar variants rank below real duplicates', () => {
+        const clusters = findDuplicateMethods([
+            ...['A', 'B', 'C', 'D', 'E'].map((name, i) => method(`app.${name}`, 200, `v${i}`, 's1')),
+            method('app.F', 40, 'c1', 's2'),
+            method('app.G', 40, 'c1', 's2'),
+        ]);
+        expect(clusters.map((c) => [c.kind, c.totalBytes, c.wastedBytes])).toEqual([
+            ['identical', 80, 40],
+            ['similar', 1000, 0],
+        ]);
+    });
+
+    it('leaves out small methods and methods without a fingerprint', () => {
+        expect(findDuplicateMethods([
+            method('app.A', DUPLICATE_MIN_BYTES - 1, 'c1'),
+            method('app.B', DUPLICATE_MIN_BYTES - 1, 'c1'),
+            method('app.C', 100, null),
+            method('app.D', 100, null),
+        ])).toEqual([]);
+    });
+});
@@ -0,0 +1,123 @@
+import { describe, it, expect } from 'vitest';
+import { decodeInstructions } from '../src/bytecode.js';
+import { buildBasicBlocks, computeFlowMetrics } from '../src/flow.js';
+
+/**
+ * Helper to build a code array from a list of byte values
+ */
+function code(...bytes) {
+    return new Uint8Array(bytes);
+}
+
+/**
+ * Helper to encode a big-endian int32 operand
+ */
+function int32(value) {
+    return [(value >> 24) & 0xFF, (value >> 16) & 0xFF, (value >> 8) & 0xFF, value & 0xFF];
+}
+
+// 0: iload_0, 1: ifeq +5, 4: iconst_1, 5: ireturn, 6: iconst_0, 7: ireturn
+const IF_ELSE = code(0x1A, 0x99, 0x00, 0x05, 0x04, 0xAC, 0x03, 0xAC);
+
+// 0: iconst_0, 1: istore_1, 2: iinc 1 1, 5: iload_1, 6: bipush 10, 8: if_icmplt -6, 11: return
+const LOOP = code(0x03, 0x3C, 0x84, 0x01, 0x01, 0x1B, 0x10, 0x0A, 0xA1, 0xFF, 0xFA, 0xB1);
+
+// 0: iload_0, 1: tableswitch 0..2 with case 2 falling to default
+// 28: iconst_0, ireturn; 30: iconst_1, ireturn; 32: iconst_2, ireturn (default)
+const SWITCH = code(
+    0x1A, 0xAA, 0x00, 0x00,
+    ...int32(31), ...int32(0), ...int32(2),
+    ...int32(27), ...int32(29), ...int32(31),
+    0x03, 0xAC, 0x04, 0xAC, 0x05, 0xAC,
+);
+
+// 0: nop, 1: goto +6, 4: astore_1, 5: aload_1, 6: athrow, 7: return
+const TRY_FINALLY = code(0x00, 0xA7, 0x00, 0x06, 0x4C, 0x2B, 0xBF, 0xB1);
+const FINALLY_TABLE = [
+    { startPc: 0, endPc: 1, handlerPc: 4, catchType: null },
+    { startPc: 1, endPc: 4, handlerPc: 4, catchType: null },
+];
+
+// =============================================================================
+// Basic blocks
+// =============================================================================
+
+describe('Basic blocks', () => {
+    it('keeps straight-line code in one block', () => {
+        const blocks = buildBasicBlocks(decodeInstructions(code(0x2A, 0x04, 0xAC)));
+        expect(blocks).toEqual([{ start: 0, end: 3, successors: [] }]);
+    });
+
+    it('splits at branches and their targets', () => {
+        expect(buildBasicBlocks(decodeInstructions(IF_ELSE))).toEqual([
+            { start: 0, end: 4, successors: [6, 4] },
+            { start: 4, end: 6, successors: [] },
+            { start: 6, end: 8, successors: [] },
+        ]);
+    });
+
+    it('links a loop back to its header', () => {
+        expect(buildBasicBlocks(decodeInstructions(LOOP))).toEqual([
+            { start: 0, end: 2, successors: [2] },
+            { start: 2, end: 11, successors: [2, 11] },
+            { start: 11, end: 12, successors: [] },
+        ]);
+    });
+
+    it('follows every switch target once', () => {
+        const blocks = buildBasicBlocks(decodeInstructions(SWITCH));
+        expect(blocks.map((b) => b.start)).toEqual([0, 28, 30, 32]);
+        expect(blocks[0].successors).toEqual([32, 28, 30]);
+    });
+
+    it('starts a block at each exception handler', () => {
+        const blocks = buildBasicBlocks(decodeInstructions(TRY_FINALLY), FINALLY_TABLE);
+        expect(blocks).toEqual([
+            { start: 0, end: 4, successors: [7] },
+            { start: 4, end: 7, successors: [] },
+            { start: 7, end: 8, successors: [] },
+        ]);
+    });
+});
+
+// =============================================================================
+// Flow metrics
+// =============================================================================
+
+describe('Flow metrics', () => {
+    it('reports zeros for methods without code', () => {
+        expect(computeFlowMetrics(null)).toEqual({
+            basicBlocks: 0,
+            cyclomaticComplexity: 0,
+            branches: 0,
+            switchCases: 0,
+            exceptionHandlers: 0,
+        });
+    });
+
+    it('gives straight-line code a complexity of 1', () => {
+        expect(computeFlowMetrics(code(0x2A, 0x04, 0xAC))).toMatchObject({ basicBlocks: 1, cyclomaticComplexity: 1, branches: 0 });
+    });
+
+    it('counts conditional branches', () => {
+        expect(computeFlowMetrics(IF_ELSE)).toMatchObject({ basicBlocks: 3, cyclomaticComplexity: 2, branches: 1 });
+        expect(computeFlowMetrics(LOOP)).toMatchObject({ basicBlocks: 3, cyclomaticComplexity: 2, branches: 1 });
+    });
+
+    it('counts switch cases and only distinct targets towards complexity', () => {
+        expect(computeFlowMetrics(SWITCH)).toMatchObject({
+            basicBlocks: 4,
+            cyclomaticComplexity: 3,
+            branches: 0,
+            switchCases: 3,
+        });
+    });
+
+    it('counts each exception handler once', () => {
+        expect(computeFlowMetrics(TRY_FINALLY, FINALLY_TABLE)).toMatchObject({
+            basicBlocks: 3,
+            cyclomaticComplexity: 2,
+            exceptionHandlers: 1,
+        });
+    });
+});
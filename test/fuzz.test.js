@@ -0,0 +1,152 @@
+import { describe, it, expect } from 'vitest';
+import { parseClassFile } from '../src/parser.js';
+
+/**
+ * Helpers to encode big-endian values and constant pool entries
+ */
+const u2 = (n) => [(n >> 8) & 0xFF, n & 0xFF];
+const u4 = (n) => [(n >>> 24) & 0xFF, (n >> 16) & 0xFF, (n >> 8) & 0xFF, n & 0xFF];
+const ascii = (text) => [...text].map((c) => c.charCodeAt(0));
+const utf8 = (bytes) => [1, ...u2(bytes.length), ...bytes];
+
+// Class app/Foo with a field "count" and a method run()I that loads the
+// string "a\0b😀", calls itself and returns
+const CODE = [0x12, 14, 0x57, 0xB8, ...u2(16), 0xAC];
+const LINE_NUMBER_TABLE = [...u2(8), ...u4(6), ...u2(1), ...u2(0), ...u2(3)];
+const CODE_ATTRIBUTE = [...u2(1), ...u2(0), ...u4(CODE.length), ...CODE, ...u2(0), ...u2(1), ...LINE_NUMBER_TABLE];
+
+const CLASS_BYTES = new Uint8Array([
+    ...u4(0xCAFEBABE),
+    ...u2(0), ...u2(65),
+    ...u2(19),
+    ...utf8(ascii('app/Foo')), // 1
+    7, ...u2(1), // 2
+    ...utf8(ascii('java/lang/Object')), // 3
+    7, ...u2(3), // 4
+    ...utf8(ascii('run')), // 5
+    ...utf8(ascii('()I')), // 6
+    ...utf8(ascii('Code')), // 7
+    ...utf8(ascii('LineNumberTable')), // 8
+    ...utf8(ascii('SourceFile')), // 9
+    ...utf8(ascii('Foo.java')), // 10
+    ...utf8(ascii('count')), // 11
+    ...utf8(ascii('I')), // 12
+    ...utf8([0x61, 0xC0, 0x80, 0x62, 0xED, 0xA0, 0xBD, 0xED, 0xB8, 0x80]), // 13
+    8, ...u2(13), // 14
+    12, ...u2(5), ...u2(6), // 15
+    10, ...u2(2), ...u2(15), // 16
+    5, ...u4(0), ...u4(42), // 17 and 18
+    ...u2(0x0021), ...u2(2), ...u2(4),
+    ...u2(0), // interfaces
+    ...u2(1), ...u2(0x0002), ...u2(11), ...u2(12), ...u2(0),
+    ...u2(1), ...u2(0x0009), ...u2(5), ...u2(6), ...u2(1), ...u2(7), ...u4(CODE_ATTRIBUTE.length), ...CODE_ATTRIBUTE,
+    ...u2(1), ...u2(9), ...u4(2), ...u2(10),
+]);
+
+/**
+ * Offset of the Code attribute's attribute_length in CLASS_BYTES
+ */
+const CODE_LENGTH_OFFSET = CLASS_BYTES.length - 10 - CODE_ATTRIBUTE.length - 4;
+
+/**
+ * Seeded pseudo-random generator (mulberry32), so failures reproduce
+ */
+function random(seed) {
+    return () => {
+        seed = (seed + 0x6D2B79F5) | 0;
+        let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Parse bytes and return the error thrown, or null if they parse
+ */
+function parseError(bytes) {
+    try {
+        parseClassFile(bytes);
+        return null;
+    } catch (e) {
+        return e;
+    }
+}
+
+// =============================================================================
+// Well-formed input
+// =============================================================================
+
+describe('Hand-assembled class file', () => {
+    it('parses', () => {
+        const result = parseClassFile(CLASS_BYTES);
+        expect(result.className).toBe('app/Foo');
+        expect(result.fields).toEqual([{ name: 'count', descriptor: 'I', accessFlags: 0x0002 }]);
+        expect(result.methods[0]).toMatchObject({ name: 'run', descriptor: '()I', bytecodeSize: CODE.length, firstLine: 3 });
+        expect(result.sourceFile).toBe('Foo.java');
+        expect(result.constantPool[17].value).toBe(42n);
+    });
+
+    it('decodes Modified UTF-8 constants', () => {
+        const { constantPool } = parseClassFile(CLASS_BYTES);
+        expect(constantPool[14].value).toBe('a\0b😀');
+    });
+});
+
+// =============================================================================
+// Malformed input
+// =============================================================================
+
+describe('Malformed class files', () => {
+    it('reports every truncation as an overrun at an offset within the file', () => {
+        for (let length = 0; length < CLASS_BYTES.length; length++) {
+            const error = parseError(CLASS_BYTES.slice(0, length));
+            expect(error, `truncated to ${length} bytes`).toBeInstanceOf(Error);
+            expect(error.constructor).toBe(Error);
+            const match = /overruns class file at 0x([0-9A-F]+)$/.exec(error.message);
+            expect(match, error.message).not.toBeNull();
+            expect(parseInt(match[1], 16)).toBeLessThanOrEqual(length);
+        }
+    });
+
+    it('names the attribute that overruns the class file', () => {
+        const bytes = CLASS_BYTES.slice();
+        bytes.set(u4(0x10000), CODE_LENGTH_OFFSET);
+        expect(() => parseClassFile(bytes)).toThrow(`method #0 attribute 'Code' overruns class file at 0x${(CODE_LENGTH_OFFSET + 4).toString(16).toUpperCase()}`);
+    });
+
+    it('keeps reads inside the declared attribute length', () => {
+        const bytes = CLASS_BYTES.slice();
+        bytes.set(u4(6), CODE_LENGTH_OFFSET);
+        expect(() => parseClassFile(bytes)).toThrow(/method #0 attribute 'Code' overruns its declared length of 6 bytes at 0x/);
+    });
+
+    it('locates bad constant pool references', () => {
+        const bytes = CLASS_BYTES.slice();
+        // String #14 pointing at the Class entry #2
+        const stringOffset = bytes.findIndex((b, i) => b === 8 && bytes[i + 1] === 0 && bytes[i + 2] === 13);
+        bytes[stringOffset + 2] = 2;
+        expect(() => parseClassFile(bytes)).toThrow(`Invalid UTF8 reference at index 2 in constant pool entry #14 at 0x${stringOffset.toString(16).toUpperCase()}`);
+    });
+
+    it('fails with located errors, never raw exceptions, on random corruption', () => {
+        const next = random(0x5EED);
+        let parsed = 0;
+        for (let run = 0; run < 3000; run++) {
+            const bytes = CLASS_BYTES.slice();
+            const changes = 1 + Math.floor(next() * 4);
+            for (let i = 0; i < changes; i++) {
+                bytes[Math.floor(next() * bytes.length)] = Math.floor(next() * 256);
+            }
+
+            const error = parseError(bytes);
+            if (!error) {
+                parsed++;
+                continue;
+            }
+            expect(error.constructor, `run ${run}: ${error.stack}`).toBe(Error);
+            expect(error.message, `run ${run}`).toMatch(/0x[0-9A-F]+/);
+        }
+        // Some corruptions, e.g. of flags or line numbers, still parse
+        expect(parsed).toBeGreaterThan(0);
+    });
+});
@@ -0,0 +1,129 @@
+import { describe, it, expect } from 'vitest';
+import {
+    readManifestAttribute,
+    isMultiReleaseManifest,
+    versionedPath,
+    resolveTargetVersion,
+    selectReleaseVariants,
+} from '../src/multi-release.js';
+
+/**
+ * Helper to build a class file as collected from a JAR
+ */
+function classFile(path, { archive = '', multiRelease = true } = {}) {
+    return { path, archive, multiRelease };
+}
+
+/**
+ * Helper to list the selected files as "path releaseVersion effective"
+ */
+function selection(classFiles, targetVersion) {
+    return selectReleaseVariants(classFiles, targetVersion).classFiles
+        .map((f) => `${f.path} ${f.releaseVersion} ${f.effective}`);
+}
+
+const FILES = [
+    classFile('com/example/Foo.class'),
+    classFile('META-INF/versions/11/com/example/Foo.class'),
+    classFile('META-INF/versions/17/com/example/Foo.class'),
+    classFile('META-INF/versions/21/com/example/Java21Only.class'),
+    classFile('com/example/Bar.class'),
+];
+
+// =============================================================================
+// Manifest
+// =============================================================================
+
+describe('Manifest attributes', () => {
+    it('reads main section attributes regardless of case', () => {
+        const manifest = 'Manifest-Version: 1.0\r\nmulti-release: TRUE\r\nCreated-By: 21 (Oracle)\r\n\r\n';
+        expect(readManifestAttribute(manifest, 'Multi-Release')).toBe('TRUE');
+        expect(isMultiReleaseManifest(manifest)).toBe(true);
+    });
+
+    it('joins continuation lines', () => {
+        const manifest = 'Manifest-Version: 1.0\nClass-Path: lib/a.jar lib/b\n .jar\n';
+        expect(readManifestAttribute(manifest, 'Class-Path')).toBe('lib/a.jar lib/b.jar');
+    });
+
+    it('ignores attributes of per-entry sections', () => {
+        const manifest = 'Manifest-Version: 1.0\n\nName: com/example/\nMulti-Release: true\n';
+        expect(readManifestAttribute(manifest, 'Multi-Release')).toBeNull();
+        expect(isMultiReleaseManifest(manifest)).toBe(false);
+    });
+});
+
+// =============================================================================
+// Versions
+// =============================================================================
+
+describe('Release versions', () => {
+    it('splits versioned entry paths', () => {
+        expect(versionedPath('META-INF/versions/11/com/example/Foo.class')).toEqual({ version: 11, path: 'com/example/Foo.class' });
+        expect(versionedPath('com/example/Foo.class')).toBeNull();
+    });
+
+    it('accepts latest and releases from 8 on', () => {
+        expect(resolveTargetVersion()).toBe(Infinity);
+        expect(resolveTargetVersion('17')).toBe(17);
+        expect(resolveTargetVersion(8)).toBe(8);
+        expect(() => resolveTargetVersion(7)).toThrow(/Target Java version/);
+        expect(() => resolveTargetVersion('11.0.2')).toThrow(/got '11.0.2'/);
+    });
+});
+
+// =============================================================================
+// Variant selection
+// =============================================================================
+
+describe('Release variant selection', () => {
+    it('uses the highest variant for the latest release', () => {
+        expect(selection(FILES)).toEqual([
+            'com/example/Foo.class null false',
+            'META-INF/versions/11/com/example/Foo.class 11 false',
+            'META-INF/versions/17/com/example/Foo.class 17 true',
+            'META-INF/versions/21/com/example/Java21Only.class 21 true',
+            'com/example/Bar.class null true',
+        ]);
+    });
+
+    it('uses the highest variant not above the target', () => {
+        expect(selection(FILES, 16)).toEqual([
+            'com/example/Foo.class null false',
+            'META-INF/versions/11/com/example/Foo.class 11 true',
+            'META-INF/versions/17/com/example/Foo.class 17 false',
+            'com/example/Bar.class null true',
+        ]);
+    });
+
+    it('uses base entries on Java 8', () => {
+        const selected = selectReleaseVariants(FILES, 8).classFiles.filter((f) => f.effective);
+        expect(selected.map((f) => f.path)).toEqual(['com/example/Foo.class', 'com/example/Bar.class']);
+    });
+
+    it('groups the variants of each class', () => {
+        const { classFiles } = selectReleaseVariants(FILES);
+        const keys = new Set(classFiles.map((f) => f.variantKey));
+        expect(keys.size).toBe(2);
+        expect(classFiles.find((f) => f.path === 'com/example/Bar.class').variantKey).toBeNull();
+    });
+
+    it('ignores versioned entries of archives that are not multi-release', () => {
+        const files = [
+            classFile('Foo.class', { archive: 'lib.jar', multiRelease: false }),
+            classFile('META-INF/versions/11/Foo.class', { archive: 'lib.jar', multiRelease: false }),
+            classFile('META-INF/versions/8/Foo.class'),
+        ];
+        const { classFiles, ignored } = selectReleaseVariants(files);
+        expect(classFiles).toHaveLength(1);
+        expect(ignored.map((f) => f.path)).toEqual(['META-INF/versions/11/Foo.class', 'META-INF/versions/8/Foo.class']);
+    });
+
+    it('keeps variants of the same class in different archives apart', () => {
+        const files = [
+            classFile('Foo.class', { archive: 'a.jar' }),
+            classFile('META-INF/versions/11/Foo.class', { archive: 'b.jar' }),
+        ];
+        expect(selection(files).map((s) => s.endsWith('true'))).toEqual([true, true]);
+    });
+});
@@ -2,7 +2,30 @@ import { describe, it, expect } from 'vitest';
 import fs from 'fs';
 import path from 'path';
 import JSZip from 'jszip';
-import { parseClassFile, parseJar, getTopMethods } from '../src/parser.js';
+import {
+    parseClassFile,
+    parseJar,
+    parseFiles,
+    isSupportedInput,
+    extractInputClassFile,
+    getTopMethods,
+    disassembleMethod,
+    classifyJitCategory,
+    classifyMethods,
+    countJitCategories,
+    DEFAULT_JIT_LIMITS,
+    extractClassFile,
+    summarizeArchives,
+    buildBytecodeTree,
+    computeSizeDistribution,
+    decodeMethodAccessFlags,
+    decodeClassAccessFlags,
+    methodVisibility,
+    isCompilerGenerated,
+    isPublicApi,
+    sourceLocation,
+} from '../src/parser.js';
+import { methodId as methodIdOf } from '../src/callgraph.js';
 
 const FIXTURES_DIR = './test/fixtures/classes';
 const EXPECTED = JSON.parse(fs.readFileSync('./test/fixtures/expected.json', 'utf-8'));
@@ -96,6 +119,35 @@ describe('Fields section skipping', () => {
         expect(result.className).toBe('fixtures/SimpleClass');
         expect(result.methods.length).toBe(3); // constructor + getValue + setValue
     });
+
+    it('counts fields and measures the constant pool', () => {
+        const buffer = loadClassFile('fixtures/SimpleClass');
+        const result = parseClassFile(buffer);
+        const constantPoolCount = new DataView(buffer).getUint16(8, false);
+
+        expect(result.fieldCount).toBe(1);
+        expect(result.constantPoolEntries).toBe(constantPoolCount - 1);
+        // The pool starts after magic, versions and constant_pool_count
+        expect(result.constantPoolSize).toBeGreaterThan(0);
+        expect(result.constantPoolSize).toBeLessThan(buffer.byteLength - 10);
+    });
+
+    it('lists the fields of a class', () => {
+        const result = parseClassFile(loadClassFile('fixtures/SimpleClass'));
+        expect(result.fields).toEqual([{ name: 'value', descriptor: 'I', accessFlags: 0x0002 }]);
+    });
+
+    it('resolves the value of String constants', () => {
+        const { constantPool } = parseClassFile(loadClassFile('fixtures/AbstractMethods'));
+        expect(constantPool).toContainEqual(expect.objectContaining({ tag: 8, value: 'concrete' }));
+    });
+
+    it('counts Long and Double constants once', () => {
+        const buffer = loadClassFile('fixtures/WithLongDouble');
+        const result = parseClassFile(buffer);
+        const constantPoolCount = new DataView(buffer).getUint16(8, false);
+        expect(result.constantPoolEntries).toBeLessThan(constantPoolCount - 1);
+    });
 });
 
 // =============================================================================
@@ -134,6 +186,16 @@ describe('Method header parsing', () => {
         expect(descriptors).toContain('()[I'); // int[]
         expect(descriptors).toContain('()[[Ljava/lang/String;'); // String[][]
     });
+
+    it('reads generic signatures from the Signature attribute', () => {
+        const result = parseClassFile(loadClassFile('fixtures/LambdasAndIndy'));
+        const signatureOf = (name) => result.methods.find((m) => m.name === name).signature;
+        expect(signatureOf('getSupplier')).toBe('()Ljava/util/function/Supplier<Ljava/lang/String;>;');
+        expect(signatureOf('getDoubler')).toBe(
+            '()Ljava/util/function/Function<Ljava/lang/Integer;Ljava/lang/Integer;>;'
+        );
+        expect(signatureOf('sumWithLambda')).toBeNull();
+    });
 });
 
 describe('Code attribute extraction', () => {
@@ -173,6 +235,50 @@ describe('Code attribute extraction', () => {
         const smallMethod = result.methods.find((m) => m.name === 'smallMethod');
         expect(bigMethod.bytecodeSize).toBeGreaterThan(smallMethod.bytecodeSize);
     });
+
+    it('reports control flow metrics', () => {
+        const result = parseClassFile(loadClassFile('fixtures/BigMethods'));
+
+        // 150 additions and no jumps
+        expect(result.methods.find((m) => m.name === 'bigMethod')).toMatchObject({
+            basicBlocks: 1,
+            cyclomaticComplexity: 1,
+            branches: 0,
+        });
+        // Sparse cases compile to a lookupswitch with five distinct targets
+        expect(result.methods.find((m) => m.name === 'switchMethod')).toMatchObject({
+            basicBlocks: 6,
+            cyclomaticComplexity: 5,
+            switchCases: 4,
+            exceptionHandlers: 0,
+        });
+    });
+
+    it('reports zero metrics for abstract methods', () => {
+        const result = parseClassFile(loadClassFile('fixtures/AbstractMethods'));
+        const abstractMethod = result.methods.find((m) => m.code === null);
+        expect(abstractMethod).toMatchObject({ basicBlocks: 0, cyclomaticComplexity: 0, exceptionTable: [] });
+    });
+
+    it('reads max_stack, max_locals and line numbers', () => {
+        const result = parseClassFile(loadClassFile('fixtures/SimpleClass'));
+        expect(result.sourceFile).toBe('SimpleClass.java');
+
+        const setValue = result.methods.find((m) => m.name === 'setValue');
+        expect(setValue).toMatchObject({ maxStack: 2, maxLocals: 2, firstLine: 15, lastLine: 16 });
+        expect(setValue.lineNumbers).toEqual([{ startPc: 0, line: 15 }, { startPc: 5, line: 16 }]);
+        // javac only emits LocalVariableTable with -g
+        expect(setValue.localVariables).toEqual([]);
+
+        const getValue = result.methods.find((m) => m.name === 'getValue');
+        expect(getValue).toMatchObject({ maxStack: 1, maxLocals: 1, firstLine: 11, lastLine: 11 });
+    });
+
+    it('reports no lines for methods without code', () => {
+        const result = parseClassFile(loadClassFile('fixtures/AbstractMethods'));
+        const abstractMethod = result.methods.find((m) => m.code === null);
+        expect(abstractMethod).toMatchObject({ maxStack: 0, maxLocals: 0, lineNumbers: [], firstLine: null, lastLine: null });
+    });
 });
 
 // =============================================================================
@@ -296,6 +402,35 @@ describe('JAR parsing', () => {
         expect(result.methods.length).toBeGreaterThan(0);
     });
 
+    it('reports a record per class', async () => {
+        const result = await parseJar(await createTestJar());
+        expect(result.classes).toHaveLength(result.stats.classesScanned);
+
+        const simpleClass = result.classes.find((c) => c.className === 'fixtures.SimpleClass');
+        const classFile = parseClassFile(loadClassFile('fixtures/SimpleClass'));
+        expect(simpleClass).toMatchObject({
+            classFile: 'fixtures/SimpleClass.class',
+            archive: '',
+            uncompressedSize: loadClassFile('fixtures/SimpleClass').byteLength,
+            constantPoolEntries: classFile.constantPoolEntries,
+            constantPoolSize: classFile.constantPoolSize,
+            fieldCount: 1,
+            methodCount: 3,
+            totalBytecode: classFile.methods.reduce((sum, m) => sum + m.bytecodeSize, 0),
+            sourceFile: 'SimpleClass.java',
+        });
+        expect(simpleClass.compressedSize).toBeGreaterThan(0);
+        const { names, descriptors, literals, references, other } = simpleClass.constantPoolBreakdown;
+        expect(names + descriptors + literals + references + other).toBe(classFile.constantPoolSize);
+        expect(Array.isArray(result.duplicateLiterals)).toBe(true);
+
+        const abstractMethods = result.classes.find((c) => c.className === 'fixtures.AbstractMethods');
+        expect(abstractMethods.largestStrings).toContainEqual({ value: 'concrete', size: 3 + 3 + 'concrete'.length });
+        expect(result.classes.map((c) => c.uncompressedSize)).toEqual(
+            result.classes.map((c) => c.uncompressedSize).sort((a, b) => b - a)
+        );
+    });
+
     it('handles empty JAR', async () => {
         const zip = new JSZip();
         zip.file('META-INF/MANIFEST.MF', 'Manifest-Version: 1.0');
@@ -304,6 +439,9 @@ describe('JAR parsing', () => {
         const result = await parseJar(jarBuffer);
 
         expect(result.stats.classesScanned).toBe(0);
+        expect(result.classes).toEqual([]);
+        expect(result.duplicateLiterals).toEqual([]);
+        expect(result.duplicateMethods).toEqual([]);
         expect(result.warnings).toContain('No .class files found in JAR');
     });
 
@@ -311,6 +449,81 @@ describe('JAR parsing', () => {
         const garbage = new ArrayBuffer(100);
         await expect(parseJar(garbage)).rejects.toThrow(/invalid.*zip/i);
     });
+
+    it('rejects with an AbortError when the signal is already aborted', async () => {
+        const zip = new JSZip();
+        zip.file('META-INF/MANIFEST.MF', 'Manifest-Version: 1.0');
+        const jarBuffer = await zip.generateAsync({ type: 'arraybuffer' });
+
+        const controller = new AbortController();
+        controller.abort();
+        await expect(parseJar(jarBuffer, { signal: controller.signal })).rejects.toMatchObject({ name: 'AbortError' });
+    });
+
+    it('stops between class files when aborted', async () => {
+        const zip = new JSZip();
+        for (let i = 0; i < 5; i++) {
+            zip.file(`bad/Bad${i}.class`, new Uint8Array([0, 1, 2, 3]));
+        }
+        const jarBuffer = await zip.generateAsync({ type: 'arraybuffer' });
+
+        const controller = new AbortController();
+        let processed = 0;
+        const parsing = parseJar(jarBuffer, {
+            signal: controller.signal,
+            onProgress: (n) => {
+                processed = n;
+                controller.abort(new Error('cancelled by user'));
+            },
+        });
+
+        await expect(parsing).rejects.toThrow('cancelled by user');
+        expect(processed).toBe(1);
+    });
+
+    it('returns the call graph of the JAR', async () => {
+        const result = await parseJar(await createTestJar());
+        const { nodes, edges } = result.callGraph;
+
+        const constructor = nodes.findIndex((n) => n.id === 'fixtures.SimpleClass.<init>()V');
+        const objectConstructor = nodes.findIndex((n) => n.id === 'java.lang.Object.<init>()V');
+        expect(nodes[constructor].external).toBe(false);
+        expect(nodes[objectConstructor].external).toBe(true);
+        expect(edges).toContainEqual({ from: constructor, to: objectConstructor, kind: 'special', count: 1 });
+
+        const simpleConstructor = result.methods.find((m) => m.className === 'fixtures.SimpleClass' && m.methodName === '<init>');
+        expect(simpleConstructor.calls).toEqual([
+            { kind: 'special', className: 'java.lang.Object', methodName: '<init>', descriptor: '()V', count: 1 },
+        ]);
+    });
+
+    it('records the source file and line span of each method', async () => {
+        const zip = new JSZip();
+        zip.file('fixtures/SimpleClass.class', fs.readFileSync(path.join(FIXTURES_DIR, 'fixtures/SimpleClass.class')));
+        const result = await parseJar(await zip.generateAsync({ type: 'arraybuffer' }));
+
+        const setValue = result.methods.find((m) => m.methodName === 'setValue');
+        expect(setValue).toMatchObject({
+            sourceFile: 'SimpleClass.java',
+            firstLine: 15,
+            lastLine: 16,
+            maxStack: 2,
+            maxLocals: 2,
+            exceptionTable: [],
+        });
+        expect(sourceLocation(setValue)).toBe('fixtures/SimpleClass.java:15-16');
+    });
+
+    it('reads a JAR from a Blob', async () => {
+        const zip = new JSZip();
+        zip.file('bad/Bad.class', new Uint8Array([0, 1, 2, 3]));
+        zip.file('META-INF/MANIFEST.MF', 'Manifest-Version: 1.0');
+        const blob = new Blob([await zip.generateAsync({ type: 'arraybuffer' })]);
+
+        const result = await parseJar(blob);
+        expect(result.stats.classesScanned).toBe(1);
+        expect(result.warnings[0]).toContain('bad/Bad.class');
+    });
 });
 
 describe('Results aggregation', () => {
@@ -361,3 +574,655 @@ describe('Results aggregation', () => {
         expect(progressCalls[progressCalls.length - 1].total).toBe(11);
     });
 });
+
+// =============================================================================
+// Bytecode Disassembly Tests
+// =============================================================================
+
+describe('Method disassembly', () => {
+    it('exposes the code array of each method', () => {
+        const result = parseClassFile(loadClassFile('fixtures/SimpleClass'));
+        const getValue = result.methods.find((m) => m.name === 'getValue');
+        expect(getValue.code).toBeInstanceOf(Uint8Array);
+        expect(getValue.code.length).toBe(getValue.bytecodeSize);
+    });
+
+    it('has no code array for abstract methods', () => {
+        const result = parseClassFile(loadClassFile('fixtures/AbstractMethods'));
+        const abstractMethod = result.methods.find((m) => m.name === 'abstractMethod');
+        expect(abstractMethod.code).toBeNull();
+    });
+
+    it('renders a javap-style listing with resolved field references', () => {
+        const listing = disassembleMethod(loadClassFile('fixtures/SimpleClass'), 'getValue', '()I');
+        expect(listing).toContain('getValue()I');
+        expect(listing).toMatch(/0: aload_0/);
+        expect(listing).toMatch(/1: getfield\s+#\d+\s+\/\/ Field fixtures\/SimpleClass\.value:I/);
+        expect(listing).toMatch(/4: ireturn/);
+    });
+
+    it('lists stack size, locals and line numbers', () => {
+        const listing = disassembleMethod(loadClassFile('fixtures/SimpleClass'), 'setValue', '(I)V');
+        expect(listing).toContain('stack=2, locals=2');
+        expect(listing).toMatch(/LineNumberTable:\n\s+line 15: 0\n\s+line 16: 5/);
+    });
+
+    it('resolves method and string operands', () => {
+        const listing = disassembleMethod(loadClassFile('fixtures/AbstractMethods'), 'concreteMethod', '()V');
+        expect(listing).toMatch(/\/\/ Field java\/lang\/System\.out:Ljava\/io\/PrintStream;/);
+        expect(listing).toMatch(/\/\/ String concrete/);
+        expect(listing).toMatch(/\/\/ Method java\/io\/PrintStream\.println:\(Ljava\/lang\/String;\)V/);
+    });
+
+    it('resolves method references in the constant pool', () => {
+        const { constantPool } = parseClassFile(loadClassFile('fixtures/AbstractMethods'));
+        expect(constantPool).toContainEqual(expect.objectContaining({
+            tag: 10,
+            className: 'java/io/PrintStream',
+            name: 'println',
+            descriptor: '(Ljava/lang/String;)V',
+        }));
+    });
+
+    it('lists the call sites of each method', () => {
+        const result = parseClassFile(loadClassFile('fixtures/AbstractMethods'));
+        const concreteMethod = result.methods.find((m) => m.name === 'concreteMethod');
+        expect(concreteMethod.invocations).toEqual([
+            expect.objectContaining({ kind: 'virtual', className: 'java/io/PrintStream', methodName: 'println' }),
+        ]);
+    });
+
+    it('decodes switch tables', () => {
+        const listing = disassembleMethod(loadClassFile('fixtures/BigMethods'), 'switchMethod', '(I)Ljava/lang/String;');
+        expect(listing).toMatch(/lookupswitch|tableswitch/);
+        expect(listing).toMatch(/100: \d+/);
+        expect(listing).toMatch(/default: \d+/);
+    });
+
+    it('resolves invokedynamic call sites', () => {
+        const listing = disassembleMethod(loadClassFile('fixtures/LambdasAndIndy'), 'getSupplier', '()Ljava/util/function/Supplier;');
+        expect(listing).toMatch(/invokedynamic #\d+,?\s+.*\/\/ InvokeDynamic #\d+:get:\(\)Ljava\/util\/function\/Supplier;/);
+    });
+
+    it('reports methods without code', () => {
+        const listing = disassembleMethod(loadClassFile('fixtures/AbstractMethods'), 'nativeMethod', '()V');
+        expect(listing).toContain('no Code attribute');
+    });
+
+    it('rejects unknown methods', () => {
+        expect(() => disassembleMethod(loadClassFile('fixtures/SimpleClass'), 'missing', '()V')).toThrow(/not found/);
+    });
+
+    it('records the class file path of each method in JAR results', async () => {
+        const jarBuffer = await createTestJar();
+        const result = await parseJar(jarBuffer);
+        const getValue = result.methods.find((m) => m.methodName === 'getValue');
+        expect(getValue.classFile).toBe('fixtures/SimpleClass.class');
+    });
+});
+
+// =============================================================================
+// JIT Threshold Classification Tests
+// =============================================================================
+
+describe('JIT threshold classification', () => {
+    it('classifies sizes against the default HotSpot limits', () => {
+        expect(classifyJitCategory(0)).toBe('no-code');
+        expect(classifyJitCategory(1)).toBe('inline');
+        expect(classifyJitCategory(35)).toBe('inline');
+        expect(classifyJitCategory(36)).toBe('freq-inline');
+        expect(classifyJitCategory(325)).toBe('freq-inline');
+        expect(classifyJitCategory(326)).toBe('no-inline');
+        expect(classifyJitCategory(8000)).toBe('no-inline');
+        expect(classifyJitCategory(8001)).toBe('huge');
+        expect(classifyJitCategory(65535)).toBe('huge');
+        expect(classifyJitCategory(65536)).toBe('over-limit');
+    });
+
+    it('honors custom limits', () => {
+        const limits = { ...DEFAULT_JIT_LIMITS, maxInlineSize: 10, hugeMethodLimit: 100 };
+        expect(classifyJitCategory(11, limits)).toBe('freq-inline');
+        expect(classifyJitCategory(200, limits)).toBe('huge');
+    });
+
+    it('leaves DEX methods out of the HotSpot categories', () => {
+        const methods = [{ bytecodeSize: 5, format: 'dex' }, { bytecodeSize: 9000, format: 'dex' }, { bytecodeSize: 9000, format: 'class' }];
+        classifyMethods(methods);
+        expect(methods.map((m) => m.jitCategory)).toEqual([null, null, 'huge']);
+        expect(countJitCategories(methods)).toMatchObject({ inline: 0, huge: 1 });
+    });
+
+    it('re-classifies methods in place and counts every category', () => {
+        const methods = [{ bytecodeSize: 5 }, { bytecodeSize: 50 }, { bytecodeSize: 0 }];
+        classifyMethods(methods);
+        expect(methods.map((m) => m.jitCategory)).toEqual(['inline', 'freq-inline', 'no-code']);
+        expect(countJitCategories(methods)).toEqual({
+            'no-code': 1,
+            inline: 1,
+            'freq-inline': 1,
+            'no-inline': 0,
+            huge: 0,
+            'over-limit': 0,
+        });
+    });
+
+    it('classifies every method parsed from a JAR', async () => {
+        const jarBuffer = await createTestJar();
+        const result = await parseJar(jarBuffer);
+
+        const bigMethod = result.methods.find((m) => m.methodName === 'bigMethod');
+        const smallMethod = result.methods.find((m) => m.methodName === 'smallMethod');
+        expect(bigMethod.jitCategory).toBe('no-inline');
+        expect(smallMethod.jitCategory).toBe('inline');
+
+        const total = Object.values(result.stats.jitCategories).reduce((a, b) => a + b, 0);
+        expect(total).toBe(result.stats.methodsFound);
+    });
+
+    it('applies jitLimits passed to parseJar', async () => {
+        const jarBuffer = await createTestJar();
+        const result = await parseJar(jarBuffer, { jitLimits: { hugeMethodLimit: 100 } });
+
+        const bigMethod = result.methods.find((m) => m.methodName === 'bigMethod');
+        expect(bigMethod.jitCategory).toBe('huge');
+    });
+});
+
+// =============================================================================
+// Nested Archive Tests
+// =============================================================================
+
+/**
+ * Helper to wrap archives into an outer ZIP, keyed by entry path
+ */
+async function createOuterArchive(entries) {
+    const zip = new JSZip();
+    for (const [entryPath, content] of Object.entries(entries)) {
+        zip.file(entryPath, content);
+    }
+    return zip.generateAsync({ type: 'arraybuffer' });
+}
+
+describe('Nested archives', () => {
+    it('parses classes from Spring Boot BOOT-INF/lib jars', async () => {
+        const outer = await createOuterArchive({
+            'BOOT-INF/classes/fixtures/SimpleClass.class': fs.readFileSync(path.join(FIXTURES_DIR, 'fixtures/SimpleClass.class')),
+            'BOOT-INF/lib/fixtures.jar': await createTestJar(),
+        });
+        const result = await parseJar(outer);
+
+        expect(result.stats.classesScanned).toBe(12);
+        expect(result.stats.archivesScanned).toBe(2);
+
+        const archives = new Set(result.methods.map((m) => m.archive));
+        expect(archives).toEqual(new Set(['', 'BOOT-INF/lib/fixtures.jar']));
+    });
+
+    it('records the full nested path for libraries inside a WAR inside an EAR', async () => {
+        const war = await createOuterArchive({ 'WEB-INF/lib/fixtures.jar': await createTestJar() });
+        const ear = await createOuterArchive({ 'web.war': war });
+        const result = await parseJar(ear);
+
+        expect(result.stats.classesScanned).toBe(11);
+        expect(result.methods[0].archive).toBe('web.war!/WEB-INF/lib/fixtures.jar');
+    });
+
+    it('stops at the configured nesting depth', async () => {
+        const war = await createOuterArchive({ 'WEB-INF/lib/fixtures.jar': await createTestJar() });
+        const ear = await createOuterArchive({ 'web.war': war });
+
+        const shallow = await parseJar(ear, { nestedDepth: 1 });
+        expect(shallow.stats.classesScanned).toBe(0);
+
+        const flat = await parseJar(await createOuterArchive({ 'lib/fixtures.jar': await createTestJar() }), { nestedDepth: 0 });
+        expect(flat.stats.classesScanned).toBe(0);
+        expect(flat.stats.archivesScanned).toBe(1);
+    });
+
+    it('warns about nested archives that are not ZIP files', async () => {
+        const outer = await createOuterArchive({
+            'lib/fixtures.jar': await createTestJar(),
+            'lib/broken.jar': 'not a zip',
+        });
+        const result = await parseJar(outer);
+
+        expect(result.stats.classesScanned).toBe(11);
+        expect(result.warnings).toEqual(['Failed to open nested archive lib/broken.jar: not a valid ZIP archive']);
+    });
+
+    it('extracts a class file from a nested archive', async () => {
+        const war = await createOuterArchive({ 'WEB-INF/lib/fixtures.jar': await createTestJar() });
+        const ear = await createOuterArchive({ 'web.war': war });
+
+        const classBuffer = await extractClassFile(ear, 'web.war!/WEB-INF/lib/fixtures.jar', 'fixtures/SimpleClass.class');
+        expect(parseClassFile(classBuffer).className).toBe('fixtures/SimpleClass');
+
+        await expect(extractClassFile(ear, 'missing.war', 'fixtures/SimpleClass.class')).rejects.toThrow(/not found/);
+    });
+
+    it('summarizes bytecode per originating archive', () => {
+        const summary = summarizeArchives([
+            { archive: 'lib/a.jar', bytecodeSize: 100 },
+            { archive: '', bytecodeSize: 30 },
+            { archive: 'lib/a.jar', bytecodeSize: 20 },
+        ]);
+
+        expect(summary.map((s) => s.archive)).toEqual(['lib/a.jar', '']);
+        expect(summary[0]).toMatchObject({ methodCount: 2, totalBytecode: 120 });
+        expect(summary[0].largestMethod.bytecodeSize).toBe(100);
+    });
+});
+
+// =============================================================================
+// Multi-Release JAR Tests
+// =============================================================================
+
+const MULTI_RELEASE_MANIFEST = 'Manifest-Version: 1.0\r\nMulti-Release: true\r\n\r\n';
+
+/**
+ * Helper to build a multi-release JAR with variants of SimpleClass for
+ * Java 11 and 17 and a class that exists from Java 21 on
+ */
+async function createMultiReleaseJar(manifest = MULTI_RELEASE_MANIFEST) {
+    const simpleClass = fs.readFileSync(path.join(FIXTURES_DIR, 'fixtures/SimpleClass.class'));
+    return createOuterArchive({
+        'META-INF/MANIFEST.MF': manifest,
+        'fixtures/SimpleClass.class': simpleClass,
+        'META-INF/versions/11/fixtures/SimpleClass.class': simpleClass,
+        'META-INF/versions/17/fixtures/SimpleClass.class': simpleClass,
+        'META-INF/versions/21/fixtures/BigMethods.class': fs.readFileSync(path.join(FIXTURES_DIR, 'fixtures/BigMethods.class')),
+    });
+}
+
+describe('Multi-release JARs', () => {
+    it('analyzes the latest variant of each class by default', async () => {
+        const result = await parseJar(await createMultiReleaseJar());
+
+        expect(result.stats).toMatchObject({ classesScanned: 2, targetVersion: 'latest', multiReleaseClasses: 1 });
+        const simple = result.classes.find((c) => c.className === 'fixtures.SimpleClass');
+        expect(simple).toMatchObject({ releaseVersion: 17, classFile: 'META-INF/versions/17/fixtures/SimpleClass.class' });
+        expect(result.methods.filter((m) => m.className === 'fixtures.SimpleClass' && m.methodName === 'getValue')).toHaveLength(1);
+    });
+
+    it('lists every variant of a class with its method sizes', async () => {
+        const result = await parseJar(await createMultiReleaseJar());
+        const simple = result.classes.find((c) => c.className === 'fixtures.SimpleClass');
+
+        expect(simple.releaseVariants.map((v) => [v.releaseVersion, v.effective])).toEqual([[null, false], [11, false], [17, true]]);
+        expect(simple.releaseVariants[0].methods).toContainEqual({ methodName: 'getValue', descriptor: '()I', bytecodeSize: 5 });
+        expect(result.classes.find((c) => c.className === 'fixtures.BigMethods').releaseVariants).toEqual([]);
+    });
+
+    it('selects the variant for a target Java version', async () => {
+        const result = await parseJar(await createMultiReleaseJar(), { targetVersion: 11 });
+
+        expect(result.stats.classesScanned).toBe(1);
+        expect(result.classes[0]).toMatchObject({ className: 'fixtures.SimpleClass', releaseVersion: 11 });
+        expect(new Set(result.methods.map((m) => m.releaseVersion))).toEqual(new Set([11]));
+    });
+
+    it('uses only base entries for Java 8', async () => {
+        const result = await parseJar(await createMultiReleaseJar(), { targetVersion: 8 });
+        expect(result.classes.map((c) => c.classFile)).toEqual(['fixtures/SimpleClass.class']);
+    });
+
+    it('ignores versioned entries without a Multi-Release manifest', async () => {
+        const result = await parseJar(await createMultiReleaseJar('Manifest-Version: 1.0\r\n'));
+
+        expect(result.classes.map((c) => [c.classFile, c.releaseVersion])).toEqual([['fixtures/SimpleClass.class', null]]);
+        expect(result.warnings).toEqual([
+            'Ignored 3 class files under META-INF/versions/ in the JAR: not loaded unless the manifest declares Multi-Release: true (from release 9 on)',
+        ]);
+    });
+
+    it('rejects an invalid target version', async () => {
+        await expect(parseJar(await createMultiReleaseJar(), { targetVersion: 'jdk17' })).rejects.toThrow(/Target Java version/);
+    });
+});
+
+// =============================================================================
+// Input Tests
+// =============================================================================
+
+/**
+ * Helper to build a JMOD: its header, then a ZIP with the classes under classes/
+ */
+async function createJmod() {
+    const zip = new Uint8Array(await createOuterArchive({
+        'classes/fixtures/SimpleClass.class': fs.readFileSync(path.join(FIXTURES_DIR, 'fixtures/SimpleClass.class')),
+        'lib/libfixtures.so': 'native code',
+    }));
+    const jmod = new Uint8Array(4 + zip.byteLength);
+    jmod.set([0x4A, 0x4D, 0x01, 0x00]);
+    jmod.set(zip, 4);
+    return jmod;
+}
+
+describe('Inputs', () => {
+    it('recognizes archives and class files by extension', () => {
+        expect(['a.jar', 'b.WAR', 'c.ear', 'd.aar', 'java.base.jmod', 'Foo.class'].every(isSupportedInput)).toBe(true);
+        expect(isSupportedInput('notes.txt')).toBe(false);
+        expect(isSupportedInput('Foo.java')).toBe(false);
+    });
+
+    it('skips the header of a JMOD', async () => {
+        const result = await parseFiles([{ name: 'fixtures.jmod', data: await createJmod() }]);
+
+        expect(result.stats.classesScanned).toBe(1);
+        expect(result.classes[0]).toMatchObject({ classFile: 'classes/fixtures/SimpleClass.class', archive: '', source: 'fixtures.jmod' });
+    });
+
+    it('reads the classes.jar of an AAR as the library itself', async () => {
+        const aar = await createOuterArchive({ 'AndroidManifest.xml': '<manifest/>', 'classes.jar': await createTestJar() });
+        const result = await parseFiles([{ name: 'fixtures.aar', data: aar }], { nestedDepth: 0 });
+
+        expect(result.stats.classesScanned).toBe(11);
+        expect(result.methods[0].archive).toBe('classes.jar');
+    });
+
+    it('analyzes archives and loose class files together, recording their source', async () => {
+        const war = await createOuterArchive({ 'WEB-INF/lib/fixtures.jar': await createTestJar() });
+        const result = await parseFiles([
+            { name: 'app.war', data: war },
+            { name: 'classes/fixtures/SimpleClass.class', data: loadClassFile('fixtures/SimpleClass') },
+        ]);
+
+        expect(result.stats).toMatchObject({ classesScanned: 12, archivesScanned: 2 });
+        expect(new Set(result.classes.map((c) => `${c.source} ${c.archive}`))).toEqual(new Set([
+            'app.war app.war!/WEB-INF/lib/fixtures.jar',
+            'classes/fixtures/SimpleClass.class ',
+        ]));
+        const loose = result.methods.find((m) => m.source === 'classes/fixtures/SimpleClass.class');
+        expect(loose).toMatchObject({ className: 'fixtures.SimpleClass', classFile: 'classes/fixtures/SimpleClass.class' });
+    });
+
+    it('skips repeated and unreadable inputs of several with a warning', async () => {
+        const jar = await createTestJar();
+        const result = await parseFiles([
+            { name: 'a.jar', data: jar },
+            { name: 'a.jar', data: jar },
+            { name: 'broken.jar', data: new TextEncoder().encode('not a zip') },
+        ]);
+
+        expect(result.stats.classesScanned).toBe(11);
+        expect(result.warnings).toEqual([
+            'Ignored a.jar: given more than once',
+            'Failed to open broken.jar: not a valid ZIP archive',
+        ]);
+        await expect(parseFiles([{ name: 'broken.jar', data: new TextEncoder().encode('not a zip') }])).rejects.toThrow(/Invalid JAR file/);
+        await expect(parseFiles([])).rejects.toThrow('No input files given');
+    });
+
+    it('reads class files back from the inputs of a record', async () => {
+        const inputs = [
+            { name: 'lib.ear', data: await createOuterArchive({ 'lib/fixtures.jar': await createTestJar() }) },
+            { name: 'fixtures.jmod', data: await createJmod() },
+            { name: 'Loose.class', data: loadClassFile('fixtures/BigMethods') },
+        ];
+        const result = await parseFiles(inputs);
+
+        for (const source of ['lib.ear', 'fixtures.jmod', 'Loose.class']) {
+            const record = result.classes.find((c) => c.source === source);
+            const classBuffer = await extractInputClassFile(inputs, record);
+            expect(parseClassFile(classBuffer).className).toBe(record.className.replace(/\./g, '/'));
+        }
+        await expect(extractInputClassFile(inputs, { ...result.classes[0], source: 'other.jar' })).rejects.toThrow(/not found/);
+    });
+});
+
+// =============================================================================
+// Access Flag Tests
+// =============================================================================
+
+describe('Access flags', () => {
+    it('decodes method access flags', () => {
+        expect(decodeMethodAccessFlags(0x0009)).toEqual(['public', 'static']);
+        expect(decodeMethodAccessFlags(0x1042)).toEqual(['private', 'bridge', 'synthetic']);
+        expect(decodeMethodAccessFlags(0x0080 | 0x0020 | 0x0010)).toEqual(['final', 'synchronized', 'varargs']);
+        expect(decodeMethodAccessFlags(0)).toEqual([]);
+    });
+
+    it('decodes class access flags', () => {
+        expect(decodeClassAccessFlags(0x0021)).toEqual(['public', 'super']);
+        expect(decodeClassAccessFlags(0x4031)).toEqual(['public', 'final', 'super', 'enum']);
+        expect(decodeClassAccessFlags(0x0601)).toEqual(['public', 'interface', 'abstract']);
+    });
+
+    it('derives visibility and compiler-generated status', () => {
+        expect(methodVisibility({ accessFlags: 0x0001 })).toBe('public');
+        expect(methodVisibility({ accessFlags: 0x0004 })).toBe('protected');
+        expect(methodVisibility({ accessFlags: 0x0002 })).toBe('private');
+        expect(methodVisibility({ accessFlags: 0x0008 })).toBe('package');
+        expect(isCompilerGenerated({ accessFlags: 0x1000 })).toBe(true);
+        expect(isCompilerGenerated({ accessFlags: 0x0040 })).toBe(true);
+        expect(isCompilerGenerated({ accessFlags: 0x0001 })).toBe(false);
+    });
+
+    it('treats public and protected members of public classes as public API', () => {
+        expect(isPublicApi({ classAccessFlags: 0x0021, accessFlags: 0x0001 })).toBe(true);
+        expect(isPublicApi({ classAccessFlags: 0x0021, accessFlags: 0x0004 })).toBe(true);
+        expect(isPublicApi({ classAccessFlags: 0x0020, accessFlags: 0x0001 })).toBe(false);
+        expect(isPublicApi({ classAccessFlags: 0x0021, accessFlags: 0x1041 })).toBe(false);
+    });
+
+    it('reads class and method flags from class files', () => {
+        const result = parseClassFile(loadClassFile('fixtures/AbstractMethods'));
+        expect(decodeClassAccessFlags(result.accessFlags)).toEqual(['public', 'super', 'abstract']);
+
+        const flagsOf = (name) => decodeMethodAccessFlags(result.methods.find((m) => m.name === name).accessFlags);
+        expect(flagsOf('abstractMethod')).toEqual(['public', 'abstract']);
+        expect(flagsOf('nativeMethod')).toEqual(['public', 'native']);
+        expect(flagsOf('concreteMethod')).toEqual(['public']);
+    });
+
+    it('marks lambda bodies as synthetic', () => {
+        const result = parseClassFile(loadClassFile('fixtures/LambdasAndIndy'));
+        const lambdas = result.methods.filter((m) => m.name.startsWith('lambda$'));
+        expect(lambdas.length).toBe(2);
+        for (const lambda of lambdas) {
+            expect(decodeMethodAccessFlags(lambda.accessFlags)).toEqual(['private', 'static', 'synthetic']);
+        }
+    });
+
+    it('adds modifiers to JAR results', async () => {
+        const jarBuffer = await createTestJar();
+        const result = await parseJar(jarBuffer);
+
+        const getValue = result.methods.find((m) => m.methodName === 'getValue');
+        expect(getValue.modifiers).toEqual(['public']);
+        expect(getValue.classModifiers).toEqual(['public', 'super']);
+        expect(isPublicApi(getValue)).toBe(true);
+    });
+});
+// =============================================================================
+// Lambda attribution
+// =============================================================================
+
+describe('Lambda attribution', () => {
+    it('reads the BootstrapMethods attribute', () => {
+        const result = parseClassFile(loadClassFile('fixtures/LambdasAndIndy'));
+        expect(result.bootstrapMethods).toHaveLength(2);
+        expect(result.bootstrapMethods[0].arguments).toHaveLength(3);
+    });
+
+    it('links each lambda body to the method declaring it', () => {
+        const result = parseClassFile(loadClassFile('fixtures/LambdasAndIndy'));
+        const supplierBody = result.methods.find((m) => m.name === 'lambda$getSupplier$0');
+        expect(supplierBody.declaringMethod).toEqual({ name: 'getSupplier', descriptor: '()Ljava/util/function/Supplier;' });
+        expect(result.methods.find((m) => m.name === 'getSupplier').declaringMethod).toBeNull();
+    });
+
+    it('rolls lambda bodies into the effective size of JAR results', async () => {
+        const result = await parseJar(await createTestJar());
+        const getDoubler = result.methods.find((m) => m.methodName === 'getDoubler');
+        const body = result.methods.find((m) => m.methodName === 'lambda$getDoubler$1');
+
+        expect(body).toMatchObject({ attributedTo: methodIdOf(getDoubler), attributionKind: 'lambda' });
+        expect(getDoubler.attributedMethods).toEqual([methodIdOf(body)]);
+        expect(getDoubler.effectiveSize).toBe(getDoubler.bytecodeSize + body.bytecodeSize);
+    });
+});
+
+
+// =============================================================================
+// Size Distribution Tests
+// =============================================================================
+
+describe('Size distribution', () => {
+    /**
+     * Helper to build method records of one class
+     */
+    function methodsOf(className, sizes) {
+        return sizes.map((bytecodeSize) => ({ archive: '', className, bytecodeSize, format: 'class' }));
+    }
+
+    it('computes nearest-rank percentiles over methods with code', () => {
+        const sizes = Array.from({ length: 100 }, (_, i) => i + 1);
+        const dist = computeSizeDistribution([...methodsOf('a.A', sizes), ...methodsOf('a.A', [0, 0])]);
+
+        expect(dist.percentiles).toEqual({ p50: 50, p90: 90, p99: 99, max: 100 });
+        expect(dist.methodCount).toBe(100);
+        expect(dist.noCodeCount).toBe(2);
+        expect(dist.meanPerMethod).toBe(50.5);
+    });
+
+    it('buckets sizes on a log2 scale', () => {
+        const dist = computeSizeDistribution(methodsOf('a.A', [1, 2, 3, 4, 7, 8, 40]));
+        expect(dist.histogram).toEqual([
+            { min: 1, max: 1, count: 1 },
+            { min: 2, max: 3, count: 2 },
+            { min: 4, max: 7, count: 2 },
+            { min: 8, max: 15, count: 1 },
+            { min: 16, max: 31, count: 0 },
+            { min: 32, max: 63, count: 1 },
+        ]);
+    });
+
+    it('computes the mean size per class', () => {
+        const dist = computeSizeDistribution([
+            ...methodsOf('a.A', [100, 50]),
+            ...methodsOf('a.B', [30]),
+            ...methodsOf('a.Abstract', [0]),
+            { archive: 'lib/x.jar', className: 'a.A', bytecodeSize: 20, format: 'class' },
+        ]);
+
+        expect(dist.classCount).toBe(4);
+        expect(dist.totalBytecode).toBe(200);
+        expect(dist.meanPerClass).toBe(50);
+    });
+
+    it('handles an empty method list', () => {
+        expect(computeSizeDistribution([])).toEqual({
+            format: 'class',
+            unit: 'bytes',
+            methodCount: 0,
+            noCodeCount: 0,
+            classCount: 0,
+            totalBytecode: 0,
+            meanPerMethod: 0,
+            meanPerClass: 0,
+            percentiles: { p50: 0, p90: 0, p99: 0, max: 0 },
+            histogram: [],
+        });
+    });
+
+    it('keeps DEX sizes, in code units, apart from class file sizes', () => {
+        const dex = (bytecodeSize) => ({ archive: 'app.apk', className: 'a.D', bytecodeSize, format: 'dex' });
+        const methods = [...methodsOf('a.A', [10, 20]), dex(4000), dex(0)];
+
+        const classes = computeSizeDistribution(methods);
+        expect(classes).toMatchObject({ unit: 'bytes', methodCount: 2, noCodeCount: 0, classCount: 1 });
+        expect(classes.percentiles.max).toBe(20);
+
+        const dexMethods = computeSizeDistribution(methods, 'dex');
+        expect(dexMethods).toMatchObject({ format: 'dex', unit: 'code units', methodCount: 1, noCodeCount: 1, totalBytecode: 4000 });
+    });
+});
+
+// =============================================================================
+// Bytecode Tree Tests
+// =============================================================================
+
+describe('Bytecode tree', () => {
+    /**
+     * Helper to build a method record as returned by parseJar
+     */
+    function method(className, methodName, bytecodeSize) {
+        return { className, methodName, descriptor: '()V', bytecodeSize };
+    }
+
+    const methods = [
+        method('com.example.app.Main', 'main', 100),
+        method('com.example.app.Main', 'run', 50),
+        method('com.example.app.util.Strings', 'pad', 30),
+        method('com.example.lib.Big', 'huge', 400),
+        method('Toplevel', 'go', 5),
+    ];
+
+    it('aggregates totals at every level', () => {
+        const root = buildBytecodeTree(methods);
+        expect(root).toMatchObject({ kind: 'root', totalBytecode: 585, methodCount: 5 });
+
+        const example = root.children[0];
+        expect(example).toMatchObject({ name: 'com.example', kind: 'package', totalBytecode: 580, methodCount: 4 });
+
+        const [lib, app] = example.children;
+        expect(lib).toMatchObject({ name: 'lib', path: 'com.example.lib', totalBytecode: 400 });
+        expect(app).toMatchObject({ name: 'app', path: 'com.example.app', totalBytecode: 180, methodCount: 3 });
+        expect(app.children.map((c) => [c.kind, c.name, c.totalBytecode])).toEqual([
+            ['class', 'Main', 150],
+            ['package', 'util', 30],
+        ]);
+    });
+
+    it('ends in method leaves carrying the method record', () => {
+        const root = buildBytecodeTree(methods);
+        const main = root.children[0].children[1].children[0];
+        expect(main.path).toBe('com.example.app.Main');
+        expect(main.children.map((m) => m.name)).toEqual(['main()V', 'run()V']);
+        expect(main.children[0]).toMatchObject({ kind: 'method', totalBytecode: 100, children: [] });
+        expect(main.children[0].method).toBe(methods[0]);
+    });
+
+    it('keeps default-package classes under the root', () => {
+        const root = buildBytecodeTree(methods);
+        expect(root.children[1]).toMatchObject({ kind: 'class', name: 'Toplevel', path: 'Toplevel', totalBytecode: 5 });
+    });
+
+    it('does not merge packages that contain classes', () => {
+        const root = buildBytecodeTree([method('a.A', 'x', 1), method('a.b.B', 'y', 2)]);
+        expect(root.children.map((c) => c.name)).toEqual(['a']);
+        expect(root.children[0].children.map((c) => c.name)).toEqual(['b', 'A']);
+    });
+
+    it('returns an empty root without methods', () => {
+        expect(buildBytecodeTree([])).toEqual({
+            name: '', path: '', kind: 'root', totalBytecode: 0, methodCount: 0, children: [],
+        });
+    });
+});
+
+// =============================================================================
+// Source location
+// =============================================================================
+
+describe('Source location', () => {
+    const method = { className: 'com.example.Foo$Inner', sourceFile: 'Foo.java', firstLine: 120, lastLine: 940 };
+
+    it('joins the package path, file and line span', () => {
+        expect(sourceLocation(method)).toBe('com/example/Foo.java:120-940');
+    });
+
+    it('gives a single line for one-line methods', () => {
+        expect(sourceLocation({ ...method, lastLine: 120 })).toBe('com/example/Foo.java:120');
+    });
+
+    it('omits lines and package where unknown', () => {
+        expect(sourceLocation({ ...method, firstLine: null, lastLine: null })).toBe('com/example/Foo.java');
+        expect(sourceLocation({ ...method, className: 'Foo' })).toBe('Foo.java:120-940');
+    });
+
+    it('returns null without a SourceFile attribute', () => {
+        expect(sourceLocation({ ...method, sourceFile: null })).toBeNull();
+    });
+});
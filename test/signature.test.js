@@ -0,0 +1,131 @@
+import { describe, it, expect } from 'vitest';
+import {
+    parseMethodDescriptor,
+    parseMethodSignature,
+    formatMethodSignature,
+    javaClassName,
+} from '../src/signature.js';
+
+/**
+ * Helper to build a method record as returned by parseJar
+ */
+function method(methodName, descriptor, signature = null, accessFlags = 0x0001) {
+    return { className: 'com.example.Outer$Inner', methodName, descriptor, signature, accessFlags };
+}
+
+// =============================================================================
+// Descriptors
+// =============================================================================
+
+describe('Method descriptor parsing', () => {
+    it('parses primitive, array and object types', () => {
+        expect(parseMethodDescriptor('(Ljava/lang/String;[IJ)V')).toEqual({
+            parameters: ['String', 'int[]', 'long'],
+            returnType: 'void',
+        });
+        expect(parseMethodDescriptor('(BCDFISZ)[[Ljava/lang/Object;')).toEqual({
+            parameters: ['byte', 'char', 'double', 'float', 'int', 'short', 'boolean'],
+            returnType: 'Object[][]',
+        });
+    });
+
+    it('renders nested classes with a dot', () => {
+        expect(parseMethodDescriptor('(Ljava/util/Map$Entry;)Lcom/example/Foo$1;')).toEqual({
+            parameters: ['Map.Entry'],
+            returnType: 'Foo$1',
+        });
+    });
+
+    it('rejects malformed descriptors', () => {
+        expect(() => parseMethodDescriptor('(Ljava/lang/String)V')).toThrow(/Invalid descriptor/);
+        expect(() => parseMethodDescriptor('(I')).toThrow(/expected '\)'/);
+        expect(() => parseMethodDescriptor('()VV')).toThrow(/trailing/);
+        expect(() => parseMethodDescriptor('(TT;)V')).toThrow(/reference type/);
+        expect(() => parseMethodDescriptor('(V)V')).toThrow(/reference type/);
+    });
+});
+
+// =============================================================================
+// Generic signatures
+// =============================================================================
+
+describe('Generic signature parsing', () => {
+    it('parses type arguments and wildcards', () => {
+        const parsed = parseMethodSignature(
+            '(Ljava/util/Map<Ljava/lang/String;+Ljava/lang/Number;>;Ljava/util/List<*>;)Ljava/util/Set<-TT;>;'
+        );
+        expect(parsed.parameters).toEqual(['Map<String, ? extends Number>', 'List<?>']);
+        expect(parsed.returnType).toBe('Set<? super T>');
+    });
+
+    it('parses type parameters with class and interface bounds', () => {
+        const parsed = parseMethodSignature(
+            '<K:Ljava/lang/Object;T::Ljava/lang/Comparable<-TT;>;N:Ljava/lang/Number;:Ljava/io/Serializable;>([TT;)TK;'
+        );
+        expect(parsed.typeParameters).toEqual([
+            'K',
+            'T extends Comparable<? super T>',
+            'N extends Number & Serializable',
+        ]);
+        expect(parsed.parameters).toEqual(['T[]']);
+        expect(parsed.returnType).toBe('K');
+    });
+
+    it('parses inner classes of parameterized types and throws clauses', () => {
+        const parsed = parseMethodSignature(
+            '<E:Ljava/lang/Exception;>(Lcom/example/Outer<TE;>.Inner<Ljava/lang/String;>;)V^TE;^Ljava/io/IOException;'
+        );
+        expect(parsed.parameters).toEqual(['Outer<E>.Inner<String>']);
+        expect(parsed.exceptions).toEqual(['E', 'IOException']);
+    });
+
+    it('rejects malformed signatures', () => {
+        expect(() => parseMethodSignature('<>()V')).toThrow(/Invalid signature/);
+        expect(() => parseMethodSignature('(Ljava/util/List<>;)V')).toThrow(/type argument/);
+        expect(() => parseMethodSignature('(Ljava/util/List<TT;;)V')).toThrow();
+    });
+});
+
+// =============================================================================
+// Java-style rendering
+// =============================================================================
+
+describe('Java-style method signatures', () => {
+    it('renders methods from their descriptor', () => {
+        expect(formatMethodSignature(method('foo', '(Ljava/lang/String;[IJ)V'))).toBe('void foo(String, int[], long)');
+    });
+
+    it('prefers the generic signature', () => {
+        const m = method(
+            'copy',
+            '(Ljava/util/Collection;)Ljava/util/List;',
+            '<T:Ljava/lang/Object;>(Ljava/util/Collection<+TT;>;)Ljava/util/List<TT;>;'
+        );
+        expect(formatMethodSignature(m)).toBe('<T> List<T> copy(Collection<? extends T>)');
+    });
+
+    it('falls back to the descriptor when the signature is malformed', () => {
+        expect(formatMethodSignature(method('get', '()I', '()Ljunk'))).toBe('int get()');
+        expect(formatMethodSignature(method('bad', '(X)V'))).toBe('bad(X)V');
+    });
+
+    it('renders constructors, static initializers and varargs', () => {
+        expect(formatMethodSignature(method('<init>', '(I)V'))).toBe('Inner(int)');
+        expect(formatMethodSignature(method('<clinit>', '()V'))).toBe('static {}');
+        expect(formatMethodSignature(method('format', '(Ljava/lang/String;[Ljava/lang/Object;)Ljava/lang/String;', null, 0x0089)))
+            .toBe('String format(String, Object...)');
+    });
+
+    it('converts binary class names to Java names', () => {
+        expect(javaClassName('com.example.Outer$Inner')).toBe('com.example.Outer.Inner');
+        expect(javaClassName('com.example.Outer$Inner$1')).toBe('com.example.Outer.Inner$1');
+        expect(javaClassName('com.example.Plain')).toBe('com.example.Plain');
+    });
+
+    it('keeps the $ of synthetic class names', () => {
+        expect(javaClassName('com.example.Foo$$Lambda$12')).toBe('com.example.Foo$$Lambda$12');
+        expect(javaClassName('com.example.Outer$Inner$$Lambda$3')).toBe('com.example.Outer.Inner$$Lambda$3');
+        expect(javaClassName('com.sun.proxy.$Proxy12')).toBe('com.sun.proxy.$Proxy12');
+        expect(javaClassName('Foo$')).toBe('Foo$');
+    });
+});
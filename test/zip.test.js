@@ -0,0 +1,300 @@
+import { describe, it, expect } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import JSZip from 'jszip';
+import {
+    openZip,
+    readZipEntry,
+    zipEntrySource,
+    bufferSource,
+    blobSource,
+    sliceSource,
+    toZipSource,
+    crc32,
+    METHOD_STORED,
+    METHOD_DEFLATED,
+} from '../src/zip.js';
+import { openFileSource } from '../src/file-source.js';
+
+const textDecoder = new TextDecoder();
+
+/**
+ * Helper to build a ZIP with JSZip
+ */
+async function createZip(files, options = {}) {
+    const zip = new JSZip();
+    for (const [name, content] of Object.entries(files)) {
+        zip.file(name, content);
+    }
+    return zip.generateAsync({ type: 'uint8array', ...options });
+}
+
+/**
+ * Helper to read an entry as text
+ */
+async function readText(zip, name) {
+    const entry = zip.entries.find((e) => e.name === name);
+    return textDecoder.decode(await readZipEntry(zip, entry));
+}
+
+/**
+ * Helper to build a single-entry stored archive whose sizes and offset are
+ * written as ZIP64 values, as large archives would store them.
+ */
+function createZip64(name, content) {
+    const nameBytes = new TextEncoder().encode(name);
+    const bytes = [];
+    const push = (size, write) => {
+        const chunk = new DataView(new ArrayBuffer(size));
+        write(chunk);
+        bytes.push(new Uint8Array(chunk.buffer));
+    };
+    const setUint64 = (view, offset, value) => {
+        view.setUint32(offset, value % 0x100000000, true);
+        view.setUint32(offset + 4, Math.floor(value / 0x100000000), true);
+    };
+
+    // Local header
+    push(30, (v) => {
+        v.setUint32(0, 0x04034b50, true);
+        v.setUint32(18, content.length, true);
+        v.setUint32(22, content.length, true);
+        v.setUint16(26, nameBytes.length, true);
+    });
+    bytes.push(nameBytes, content);
+    const centralOffset = 30 + nameBytes.length + content.length;
+
+    // Central directory header with a ZIP64 extra field
+    push(46, (v) => {
+        v.setUint32(0, 0x02014b50, true);
+        v.setUint32(20, 0xFFFFFFFF, true);
+        v.setUint32(24, 0xFFFFFFFF, true);
+        v.setUint16(28, nameBytes.length, true);
+        v.setUint16(30, 28, true);
+        v.setUint32(42, 0xFFFFFFFF, true);
+    });
+    bytes.push(nameBytes);
+    push(28, (v) => {
+        v.setUint16(0, 0x0001, true);
+        v.setUint16(2, 24, true);
+        setUint64(v, 4, content.length);
+        setUint64(v, 12, content.length);
+        setUint64(v, 20, 0);
+    });
+    const centralSize = 46 + nameBytes.length + 28;
+    const zip64Offset = centralOffset + centralSize;
+
+    // ZIP64 end of central directory record and locator
+    push(56, (v) => {
+        v.setUint32(0, 0x06064b50, true);
+        setUint64(v, 4, 44);
+        setUint64(v, 24, 1);
+        setUint64(v, 32, 1);
+        setUint64(v, 40, centralSize);
+        setUint64(v, 48, centralOffset);
+    });
+    push(20, (v) => {
+        v.setUint32(0, 0x07064b50, true);
+        setUint64(v, 8, zip64Offset);
+        v.setUint32(16, 1, true);
+    });
+
+    // End of central directory with every field overflowed
+    push(22, (v) => {
+        v.setUint32(0, 0x06054b50, true);
+        v.setUint16(8, 0xFFFF, true);
+        v.setUint16(10, 0xFFFF, true);
+        v.setUint32(12, 0xFFFFFFFF, true);
+        v.setUint32(16, 0xFFFFFFFF, true);
+    });
+
+    const result = new Uint8Array(bytes.reduce((sum, b) => sum + b.length, 0));
+    let offset = 0;
+    for (const b of bytes) {
+        result.set(b, offset);
+        offset += b.length;
+    }
+    return result;
+}
+
+// =============================================================================
+// Central directory
+// =============================================================================
+
+describe('Central directory', () => {
+    it('lists entries without reading their data', async () => {
+        const bytes = await createZip({ 'a/One.class': 'one', 'a/b/Two.class': 'two' });
+        const reads = [];
+        const source = bufferSource(bytes);
+        const zip = await openZip({ size: source.size, read: (offset, length) => {
+            reads.push(length);
+            return source.read(offset, length);
+        } });
+
+        expect(zip.entries.filter((e) => !e.dir).map((e) => e.name)).toEqual(['a/One.class', 'a/b/Two.class']);
+        // The tail of the file and the central directory
+        expect(reads.length).toBe(2);
+    });
+
+    it('marks directory entries', async () => {
+        const zip = new JSZip();
+        zip.folder('empty');
+        zip.file('dir/File.class', 'x');
+        const entries = (await openZip(bufferSource(await zip.generateAsync({ type: 'uint8array' })))).entries;
+
+        expect(entries.find((e) => e.name === 'empty/').dir).toBe(true);
+        expect(entries.find((e) => e.name === 'dir/File.class').dir).toBe(false);
+    });
+
+    it('decodes UTF-8 entry names', async () => {
+        const zip = await openZip(bufferSource(await createZip({ 'pkg/Größe€.class': 'x' })));
+        expect(zip.entries.map((e) => e.name)).toContain('pkg/Größe€.class');
+    });
+
+    it('finds the end record behind an archive comment', async () => {
+        const bytes = await createZip({ 'A.class': 'a' }, { comment: 'built by a test'.repeat(100) });
+        const zip = await openZip(bufferSource(bytes));
+        expect(await readText(zip, 'A.class')).toBe('a');
+    });
+
+    it('reads archives with prepended data', async () => {
+        const archive = await createZip({ 'A.class': 'hello' }, { compression: 'DEFLATE' });
+        const script = new TextEncoder().encode('#!/bin/sh\nexec java -jar "$0" "$@"\n');
+        const bytes = new Uint8Array(script.length + archive.length);
+        bytes.set(script);
+        bytes.set(archive, script.length);
+
+        const zip = await openZip(bufferSource(bytes));
+        expect(await readText(zip, 'A.class')).toBe('hello');
+    });
+
+    it('reads ZIP64 sizes and offsets', async () => {
+        const zip = await openZip(bufferSource(createZip64('big/Big.class', new TextEncoder().encode('zip64'))));
+
+        expect(zip.entries).toHaveLength(1);
+        expect(zip.entries[0]).toMatchObject({ name: 'big/Big.class', compressedSize: 5, uncompressedSize: 5, localHeaderOffset: 0 });
+        expect(await readText(zip, 'big/Big.class')).toBe('zip64');
+    });
+
+    it('rejects data that is not a ZIP archive', async () => {
+        await expect(openZip(bufferSource(new Uint8Array(100)))).rejects.toThrow(/Not a ZIP archive/);
+        await expect(openZip(bufferSource(new Uint8Array(10)))).rejects.toThrow(/too small/);
+    });
+
+    it('rejects a truncated archive', async () => {
+        const bytes = await createZip({ 'A.class': 'a', 'B.class': 'b' });
+        // Drop the start of the file; the end record now points past the data
+        await expect(openZip(bufferSource(bytes.subarray(40)))).rejects.toThrow(/Truncated ZIP archive|Invalid central directory/);
+    });
+});
+
+// =============================================================================
+// Entry data
+// =============================================================================
+
+describe('Entry data', () => {
+    it('reads stored and deflated entries', async () => {
+        const text = 'public class A {}'.repeat(50);
+        const stored = await openZip(bufferSource(await createZip({ 'A.class': text }, { compression: 'STORE' })));
+        const deflated = await openZip(bufferSource(await createZip({ 'A.class': text }, { compression: 'DEFLATE' })));
+
+        expect(stored.entries[0].method).toBe(METHOD_STORED);
+        expect(deflated.entries[0].method).toBe(METHOD_DEFLATED);
+        expect(deflated.entries[0].compressedSize).toBeLessThan(text.length);
+        expect(await readText(stored, 'A.class')).toBe(text);
+        expect(await readText(deflated, 'A.class')).toBe(text);
+    });
+
+    it('computes the CRC-32 that ZIP records for an entry', async () => {
+        expect(crc32(new TextEncoder().encode('123456789'))).toBe(0xCBF43926);
+        expect(crc32(new Uint8Array(0))).toBe(0);
+
+        const zip = await openZip(bufferSource(await createZip({ 'A.class': 'checked' }, { compression: 'DEFLATE' })));
+        expect(zip.entries[0].crc32).toBe(crc32(new TextEncoder().encode('checked')));
+    });
+
+    it('reads entries from a Blob', async () => {
+        const bytes = await createZip({ 'A.class': 'from a blob' }, { compression: 'DEFLATE' });
+        const zip = await openZip(blobSource(new Blob([bytes])));
+        expect(await readText(zip, 'A.class')).toBe('from a blob');
+    });
+
+    it('opens stored nested archives in place', async () => {
+        const inner = await createZip({ 'B.class': 'inner' }, { compression: 'DEFLATE' });
+        const outer = await createZip({ 'lib/inner.jar': inner }, { compression: 'STORE' });
+        const zip = await openZip(bufferSource(outer));
+
+        const nested = await openZip(await zipEntrySource(zip, zip.entries.find((e) => e.name === 'lib/inner.jar')));
+        expect(await readText(nested, 'B.class')).toBe('inner');
+    });
+
+    it('opens deflated nested archives', async () => {
+        const inner = await createZip({ 'B.class': 'inner' });
+        const outer = await createZip({ 'lib/inner.jar': inner }, { compression: 'DEFLATE' });
+        const zip = await openZip(bufferSource(outer));
+
+        const nested = await openZip(await zipEntrySource(zip, zip.entries.find((e) => e.name === 'lib/inner.jar')));
+        expect(await readText(nested, 'B.class')).toBe('inner');
+    });
+
+    it('limits a slice source to its window', async () => {
+        const source = sliceSource(bufferSource(new Uint8Array([0, 1, 2, 3, 4, 5, 6, 7])), 2, 4);
+        expect(source.size).toBe(4);
+        expect(Array.from(await source.read(1, 10))).toEqual([3, 4, 5]);
+    });
+
+    it('rejects unsupported compression methods', async () => {
+        const bytes = await createZip({ 'A.class': 'a' });
+        const zip = await openZip(bufferSource(bytes));
+        zip.entries[0].method = 14; // LZMA
+        await expect(readZipEntry(zip, zip.entries[0])).rejects.toThrow('A.class uses unsupported compression method 14');
+    });
+
+    it('rejects encrypted entries', async () => {
+        const bytes = await createZip({ 'A.class': 'a' });
+        const zip = await openZip(bufferSource(bytes));
+        zip.entries[0].flags |= 0x0001;
+        await expect(readZipEntry(zip, zip.entries[0])).rejects.toThrow('A.class is encrypted');
+    });
+
+    it('rejects corrupt compressed data', async () => {
+        const bytes = await createZip({ 'A.class': 'some text to compress'.repeat(20) }, { compression: 'DEFLATE' });
+        const zip = await openZip(bufferSource(bytes));
+        const entry = zip.entries[0];
+        bytes.fill(0xFF, 30 + entry.name.length, 30 + entry.name.length + entry.compressedSize);
+        await expect(readZipEntry(zip, entry)).rejects.toThrow(/A\.class/);
+    });
+});
+
+// =============================================================================
+// Sources
+// =============================================================================
+
+describe('Sources', () => {
+    it('accepts bytes, Blobs and existing sources', () => {
+        const bytes = new Uint8Array(4);
+        expect(toZipSource(bytes).size).toBe(4);
+        expect(toZipSource(bytes.buffer).size).toBe(4);
+        expect(toZipSource(new Blob([bytes])).size).toBe(4);
+
+        const source = bufferSource(bytes);
+        expect(toZipSource(source)).toBe(source);
+        expect(() => toZipSource('file.jar')).toThrow(TypeError);
+    });
+
+    it('reads a ZIP from a file handle', async () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'zip-test-'));
+        const file = path.join(dir, 'test.jar');
+        fs.writeFileSync(file, await createZip({ 'A.class': 'on disk' }, { compression: 'DEFLATE' }));
+
+        const source = await openFileSource(file);
+        try {
+            const zip = await openZip(source);
+            expect(await readText(zip, 'A.class')).toBe('on disk');
+        } finally {
+            await source.close();
+            fs.rmSync(dir, { recursive: true });
+        }
+    });
+});